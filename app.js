@@ -8,59 +8,294 @@
 const SCM_CONFIG = {
     SYSTEM_NAME: "SCM Stock Control System",
     VERSION: "1.0.0",
+    SCHEMA_VERSION: 5,
     CURRENCY: "P", // Botswana Pula
-    LOW_STOCK_THRESHOLD: 10,
-    CRITICAL_STOCK_THRESHOLD: 5,
+    LOW_STOCK_THRESHOLD: 10, // Global reorder point for items without their own or a category default
+    CRITICAL_STOCK_THRESHOLD: 5, // Global minimum level
+    CATEGORY_STOCK_LEVELS: {
+        // Defaults for items that don't set their own levels
+        'IT Equipment': { reorderPoint: 3, safetyStock: 1, minLevel: 1 },
+        'Electronics': { reorderPoint: 5, safetyStock: 2, minLevel: 2 },
+        'Consumables': { reorderPoint: 50, safetyStock: 20, minLevel: 20 },
+        'Packaging': { reorderPoint: 100, safetyStock: 50, minLevel: 50 },
+        'Raw Materials': { reorderPoint: 100, safetyStock: 40, minLevel: 40 }
+    },
+    EXPIRY_WARNING_DAYS: 30, // Lots expiring within this many days are flagged
+    LOT_TRACKED_CATEGORIES: ['Consumables', 'Raw Materials'], // Lot tracking is suggested for these
+    SERIAL_TRACKED_CATEGORIES: ['IT Equipment', 'Electronics'], // Serial tracking is suggested for these
+    UNITS_OF_MEASURE: {
+        // Stock is counted in an item's base unit; decimals is how finely the unit can be split
+        each: { label: 'Each', symbol: 'ea', decimals: 0 },
+        pair: { label: 'Pair', symbol: 'pr', decimals: 0 },
+        m: { label: 'Metre', symbol: 'm', decimals: 2 },
+        sqm: { label: 'Square metre', symbol: 'm²', decimals: 2 },
+        kg: { label: 'Kilogram', symbol: 'kg', decimals: 3 },
+        l: { label: 'Litre', symbol: 'L', decimals: 2 }
+    },
+    DEFAULT_UNIT: 'each',
+    COSTING_METHODS: {
+        // How issues are priced and stock is valued; every method keeps the same cost layers
+        FIFO: { label: 'FIFO', description: 'Issues are costed from the oldest receipts first' },
+        WEIGHTED_AVERAGE: { label: 'Weighted Average', description: 'Issues are costed at the moving average of all receipts' },
+        STANDARD: { label: 'Standard Cost', description: 'Issues are costed at each item\'s standard cost' }
+    },
+    DEFAULT_COSTING_METHOD: 'FIFO',
+    SKU_PATTERN: /^[A-Z0-9][A-Z0-9._\/-]{1,29}$/, // Item codes: letters, digits and . _ / -
+    DUPLICATE_NAME_SIMILARITY: 0.8, // Names at least this alike are flagged as likely duplicates
+    ADJUSTMENT_REASONS: {
+        // sign is the way the reason moves stock (0 either way); shrinkage reasons
+        // are stock lost or found rather than a fix to a data-entry mistake
+        DAMAGED: { label: 'Damaged', sign: -1, shrinkage: true },
+        EXPIRED: { label: 'Expired', sign: -1, shrinkage: true },
+        LOST: { label: 'Lost', sign: -1, shrinkage: true },
+        THEFT: { label: 'Theft', sign: -1, shrinkage: true },
+        WRITE_OFF: { label: 'Write-off', sign: -1, shrinkage: true },
+        FOUND: { label: 'Found', sign: 1, shrinkage: true },
+        CORRECTION: { label: 'Data correction', sign: 0, shrinkage: false }
+    },
+    PAYMENT_TERMS: ['Cash on delivery', '7 days', '14 days', '30 days', '60 days'],
+    RECIPIENTS: {
+        TYPES: ['Employee', 'Department', 'Client', 'Project'],
+        // When true, stock can only be issued to names in the recipient directory
+        REQUIRE_DIRECTORY: false
+    },
+    SUPPLIER_SCORING: {
+        // Scores run 0-100 from on-time delivery and price stability; a price rise
+        // of PRICE_TOLERANCE or more over the period scores nothing for price
+        ON_TIME_WEIGHT: 0.7,
+        PRICE_WEIGHT: 0.3,
+        PRICE_TOLERANCE: 0.1
+    },
+    ABC_CLASSES: {
+        // Items making up this cumulative share of the last year's issue value; the rest are class C
+        A: 0.8,
+        B: 0.95
+    },
+    FORECASTING: {
+        // Consumption is read from the last HISTORY_DAYS of issues. Items whose
+        // supplier has no lead time in the directory use DEFAULT_LEAD_TIME_DAYS.
+        HISTORY_DAYS: 90,
+        // Shorter histories forecast at the plain average rather than the trend
+        TREND_MIN_DAYS: 14,
+        DEFAULT_LEAD_TIME_DAYS: 14,
+        // Days of consumption an order covers on top of the reorder point
+        ORDER_COVER_DAYS: 30,
+        SERVICE_LEVEL: 0.95,
+        // Safety factor (standard deviations of demand) for each service level offered
+        SERVICE_LEVELS: { 0.9: 1.28, 0.95: 1.65, 0.98: 2.05, 0.99: 2.33 }
+    },
     DATE_FORMAT: "en-US",
+    STORAGE_BACKEND: 'localStorage', // localStorage | indexedDB | memory | http
+    STORAGE_OPTIONS: {
+        INDEXEDDB_NAME: 'scm-stock-system',
+        HTTP_BASE_URL: '/api/scm',
+        HTTP_HEADERS: {}
+    },
+    MOVEMENT_TYPES: {
+        RECEIPT: { label: 'Received', direction: 'in' },
+        ISSUE: { label: 'Issued', direction: 'out' },
+        ADJUSTMENT: { label: 'Adjusted', direction: 'adjust' },
+        DELETION: { label: 'Deleted', direction: 'out' },
+        REVERSAL: { label: 'Reversed', direction: 'in' },
+        TRANSFER_OUT: { label: 'Transferred Out', direction: 'transfer' },
+        TRANSFER_IN: { label: 'Transferred In', direction: 'transfer' },
+        MERGE_OUT: { label: 'Merged Out', direction: 'transfer' },
+        MERGE_IN: { label: 'Merged In', direction: 'transfer' },
+        RECLASS_OUT: { label: 'Reclassified Out', direction: 'transfer' },
+        RECLASS_IN: { label: 'Reclassified In', direction: 'transfer' },
+        COUNT_VARIANCE: { label: 'Count Variance', direction: 'adjust' }
+    },
+    DEFAULT_LOCATION: { code: 'MAIN', name: 'Main Store', description: 'Primary receiving store' },
+    SESSION_HOURS: 8,
+    PASSWORD_ITERATIONS: 100000,
+    PERMISSIONS: {
+        'stock.receive': 'receive stock',
+        'stock.edit': 'edit stock items',
+        'stock.adjust': 'adjust stock for damage, loss and write-offs',
+        'stock.delete': 'delete stock items',
+        'items.merge': 'merge duplicate items',
+        'stock.request': 'request stock',
+        'stock.issue': 'issue stock',
+        'issue.approve': 'approve issue requests',
+        'stock.transfer': 'transfer stock between locations',
+        'stock.reclassify': 'move stock between internal and external use',
+        'stock.count': 'count stock',
+        'purchase.order': 'raise and send purchase orders',
+        'count.approve': 'approve stock count variances',
+        'locations.manage': 'manage locations',
+        'suppliers.manage': 'manage the supplier directory',
+        'recipients.manage': 'manage recipients and cost centres',
+        'sales.manage': 'maintain selling prices and customer price lists',
+        'issue.reverse': 'reverse issues',
+        'ledger.reconcile': 'recompute stock from the ledger',
+        'costing.manage': 'change the costing method',
+        'data.backup': 'export backups',
+        'data.restore': 'restore backups',
+        'data.clear': 'clear system data',
+        'users.manage': 'manage user accounts'
+    },
+    ROLES: {
+        admin: { label: 'Administrator', permissions: ['*'] },
+        storekeeper: {
+            label: 'Storekeeper',
+            permissions: ['stock.receive', 'stock.edit', 'stock.adjust', 'stock.request', 'stock.issue', 'stock.transfer', 'stock.reclassify', 'stock.count', 'purchase.order', 'issue.reverse', 'ledger.reconcile', 'data.backup']
+        },
+        approver: { label: 'Approver', permissions: ['stock.request', 'issue.approve', 'count.approve'] },
+        requester: { label: 'Requester', permissions: ['stock.request'] },
+        viewer: { label: 'Viewer', permissions: [] }
+    },
+    APPROVAL: {
+        VALUE_THRESHOLD: 1000, // Requests worth more than this need approval
+        REASONS: ['Emergency', 'Client Project'] // Requests for these reasons always need approval
+    },
+    SALES: {
+        REASON: 'Resale' // External-Use issues for this reason are priced and invoiced
+    },
+    DOCUMENT_NUMBERS: {
+        ITEM: { prefix: 'ITM', yearly: false, digits: 6 },
+        REQUEST: { prefix: 'REQ', yearly: true, digits: 6 },
+        ISSUE: { prefix: 'ISS', yearly: true, digits: 6 },
+        REVERSAL: { prefix: 'REV', yearly: true, digits: 6 },
+        ADJUSTMENT: { prefix: 'ADJ', yearly: true, digits: 6 },
+        TRANSFER: { prefix: 'TRF', yearly: true, digits: 6 },
+        RECLASS: { prefix: 'RCL', yearly: true, digits: 6 },
+        COUNT: { prefix: 'CNT', yearly: true, digits: 6 },
+        PURCHASE_ORDER: { prefix: 'PO', yearly: true, digits: 6 },
+        INVOICE: { prefix: 'INV', yearly: true, digits: 6 }
+    },
     STORAGE_KEYS: {
         INTERNAL_STOCK: 'internalStock',
         EXTERNAL_STOCK: 'externalStock',
         ISSUE_HISTORY: 'issueHistory',
+        ISSUE_REQUESTS: 'scmIssueRequests',
+        LOCATIONS: 'scmLocations',
+        SUPPLIERS: 'scmSuppliers',
+        RECIPIENTS: 'scmRecipients',
+        STOCK_TRANSFERS: 'scmStockTransfers',
+        STOCK_COUNTS: 'scmStockCounts',
+        PURCHASE_ORDERS: 'scmPurchaseOrders',
+        PRICE_LISTS: 'scmPriceLists',
+        INVOICES: 'scmInvoices',
+        STOCK_LEDGER: 'stockLedger',
         SYSTEM_SETTINGS: 'scmSettings',
-        USER_SESSION: 'userSession'
+        USER_SESSION: 'userSession',
+        SCHEMA_VERSION: 'scmSchemaVersion',
+        MIGRATION_BACKUP: 'scmMigrationBackup',
+        MIGRATION_LOG: 'scmMigrationLog',
+        ID_SEQUENCES: 'scmSequences',
+        AUDIT_LOG: 'scmAuditLog',
+        USERS: 'scmUsers'
     }
 };
 
 // ===== SCM DATA MODELS =====
 class StockItem {
     constructor(data) {
-        this.id = data.id || Date.now();
+        this.id = data.id || SCMIdService.nextId();
+        this.documentNumber = data.documentNumber || '';
+        // The SKU is the item's unique code; items merged into this one are kept as aliases
+        this.sku = SCMItems.normalizeSku(data.sku) || this.documentNumber;
+        this.aliases = data.aliases || [];
         this.itemName = data.itemName;
         this.category = data.category;
-        this.quantity = parseInt(data.quantity);
+        this.quantity = SCMUnits.parse(data.quantity);
+        // Unit cost follows the costing method; receipts open cost layers
+        // { date, quantity, unitCost, reference } that issues consume oldest first
         this.unitCost = parseFloat(data.unitCost);
+        this.costLayers = data.costLayers || null;
+        this.averageCost = StockItem.parseCost(data.averageCost);
+        this.standardCost = StockItem.parseCost(data.standardCost);
+        // Price per base unit External-Use stock is sold at, before any price list
+        this.sellingPrice = StockItem.parseCost(data.sellingPrice);
+        // Quantities and unit cost are in the base unit; packs are bought or issued
+        // as a whole number of base units, e.g. a box of 12
+        this.unit = data.unit || SCM_CONFIG.DEFAULT_UNIT;
+        this.purchaseUnit = data.purchaseUnit || '';
+        this.purchaseUnitSize = data.purchaseUnitSize ? SCMUnits.parse(data.purchaseUnitSize) : null;
+        this.issueUnit = data.issueUnit || '';
+        this.issueUnitSize = data.issueUnitSize ? SCMUnits.parse(data.issueUnitSize) : null;
+        // The directory entry behind supplierName, once the name is matched to one
         this.supplierName = data.supplierName;
+        this.supplierId = data.supplierId || null;
         this.dateReceived = data.dateReceived || new Date().toISOString().split('T')[0];
         this.notes = data.notes || '';
         this.stockType = data.stockType || 'Internal-Use';
         this.dateAdded = data.dateAdded || new Date().toISOString();
+        this.createdBy = data.createdBy || '';
+        // Blank levels fall back to the category default, then the global thresholds
+        this.reorderPoint = StockItem.parseLevel(data.reorderPoint);
+        this.safetyStock = StockItem.parseLevel(data.safetyStock);
+        this.minLevel = StockItem.parseLevel(data.minLevel);
+        this.maxLevel = StockItem.parseLevel(data.maxLevel);
+        // Quantity held at each location, keyed by location id; quantity is always their sum
+        this.locationQuantities = data.locationQuantities || null;
+        // Lot-tracked items hold their stock in lots: { lotNumber, expiryDate, dateReceived, quantity, locationId }
+        this.trackLots = !!data.trackLots;
+        this.lots = data.lots || [];
+        // Serialized items list each unit in stock: { serialNumber, locationId, dateReceived }
+        this.trackSerials = !!data.trackSerials;
+        this.serials = data.serials || [];
+        // Part of an item moved to the other stock type is held on a linked item
+        this.linkedItemId = data.linkedItemId || null;
         this.lastUpdated = new Date().toISOString();
     }
 
+    static parseLevel(value) {
+        return value === null || value === undefined || value === '' ? null : SCMUnits.parse(value);
+    }
+
+    static parseCost(value) {
+        return value === null || value === undefined || value === '' ? null : parseFloat(value);
+    }
+
     get totalValue() {
-        return this.quantity * this.unitCost;
+        return SCMCosting.getValue(this);
     }
 
     get isLowStock() {
-        return this.quantity < SCM_CONFIG.LOW_STOCK_THRESHOLD;
+        return SCMCalculator.isLowStock(this);
     }
 
     get isCriticalStock() {
-        return this.quantity < SCM_CONFIG.CRITICAL_STOCK_THRESHOLD;
+        return SCMCalculator.isCriticalStock(this);
     }
 
     toStorage() {
         return {
             id: this.id,
+            documentNumber: this.documentNumber,
+            sku: this.sku,
+            aliases: this.aliases,
             itemName: this.itemName,
             category: this.category,
             quantity: this.quantity,
             unitCost: this.unitCost,
+            costLayers: this.costLayers,
+            averageCost: this.averageCost,
+            standardCost: this.standardCost,
+            sellingPrice: this.sellingPrice,
+            unit: this.unit,
+            purchaseUnit: this.purchaseUnit,
+            purchaseUnitSize: this.purchaseUnitSize,
+            issueUnit: this.issueUnit,
+            issueUnitSize: this.issueUnitSize,
             supplierName: this.supplierName,
+            supplierId: this.supplierId,
             dateReceived: this.dateReceived,
             notes: this.notes,
             stockType: this.stockType,
             dateAdded: this.dateAdded,
+            createdBy: this.createdBy,
+            reorderPoint: this.reorderPoint,
+            safetyStock: this.safetyStock,
+            minLevel: this.minLevel,
+            maxLevel: this.maxLevel,
+            locationQuantities: this.locationQuantities,
+            trackLots: this.trackLots,
+            lots: this.lots,
+            trackSerials: this.trackSerials,
+            serials: this.serials,
+            linkedItemId: this.linkedItemId,
             lastUpdated: this.lastUpdated
         };
     }
@@ -68,361 +303,7869 @@ class StockItem {
 
 class IssueRecord {
     constructor(data) {
-        this.id = data.id || Date.now();
+        this.id = data.id || SCMIdService.nextId();
+        this.documentNumber = data.documentNumber || '';
         this.itemId = data.itemId;
         this.itemName = data.itemName;
         this.stockType = data.stockType;
         this.category = data.category;
-        this.quantityIssued = parseInt(data.quantityIssued);
+        this.quantityIssued = SCMUnits.parse(data.quantityIssued);
+        this.unit = data.unit || SCM_CONFIG.DEFAULT_UNIT;
         this.unitCost = parseFloat(data.unitCost);
         this.totalValue = data.totalValue || this.quantityIssued * this.unitCost;
         this.issuedTo = data.issuedTo;
+        // The directory entry behind issuedTo and the cost centre charged when issued
+        this.recipientId = data.recipientId || null;
+        this.costCentre = data.costCentre || '';
         this.reason = data.reason;
         this.notes = data.notes || '';
         this.date = data.date || new Date().toISOString().split('T')[0];
         this.timestamp = data.timestamp || new Date().toISOString();
         this.remainingBalance = data.remainingBalance;
+        this.locationId = data.locationId || null;
+        this.locationName = data.locationName || '';
+        this.lotAllocations = data.lotAllocations || [];
+        this.serialNumbers = data.serialNumbers || [];
+        // Cost layers the issue consumed, the method that priced it and the
+        // item's moving average at the time, which a reversal puts back
+        this.costLayers = data.costLayers || [];
+        this.costingMethod = data.costingMethod || '';
+        this.averageCost = typeof data.averageCost === 'number' ? data.averageCost : null;
         this.issuedBy = data.issuedBy || 'System User';
+        this.requestId = data.requestId || null;
+        this.requestNumber = data.requestNumber || '';
+        this.invoiceNumber = data.invoiceNumber || '';
+        this.reversed = data.reversed || false;
+        this.reversedAt = data.reversedAt || null;
+        this.reversalReason = data.reversalReason || '';
+        this.reversedBy = data.reversedBy || '';
+        this.reversalId = data.reversalId || null;
+        this.reversalNumber = data.reversalNumber || '';
     }
 
     toStorage() {
         return {
             id: this.id,
+            documentNumber: this.documentNumber,
             itemId: this.itemId,
             itemName: this.itemName,
             stockType: this.stockType,
             category: this.category,
             quantityIssued: this.quantityIssued,
+            unit: this.unit,
             unitCost: this.unitCost,
             totalValue: this.totalValue,
             issuedTo: this.issuedTo,
+            recipientId: this.recipientId,
+            costCentre: this.costCentre,
             reason: this.reason,
             notes: this.notes,
             date: this.date,
             timestamp: this.timestamp,
             remainingBalance: this.remainingBalance,
-            issuedBy: this.issuedBy
+            locationId: this.locationId,
+            locationName: this.locationName,
+            lotAllocations: this.lotAllocations,
+            serialNumbers: this.serialNumbers,
+            costLayers: this.costLayers,
+            costingMethod: this.costingMethod,
+            averageCost: this.averageCost,
+            issuedBy: this.issuedBy,
+            requestId: this.requestId,
+            requestNumber: this.requestNumber,
+            invoiceNumber: this.invoiceNumber,
+            reversed: this.reversed,
+            reversedAt: this.reversedAt,
+            reversalReason: this.reversalReason,
+            reversedBy: this.reversedBy,
+            reversalId: this.reversalId,
+            reversalNumber: this.reversalNumber
         };
     }
 }
 
-// ===== SCM STORAGE MANAGER =====
-class SCMStorage {
-    static get(key) {
+class IssueRequest {
+    constructor(data) {
+        this.id = data.id || SCMIdService.nextId();
+        this.documentNumber = data.documentNumber || '';
+        this.itemId = data.itemId;
+        this.itemName = data.itemName;
+        this.stockType = data.stockType;
+        this.category = data.category;
+        this.quantity = SCMUnits.parse(data.quantity);
+        this.unit = data.unit || SCM_CONFIG.DEFAULT_UNIT;
+        this.unitCost = parseFloat(data.unitCost);
+        this.totalValue = data.totalValue || this.quantity * this.unitCost;
+        this.issuedTo = data.issuedTo;
+        this.recipientId = data.recipientId || null;
+        this.reason = data.reason;
+        this.notes = data.notes || '';
+        this.date = data.date || new Date().toISOString().split('T')[0];
+        this.locationId = data.locationId || null;
+        this.locationName = data.locationName || '';
+        // Blank means lots are picked first-expiry-first-out at fulfilment
+        this.lotNumber = data.lotNumber || '';
+        // Serialized items name the exact units being requested
+        this.serialNumbers = data.serialNumbers || [];
+        this.requestedBy = data.requestedBy || 'System User';
+        this.requestedAt = data.requestedAt || new Date().toISOString();
+        this.status = data.status || 'pending'; // pending | approved | rejected | fulfilled
+        this.approvalReason = data.approvalReason || '';
+        this.decidedBy = data.decidedBy || '';
+        this.decidedAt = data.decidedAt || null;
+        this.decisionComment = data.decisionComment || '';
+        this.fulfilledBy = data.fulfilledBy || '';
+        this.fulfilledAt = data.fulfilledAt || null;
+        this.issueId = data.issueId || null;
+        this.issueNumber = data.issueNumber || '';
+        // Resale requests carry the price the customer is charged, invoiced on fulfilment
+        this.sale = data.sale || null;
+        this.invoiceNumber = data.invoiceNumber || '';
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            documentNumber: this.documentNumber,
+            itemId: this.itemId,
+            itemName: this.itemName,
+            stockType: this.stockType,
+            category: this.category,
+            quantity: this.quantity,
+            unit: this.unit,
+            unitCost: this.unitCost,
+            totalValue: this.totalValue,
+            issuedTo: this.issuedTo,
+            recipientId: this.recipientId,
+            reason: this.reason,
+            notes: this.notes,
+            date: this.date,
+            locationId: this.locationId,
+            locationName: this.locationName,
+            lotNumber: this.lotNumber,
+            serialNumbers: this.serialNumbers,
+            requestedBy: this.requestedBy,
+            requestedAt: this.requestedAt,
+            status: this.status,
+            approvalReason: this.approvalReason,
+            decidedBy: this.decidedBy,
+            decidedAt: this.decidedAt,
+            decisionComment: this.decisionComment,
+            fulfilledBy: this.fulfilledBy,
+            fulfilledAt: this.fulfilledAt,
+            issueId: this.issueId,
+            issueNumber: this.issueNumber,
+            sale: this.sale,
+            invoiceNumber: this.invoiceNumber
+        };
+    }
+}
+
+class StockMovement {
+    constructor(data) {
+        this.id = data.id || SCMIdService.nextId();
+        this.documentNumber = data.documentNumber || '';
+        this.movementType = data.movementType;
+        // Adjustments carry one of ADJUSTMENT_REASONS
+        this.reasonCode = data.reasonCode || '';
+        this.itemId = data.itemId;
+        this.itemName = data.itemName;
+        this.stockType = data.stockType;
+        this.category = data.category;
+        this.quantityChange = SCMUnits.parse(data.quantityChange);
+        this.unit = data.unit || SCM_CONFIG.DEFAULT_UNIT;
+        this.unitCost = parseFloat(data.unitCost) || 0;
+        this.totalValue = data.totalValue !== undefined ? data.totalValue : this.quantityChange * this.unitCost;
+        this.balanceAfter = data.balanceAfter;
+        this.locationId = data.locationId || null;
+        this.locationName = data.locationName || '';
+        this.lots = data.lots || [];
+        this.serialNumbers = data.serialNumbers || [];
+        this.party = data.party || '';
+        // Receipts from a directory supplier, and the date they were due if known
+        this.supplierId = data.supplierId || null;
+        this.expectedDate = data.expectedDate || null;
+        this.reference = data.reference || '';
+        this.performedBy = data.performedBy || 'System User';
+        this.notes = data.notes || '';
+        this.date = data.date || new Date().toISOString().split('T')[0];
+        this.timestamp = data.timestamp || new Date().toISOString();
+    }
+
+    get direction() {
+        const type = SCM_CONFIG.MOVEMENT_TYPES[this.movementType];
+        return type ? type.direction : 'adjust';
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            documentNumber: this.documentNumber,
+            movementType: this.movementType,
+            reasonCode: this.reasonCode,
+            itemId: this.itemId,
+            itemName: this.itemName,
+            stockType: this.stockType,
+            category: this.category,
+            quantityChange: this.quantityChange,
+            unit: this.unit,
+            unitCost: this.unitCost,
+            totalValue: this.totalValue,
+            balanceAfter: this.balanceAfter,
+            locationId: this.locationId,
+            locationName: this.locationName,
+            lots: this.lots,
+            serialNumbers: this.serialNumbers,
+            party: this.party,
+            supplierId: this.supplierId,
+            expectedDate: this.expectedDate,
+            reference: this.reference,
+            performedBy: this.performedBy,
+            notes: this.notes,
+            date: this.date,
+            timestamp: this.timestamp
+        };
+    }
+}
+
+class StockTransfer {
+    constructor(data) {
+        this.id = data.id || SCMIdService.nextId();
+        this.documentNumber = data.documentNumber || '';
+        this.itemId = data.itemId;
+        this.itemName = data.itemName;
+        this.stockType = data.stockType;
+        this.quantity = SCMUnits.parse(data.quantity);
+        this.unit = data.unit || SCM_CONFIG.DEFAULT_UNIT;
+        this.fromLocationId = data.fromLocationId;
+        this.fromLocationName = data.fromLocationName || '';
+        this.toLocationId = data.toLocationId;
+        this.toLocationName = data.toLocationName || '';
+        this.note = data.note || '';
+        this.lotAllocations = data.lotAllocations || [];
+        this.serialNumbers = data.serialNumbers || [];
+        this.transferredBy = data.transferredBy || 'System User';
+        this.date = data.date || new Date().toISOString().split('T')[0];
+        this.timestamp = data.timestamp || new Date().toISOString();
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            documentNumber: this.documentNumber,
+            itemId: this.itemId,
+            itemName: this.itemName,
+            stockType: this.stockType,
+            quantity: this.quantity,
+            unit: this.unit,
+            fromLocationId: this.fromLocationId,
+            fromLocationName: this.fromLocationName,
+            toLocationId: this.toLocationId,
+            toLocationName: this.toLocationName,
+            note: this.note,
+            lotAllocations: this.lotAllocations,
+            serialNumbers: this.serialNumbers,
+            transferredBy: this.transferredBy,
+            date: this.date,
+            timestamp: this.timestamp
+        };
+    }
+}
+
+class StockCount {
+    constructor(data) {
+        this.id = data.id || SCMIdService.nextId();
+        this.documentNumber = data.documentNumber || '';
+        // What was counted: { type: full | category | location | abc, value }
+        this.scope = data.scope || { type: 'full', value: '' };
+        // Blind counts hide the system quantity until the count is submitted
+        this.blind = !!data.blind;
+        this.notes = data.notes || '';
+        // counting -> submitted -> posted; a rejected count goes back to counting
+        this.status = data.status || 'counting';
+        // One line per item and location, per lot for lot-tracked items and per
+        // unit for serialized items: { itemId, itemName, sku, stockType, category, unit,
+        // locationId, locationName, lotNumber, serialNumber, expectedQuantity,
+        // countedQuantity, unitCost, posted }
+        this.lines = data.lines || [];
+        this.createdBy = data.createdBy || 'System User';
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.countedBy = data.countedBy || '';
+        this.submittedAt = data.submittedAt || null;
+        this.approvedBy = data.approvedBy || '';
+        this.approvedAt = data.approvedAt || null;
+        this.decisionComment = data.decisionComment || '';
+        this.postingErrors = data.postingErrors || [];
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            documentNumber: this.documentNumber,
+            scope: this.scope,
+            blind: this.blind,
+            notes: this.notes,
+            status: this.status,
+            lines: this.lines,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            countedBy: this.countedBy,
+            submittedAt: this.submittedAt,
+            approvedBy: this.approvedBy,
+            approvedAt: this.approvedAt,
+            decisionComment: this.decisionComment,
+            postingErrors: this.postingErrors
+        };
+    }
+}
+
+class PurchaseOrder {
+    constructor(data) {
+        this.id = data.id || SCMIdService.nextId();
+        this.documentNumber = data.documentNumber || '';
+        this.supplierId = data.supplierId || null;
+        this.supplierName = data.supplierName || '';
+        this.expectedDate = data.expectedDate || null;
+        this.notes = data.notes || '';
+        // draft -> sent -> partial -> closed; drafts and unreceived orders can be cancelled
+        this.status = data.status || 'draft';
+        // { lineNumber, itemId, itemName, sku, unit, quantity, unitCost, receivedQuantity,
+        // receipts: [{ date, quantity, unitCost, locationId, receivedBy }] } in base units
+        this.lines = data.lines || [];
+        this.createdBy = data.createdBy || 'System User';
+        this.createdAt = data.createdAt || new Date().toISOString();
+        this.sentBy = data.sentBy || '';
+        this.sentAt = data.sentAt || null;
+        this.closedBy = data.closedBy || '';
+        this.closedAt = data.closedAt || null;
+        this.closeReason = data.closeReason || '';
+    }
+
+    toStorage() {
+        return {
+            id: this.id,
+            documentNumber: this.documentNumber,
+            supplierId: this.supplierId,
+            supplierName: this.supplierName,
+            expectedDate: this.expectedDate,
+            notes: this.notes,
+            status: this.status,
+            lines: this.lines,
+            createdBy: this.createdBy,
+            createdAt: this.createdAt,
+            sentBy: this.sentBy,
+            sentAt: this.sentAt,
+            closedBy: this.closedBy,
+            closedAt: this.closedAt,
+            closeReason: this.closeReason
+        };
+    }
+}
+
+// ===== SCM STORAGE ADAPTERS =====
+// Every adapter exposes the same async interface: load(keys), save(key, data),
+// remove(key) and clear(). SCMStorage picks one based on SCM_CONFIG.STORAGE_BACKEND.
+// Adapters that can read synchronously also expose peek(key), which lets
+// SCMStorage check for writes made by other tabs just before it writes.
+// The others expose saveRevision(key, data, revision, expectedRevision), which
+// writes a key and its revision together and rejects with a conflict error
+// (error.conflict) when the stored revision is no longer expectedRevision.
+class LocalStorageAdapter {
+    peek(key) {
+        const data = localStorage.getItem(key);
         try {
-            const data = localStorage.getItem(key);
             return data ? JSON.parse(data) : null;
         } catch (error) {
-            console.error(`SCM Storage Error (${key}):`, error);
-            this.showError('Storage Error', 'Failed to load data from storage.');
-            return null;
+            // undefined tells SCMStorage to keep its cached copy
+            console.error(`SCM Storage Error (${key}): stored data is not valid JSON`, error);
+            return undefined;
         }
     }
 
-    static set(key, data) {
+    load(keys) {
+        const result = {};
         try {
-            localStorage.setItem(key, JSON.stringify(data));
-            return true;
+            keys.forEach(key => {
+                const data = localStorage.getItem(key);
+                result[key] = data ? JSON.parse(data) : null;
+            });
         } catch (error) {
-            console.error(`SCM Storage Error (${key}):`, error);
-            this.showError('Storage Error', 'Failed to save data to storage.');
-            return false;
+            // Loading an unreadable key as empty would let the next save wipe
+            // it, so fail the whole load and leave storage read-only
+            return Promise.reject(error);
         }
+        return Promise.resolve(result);
     }
 
-    static remove(key) {
+    save(key, data) {
+        // Written synchronously so quota errors surface to the caller immediately
+        localStorage.setItem(key, JSON.stringify(data));
+        return Promise.resolve();
+    }
+
+    remove(key) {
         localStorage.removeItem(key);
+        return Promise.resolve();
     }
 
-    static clear() {
+    clear() {
         localStorage.clear();
+        return Promise.resolve();
     }
+}
 
-    static showError(title, message) {
-        if (typeof alert === 'function') {
-            alert(`❌ ${title}\n\n${message}`);
-        }
+class MemoryStorageAdapter {
+    constructor() {
+        this.store = new Map();
+    }
+
+    peek(key) {
+        return this.store.has(key) ? JSON.parse(this.store.get(key)) : null;
+    }
+
+    load(keys) {
+        const result = {};
+        keys.forEach(key => {
+            result[key] = this.store.has(key) ? JSON.parse(this.store.get(key)) : null;
+        });
+        return Promise.resolve(result);
+    }
+
+    save(key, data) {
+        this.store.set(key, JSON.stringify(data));
+        return Promise.resolve();
+    }
+
+    remove(key) {
+        this.store.delete(key);
+        return Promise.resolve();
+    }
+
+    clear() {
+        this.store.clear();
+        return Promise.resolve();
     }
 }
 
-// ===== SCM VALIDATION ENGINE =====
-class SCMValidator {
-    static validateStockItem(data) {
-        const errors = [];
+class IndexedDBStorageAdapter {
+    constructor(options = {}) {
+        this.dbName = options.dbName || 'scm-stock-system';
+        this.storeName = options.storeName || 'scmData';
+        this.db = null;
+    }
 
-        if (!data.itemName || data.itemName.trim().length < 2) {
-            errors.push('Item name must be at least 2 characters');
-        }
+    open() {
+        if (this.db) return Promise.resolve(this.db);
 
-        if (!data.category) {
-            errors.push('Category is required');
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+
+            request.onupgradeneeded = () => {
+                request.result.createObjectStore(this.storeName);
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    run(mode, operation) {
+        return this.open().then(db => new Promise((resolve, reject) => {
+            const transaction = db.transaction(this.storeName, mode);
+            const request = operation(transaction.objectStore(this.storeName));
+
+            transaction.oncomplete = () => resolve(request ? request.result : undefined);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+        }));
+    }
+
+    load(keys) {
+        return Promise.all(keys.map(key =>
+            this.run('readonly', store => store.get(key))
+                .then(data => [key, data === undefined ? null : data])
+        )).then(entries => Object.fromEntries(entries));
+    }
+
+    save(key, data) {
+        return this.run('readwrite', store => store.put(data, key));
+    }
+
+    saveRevision(key, data, revision, expectedRevision) {
+        // The check and both writes share one readwrite transaction, so no
+        // other writer can get in between them
+        const revisionKey = SCMStorage.revisionKey(key);
+        let conflict = null;
+
+        return this.run('readwrite', store => {
+            const check = store.get(revisionKey);
+            check.onsuccess = () => {
+                const stored = check.result || 0;
+                if (expectedRevision !== undefined && stored !== expectedRevision) {
+                    conflict = Object.assign(
+                        new Error(`Revision conflict on ${key}: expected ${expectedRevision}, found ${stored}`),
+                        { conflict: true }
+                    );
+                    check.transaction.abort();
+                    return;
+                }
+                store.put(data, key);
+                store.put(revision, revisionKey);
+            };
+            return null;
+        }).catch(error => {
+            throw conflict || error;
+        });
+    }
+
+    remove(key) {
+        return this.run('readwrite', store => store.delete(key));
+    }
+
+    clear() {
+        return this.run('readwrite', store => store.clear());
+    }
+}
+
+class HttpStorageAdapter {
+    constructor(options = {}) {
+        this.baseUrl = (options.baseUrl || '').replace(/\/+$/, '');
+        this.headers = options.headers || {};
+    }
+
+    request(method, key, body, headers = {}) {
+        const url = key ? `${this.baseUrl}/${encodeURIComponent(key)}` : this.baseUrl;
+
+        return fetch(url, {
+            method: method,
+            headers: { 'Content-Type': 'application/json', ...this.headers, ...headers },
+            body: body === undefined ? undefined : JSON.stringify(body)
+        }).then(response => {
+            // A missing key simply has no data yet
+            if (response.status === 404) return null;
+
+            if (response.status === 409 || response.status === 412) {
+                throw Object.assign(new Error(`Revision conflict on ${key}: HTTP ${response.status}`), { conflict: true });
+            }
+
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status} ${response.statusText}`);
+            }
+
+            if (method !== 'GET' || response.status === 204) return null;
+            return response.json();
+        });
+    }
+
+    load(keys) {
+        return Promise.all(keys.map(key =>
+            this.request('GET', key).then(data => [key, data])
+        )).then(entries => Object.fromEntries(entries));
+    }
+
+    save(key, data) {
+        return this.request('PUT', key, data);
+    }
+
+    saveRevision(key, data, revision, expectedRevision) {
+        // The server stores X-SCM-Revision as the key's revision (served as
+        // <key>:revision) in the same step as the data, and answers 409 or 412
+        // when If-Match no longer matches the stored revision
+        const headers = { 'X-SCM-Revision': String(revision) };
+        if (expectedRevision !== undefined) {
+            headers['If-Match'] = `"${expectedRevision}"`;
         }
+        return this.request('PUT', key, data, headers);
+    }
+
+    remove(key) {
+        return this.request('DELETE', key);
+    }
 
-        if (!data.quantity || data.quantity < 1) {
-            errors.push('Quantity must be at least 1');
+    clear() {
+        return this.request('DELETE');
+    }
+}
+
+// ===== SCM STORAGE MANAGER =====
+// Reads are served synchronously from a cache that is loaded from the active
+// adapter on startup; writes update the cache and are persisted in the background.
+// Every key carries a revision number so a write based on stale data (e.g. another
+// tab wrote in the meantime) is detected instead of silently overwriting it.
+class SCMStorage {
+    static createAdapter(backend = SCM_CONFIG.STORAGE_BACKEND) {
+        const options = SCM_CONFIG.STORAGE_OPTIONS;
+
+        switch (backend) {
+            case 'indexedDB':
+                return new IndexedDBStorageAdapter({ dbName: options.INDEXEDDB_NAME });
+            case 'memory':
+                return new MemoryStorageAdapter();
+            case 'http':
+                return new HttpStorageAdapter({ baseUrl: options.HTTP_BASE_URL, headers: options.HTTP_HEADERS });
+            case 'localStorage':
+                return new LocalStorageAdapter();
+            default:
+                throw new Error(`Unknown storage backend: ${backend}`);
         }
+    }
 
-        if (!data.unitCost || data.unitCost < 0) {
-            errors.push('Unit cost must be a positive number');
+    static init(adapter) {
+        this.adapter = adapter || this.createAdapter();
+        this.cache = {};
+        this.revisions = {};
+        this.pending = new Set();
+        this.loadFailed = false;
+
+        const keys = Object.values(SCM_CONFIG.STORAGE_KEYS);
+
+        this.readyPromise = this.adapter.load([...keys, ...keys.map(key => this.revisionKey(key))])
+            .then(data => {
+                keys.forEach(key => {
+                    this.cache[key] = data[key];
+                    this.revisions[key] = data[this.revisionKey(key)] || 0;
+                });
+                this.watch();
+                return true;
+            })
+            .catch(error => {
+                // Writing over data we could not read would destroy it, so stay read-only
+                console.error('SCM Storage Error (init):', error);
+                this.loadFailed = true;
+                this.showError('Storage Error', 'Failed to load data from storage. Nothing will be saved; reload the page to try again.');
+                return false;
+            });
+
+        return this.readyPromise;
+    }
+
+    static ready() {
+        return this.readyPromise || this.init();
+    }
+
+    static get(key) {
+        const data = this.cache ? this.cache[key] : undefined;
+        // Hand out copies so callers can modify results without touching the cache
+        return data === undefined || data === null ? null : JSON.parse(JSON.stringify(data));
+    }
+
+    static revisionKey(key) {
+        return `${key}:revision`;
+    }
+
+    static getRevision(key) {
+        return this.revisions[key] || 0;
+    }
+
+    static sync(key) {
+        // Pull in another tab's write if the stored revision moved past ours
+        if (!this.adapter.peek) return false;
+
+        const revision = this.adapter.peek(this.revisionKey(key));
+        if (revision === undefined || (revision || 0) === this.getRevision(key)) return false;
+
+        const data = this.adapter.peek(key);
+        if (data === undefined) return false;
+
+        this.cache[key] = data;
+        this.revisions[key] = revision || 0;
+        return true;
+    }
+
+    static set(key, data, expectedRevision) {
+        if (this.loadFailed) return false;
+
+        if (expectedRevision !== undefined) {
+            this.sync(key);
+            if (this.getRevision(key) !== expectedRevision) {
+                console.warn(`SCM Storage conflict (${key}): expected revision ${expectedRevision}, found ${this.getRevision(key)}`);
+                return false;
+            }
         }
 
-        if (!data.supplierName || data.supplierName.trim().length < 2) {
-            errors.push('Supplier name is required');
+        try {
+            const revision = this.getRevision(key) + 1;
+            const operation = this.adapter.saveRevision ?
+                this.saveRevision(key, data, revision, expectedRevision) :
+                Promise.all([
+                    this.adapter.save(key, data),
+                    this.adapter.save(this.revisionKey(key), revision)
+                ]);
+            this.cache[key] = JSON.parse(JSON.stringify(data));
+            this.revisions[key] = revision;
+            this.track(operation, key, 'Failed to save data to storage.');
+            return true;
+        } catch (error) {
+            console.error(`SCM Storage Error (${key}):`, error);
+            this.showError('Storage Error', 'Failed to save data to storage.');
+            return false;
         }
+    }
 
-        if (!data.dateReceived) {
-            errors.push('Date received is required');
+    static saveRevision(key, data, revision, expectedRevision) {
+        // Writes to one key go out in order, since each is checked against the
+        // revision the previous one wrote. A write that lost to another writer
+        // is dropped and the stored data is loaded in its place.
+        this.queues = this.queues || {};
+        const operation = (this.queues[key] || Promise.resolve())
+            .catch(() => null)
+            .then(() => this.adapter.saveRevision(key, data, revision, expectedRevision))
+            .catch(error => {
+                if (!error.conflict) throw error;
+                console.warn(`SCM Storage conflict (${key}): ${error.message}`);
+                return this.reload(key);
+            });
+
+        this.queues[key] = operation;
+        return operation;
+    }
+
+    static reload(key) {
+        return this.adapter.load([key, this.revisionKey(key)]).then(data => {
+            this.cache[key] = data[key];
+            this.revisions[key] = data[this.revisionKey(key)] || 0;
+            SCMUI.showNotification('Data was changed elsewhere and your last change was not saved. Please review and try again.', 'warning', 5000);
+            this.notifyExternalChange([key]);
+        });
+    }
+
+    static update(key, modifier, maxAttempts = 3) {
+        // Read-modify-write against the latest data. The modifier receives the
+        // current value and returns the new one, or null to abort without writing.
+        if (this.loadFailed) return false;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            this.sync(key);
+            const revision = this.getRevision(key);
+            const data = modifier(this.get(key));
+
+            if (data === null) return false;
+            if (this.set(key, data, revision)) return true;
         }
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
+        SCMUI.showNotification('Data was changed in another tab. Please review and try again.', 'warning', 5000);
+        return false;
     }
 
-    static validateIssueRequest(data, availableQuantity) {
-        const errors = [];
+    static remove(key) {
+        if (this.loadFailed) return;
+
+        delete this.cache[key];
+        this.revisions[key] = this.getRevision(key) + 1;
+        const revision = this.revisions[key];
+        this.track(
+            Promise.all([this.adapter.remove(key), this.adapter.save(this.revisionKey(key), revision)]),
+            key,
+            'Failed to remove data from storage.'
+        );
+    }
+
+    static clear() {
+        if (this.loadFailed) return;
+
+        this.cache = {};
+        this.revisions = {};
+        this.track(this.adapter.clear(), 'clear', 'Failed to clear storage.');
+    }
+
+    static watch() {
+        // Only localStorage raises storage events, and only in the other tabs
+        if (!(this.adapter instanceof LocalStorageAdapter) || typeof window === 'undefined') return;
+
+        window.addEventListener('storage', event => {
+            const keys = Object.values(SCM_CONFIG.STORAGE_KEYS);
+            let changed;
+
+            if (event.key === null) {
+                // Another tab cleared storage
+                changed = keys.filter(key => this.cache[key] !== null && this.cache[key] !== undefined);
+                keys.forEach(key => {
+                    this.cache[key] = null;
+                    this.revisions[key] = 0;
+                });
+            } else {
+                changed = keys.filter(key => event.key === key || event.key === this.revisionKey(key))
+                    .filter(key => this.sync(key));
+            }
+
+            if (changed.length > 0) {
+                this.notifyExternalChange(changed);
+            }
+        });
+    }
+
+    static notifyExternalChange(keys) {
+        // Batch the data and revision events of one write into a single refresh
+        this.changedKeys = [...new Set([...(this.changedKeys || []), ...keys])];
+        clearTimeout(this.refreshTimer);
+
+        this.refreshTimer = setTimeout(() => {
+            const detail = { keys: this.changedKeys };
+            this.changedKeys = [];
+            document.dispatchEvent(new CustomEvent('scm:refresh', { detail: detail }));
+        }, 50);
+    }
+
+    static track(operation, key, failureMessage) {
+        this.pending.add(operation);
+        operation
+            .catch(error => {
+                console.error(`SCM Storage Error (${key}):`, error);
+                this.showError('Storage Error', failureMessage);
+            })
+            .then(() => this.pending.delete(operation));
+    }
+
+    static flush() {
+        // Resolves once every write issued so far has reached the adapter
+        return Promise.all(Array.from(this.pending).map(operation => operation.catch(() => null)));
+    }
+
+    static showError(title, message) {
+        if (typeof alert === 'function') {
+            alert(`❌ ${title}\n\n${message}`);
+        }
+    }
+}
+
+// ===== SCM ID SERVICE =====
+// Internal IDs stay numeric because the pages pass them unquoted to inline
+// onclick handlers. Document numbers are sequential per series and their
+// counters are persisted, so a number is never handed out twice.
+class SCMIdService {
+    static getSequences() {
+        const sequences = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ID_SEQUENCES) || {};
+        return {
+            lastId: sequences.lastId || 0,
+            counters: sequences.counters || {}
+        };
+    }
+
+    static nextId() {
+        let id;
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ID_SEQUENCES, () => {
+            const sequences = this.getSequences();
+            const now = Date.now();
+
+            // Two calls in the same millisecond would otherwise share an ID
+            id = sequences.lastId = now > sequences.lastId ? now : sequences.lastId + 1;
+            return sequences;
+        });
+
+        return id;
+    }
+
+    static getSeriesKey(series, date = new Date()) {
+        const format = SCM_CONFIG.DOCUMENT_NUMBERS[series];
+        if (!format) {
+            throw new Error(`Unknown document series ${series}`);
+        }
+
+        return format.yearly ? `${format.prefix}-${new Date(date).getFullYear()}` : format.prefix;
+    }
+
+    static formatDocumentNumber(series, seriesKey, sequence) {
+        const format = SCM_CONFIG.DOCUMENT_NUMBERS[series];
+        return `${seriesKey}-${String(sequence).padStart(format.digits, '0')}`;
+    }
+
+    static nextDocumentNumber(series, date = new Date()) {
+        const seriesKey = this.getSeriesKey(series, date);
+        let sequence;
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ID_SEQUENCES, () => {
+            const sequences = this.getSequences();
+            sequence = sequences.counters[seriesKey] = (sequences.counters[seriesKey] || 0) + 1;
+            return sequences;
+        });
+
+        return this.formatDocumentNumber(series, seriesKey, sequence);
+    }
+
+    static restoreSequences(restored) {
+        // Counters from a backup only ever raise the current ones, so numbers
+        // handed out since the backup was taken are not issued again
+        if (!restored) return;
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ID_SEQUENCES, () => {
+            const sequences = this.getSequences();
+
+            if (restored.lastId > sequences.lastId) {
+                sequences.lastId = restored.lastId;
+            }
+            Object.entries(restored.counters || {}).forEach(([seriesKey, sequence]) => {
+                if (sequence > (sequences.counters[seriesKey] || 0)) {
+                    sequences.counters[seriesKey] = sequence;
+                }
+            });
+
+            return sequences;
+        });
+    }
+
+    static syncSequences() {
+        // Raise counters past anything already stored, e.g. after a restore or merge
+        const records = [
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.STOCK_LEDGER) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.LOCATIONS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.SUPPLIERS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.RECIPIENTS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.STOCK_TRANSFERS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.PRICE_LISTS) || []),
+            ...(SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INVOICES) || [])
+        ];
+        let sequences;
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ID_SEQUENCES, () => {
+            sequences = this.getSequences();
+
+            records.forEach(record => {
+                if (typeof record.id === 'number' && record.id > sequences.lastId) {
+                    sequences.lastId = record.id;
+                }
+
+                const match = /^(.+)-(\d+)$/.exec(record.documentNumber || '');
+                if (match) {
+                    const sequence = parseInt(match[2]);
+                    if (sequence > (sequences.counters[match[1]] || 0)) {
+                        sequences.counters[match[1]] = sequence;
+                    }
+                }
+            });
+
+            return sequences;
+        });
+
+        return sequences;
+    }
+}
+
+// ===== SCM AUTHENTICATION =====
+// Local user accounts with PBKDF2-hashed passwords. The session lives under
+// USER_SESSION and every permission check goes through hasPermission().
+class SCMAuth {
+    static getUsers() {
+        return SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.USERS) || [];
+    }
+
+    static findUser(username) {
+        const name = (username || '').trim().toLowerCase();
+        return this.getUsers().find(user => user.username === name) || null;
+    }
+
+    static needsSetup() {
+        return this.getUsers().length === 0;
+    }
+
+    static toPublic(user) {
+        // Never hand password material to the pages
+        const { passwordHash, salt, iterations, ...publicUser } = user;
+        return publicUser;
+    }
+
+    static generateSalt() {
+        const bytes = crypto.getRandomValues(new Uint8Array(16));
+        return Array.from(bytes).map(byte => byte.toString(16).padStart(2, '0')).join('');
+    }
+
+    static hashPassword(password, salt, iterations = SCM_CONFIG.PASSWORD_ITERATIONS) {
+        const encoder = new TextEncoder();
+
+        return crypto.subtle.importKey('raw', encoder.encode(password), 'PBKDF2', false, ['deriveBits'])
+            .then(key => crypto.subtle.deriveBits(
+                { name: 'PBKDF2', salt: encoder.encode(salt), iterations: iterations, hash: 'SHA-256' },
+                key,
+                256
+            ))
+            .then(bits => Array.from(new Uint8Array(bits))
+                .map(byte => byte.toString(16).padStart(2, '0'))
+                .join(''));
+    }
+
+    static validateUser(userData, isNew) {
+        const errors = [];
+
+        if (isNew && !/^[a-z0-9._-]{3,30}$/.test(userData.username || '')) {
+            errors.push('Username must be 3-30 characters: lowercase letters, numbers, dot, dash or underscore');
+        }
+
+        if (isNew && this.findUser(userData.username)) {
+            errors.push(`Username ${userData.username} is already taken`);
+        }
+
+        if (userData.displayName !== undefined && userData.displayName.trim().length < 2) {
+            errors.push('Display name must be at least 2 characters');
+        }
+
+        if ((isNew || userData.password !== undefined) && (userData.password || '').length < 8) {
+            errors.push('Password must be at least 8 characters');
+        }
+
+        if (userData.role !== undefined && !SCM_CONFIG.ROLES[userData.role]) {
+            errors.push(`Unknown role ${userData.role}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static createUser(userData) {
+        const firstUser = this.needsSetup();
+        const data = {
+            ...userData,
+            username: (userData.username || '').trim().toLowerCase(),
+            displayName: (userData.displayName || '').trim(),
+            // The first account is always an administrator so the system can be managed
+            role: firstUser ? 'admin' : userData.role
+        };
+
+        if (!firstUser && !this.authorize('users.manage')) {
+            return Promise.resolve({ success: false, message: 'Only administrators can create users' });
+        }
+
+        const validation = this.validateUser(data, true);
+        if (!validation.isValid) {
+            return Promise.resolve({ success: false, message: validation.errors.join(', ') });
+        }
+
+        const salt = this.generateSalt();
+
+        return this.hashPassword(data.password, salt).then(passwordHash => {
+            const user = {
+                id: SCMIdService.nextId(),
+                username: data.username,
+                displayName: data.displayName,
+                role: data.role,
+                salt: salt,
+                iterations: SCM_CONFIG.PASSWORD_ITERATIONS,
+                passwordHash: passwordHash,
+                active: true,
+                createdAt: new Date().toISOString(),
+                createdBy: firstUser ? data.displayName : this.currentUserName(),
+                lastLogin: null
+            };
+
+            let duplicate = false;
+            const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.USERS, users => {
+                users = users || [];
+                duplicate = users.some(existing => existing.username === user.username);
+                return duplicate ? null : [...users, user];
+            });
+
+            if (!saved) {
+                return { success: false, message: duplicate ? `Username ${user.username} is already taken` : 'Failed to save user' };
+            }
+
+            SCMAudit.record('CREATE', 'User', {
+                after: this.toPublic(user),
+                actor: user.createdBy,
+                notes: `User ${user.username} created as ${SCM_CONFIG.ROLES[user.role].label}`
+            });
+
+            return { success: true, message: `User ${user.username} created`, data: this.toPublic(user) };
+        });
+    }
+
+    static updateUser(username, changes) {
+        if (!this.authorize('users.manage')) {
+            return Promise.resolve({ success: false, message: 'Only administrators can change users' });
+        }
+
+        const user = this.findUser(username);
+        if (!user) {
+            return Promise.resolve({ success: false, message: 'User not found' });
+        }
+
+        const validation = this.validateUser(changes, false);
+        if (!validation.isValid) {
+            return Promise.resolve({ success: false, message: validation.errors.join(', ') });
+        }
+
+        // Keep at least one active administrator
+        const losesAdmin = user.role === 'admin' && user.active &&
+            ((changes.role && changes.role !== 'admin') || changes.active === false);
+        const otherAdmins = this.getUsers().filter(u => u.role === 'admin' && u.active && u.username !== user.username);
+        if (losesAdmin && otherAdmins.length === 0) {
+            return Promise.resolve({ success: false, message: 'At least one active administrator is required' });
+        }
+
+        const { password, ...fieldChanges } = changes;
+        const salt = password ? this.generateSalt() : user.salt;
+        const hashing = password ? this.hashPassword(password, salt) : Promise.resolve(user.passwordHash);
+
+        return hashing.then(passwordHash => {
+            let before, after;
+            const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.USERS, users => {
+                const index = users.findIndex(u => u.username === user.username);
+                before = users[index];
+                after = users[index] = {
+                    ...users[index],
+                    ...fieldChanges,
+                    salt: salt,
+                    iterations: password ? SCM_CONFIG.PASSWORD_ITERATIONS : users[index].iterations,
+                    passwordHash: passwordHash
+                };
+                return users;
+            });
+
+            if (!saved) {
+                return { success: false, message: 'Failed to save user' };
+            }
+
+            SCMAudit.record('UPDATE', 'User', {
+                before: this.toPublic(before),
+                after: this.toPublic(after),
+                notes: `User ${user.username} updated${password ? ' (password reset)' : ''}`
+            });
+
+            return { success: true, message: `User ${user.username} updated`, data: this.toPublic(after) };
+        });
+    }
+
+    static login(username, password) {
+        const user = this.findUser(username);
+        const failure = { success: false, message: 'Invalid username or password' };
+
+        if (!user || !user.active) {
+            return Promise.resolve(failure);
+        }
+
+        return this.hashPassword(password || '', user.salt, user.iterations).then(passwordHash => {
+            if (passwordHash !== user.passwordHash) {
+                return failure;
+            }
+
+            const now = new Date();
+            const session = {
+                username: user.username,
+                displayName: user.displayName,
+                role: user.role,
+                loginAt: now.toISOString(),
+                expiresAt: new Date(now.getTime() + SCM_CONFIG.SESSION_HOURS * 60 * 60 * 1000).toISOString()
+            };
+
+            SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.USER_SESSION, session);
+            SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.USERS, users => {
+                users.find(u => u.username === user.username).lastLogin = session.loginAt;
+                return users;
+            });
+
+            return { success: true, message: `Welcome, ${user.displayName}`, data: session };
+        });
+    }
+
+    static logout() {
+        SCMStorage.remove(SCM_CONFIG.STORAGE_KEYS.USER_SESSION);
+        SCMStorage.flush().then(() => {
+            window.location.href = 'login.html';
+        });
+    }
+
+    static getSession() {
+        const session = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.USER_SESSION);
+        if (!session || new Date(session.expiresAt) <= new Date()) return null;
+
+        // A deactivated or demoted account loses its old rights immediately
+        const user = this.findUser(session.username);
+        if (!user || !user.active) return null;
+
+        return { ...session, role: user.role, displayName: user.displayName };
+    }
+
+    static currentUser() {
+        return this.getSession();
+    }
+
+    static currentUserName() {
+        const session = this.getSession();
+        return session ? session.displayName : 'System User';
+    }
+
+    static hasPermission(permission) {
+        const session = this.getSession();
+        if (!session) return false;
+
+        const role = SCM_CONFIG.ROLES[session.role];
+        return !!role && (role.permissions.includes('*') || role.permissions.includes(permission));
+    }
+
+    static authorize(permission) {
+        if (this.hasPermission(permission)) return true;
+
+        const session = this.getSession();
+        const action = SCM_CONFIG.PERMISSIONS[permission] || permission;
+        SCMUI.showNotification(
+            session ?
+                `Your role (${SCM_CONFIG.ROLES[session.role].label}) is not allowed to ${action}` :
+                `Please log in to ${action}`,
+            'error'
+        );
+        return false;
+    }
+
+    static deniedResult(permission) {
+        return {
+            success: false,
+            message: `You are not allowed to ${SCM_CONFIG.PERMISSIONS[permission] || permission}`
+        };
+    }
+
+    static requireLogin() {
+        // Returns false when the page is being sent to the login screen
+        const currentPage = decodeURIComponent(window.location.pathname.split('/').pop());
+        if (currentPage === 'login.html' || this.getSession()) return true;
+
+        window.location.href = `login.html?next=${encodeURIComponent(currentPage || 'index.html')}`;
+        return false;
+    }
+}
+
+// ===== SCM VALIDATION ENGINE =====
+class SCMValidator {
+    static validateStockItem(data) {
+        const errors = [];
+
+        if (!data.itemName || data.itemName.trim().length < 2) {
+            errors.push('Item name must be at least 2 characters');
+        }
+
+        if (!data.category) {
+            errors.push('Category is required');
+        }
+
+        if (data.sku && !SCMItems.isValidSku(data.sku)) {
+            errors.push('SKU must be 2-30 letters, digits or . _ / -');
+        }
+
+        const quantityError = SCMUnits.checkQuantity(data.quantity, data.unit);
+        if (quantityError) {
+            errors.push(quantityError);
+        }
+
+        if (!data.unitCost || data.unitCost < 0) {
+            errors.push('Unit cost must be a positive number');
+        }
+
+        const sellingPrice = StockItem.parseCost(data.sellingPrice);
+        if (sellingPrice !== null && !(sellingPrice >= 0)) {
+            errors.push('Selling price must be zero or more');
+        }
+
+        if (!data.supplierName || data.supplierName.trim().length < 2) {
+            errors.push('Supplier name is required');
+        }
+
+        if (!data.dateReceived) {
+            errors.push('Date received is required');
+        }
+
+        errors.push(...this.validateUnits(data).errors);
+        errors.push(...this.validateStockLevels(data).errors);
+
+        if (data.trackLots) {
+            errors.push(...this.validateLot(data).errors);
+        }
+
+        if (data.trackSerials) {
+            if (data.trackLots) {
+                errors.push('An item tracks either lots or serial numbers, not both');
+            }
+            errors.push(...this.validateSerialNumbers(SCMSerials.parse(data.serialNumbers), SCMUnits.parse(data.quantity)).errors);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateLot(data) {
+        const errors = [];
+
+        if (!data.lotNumber || !/^[A-Za-z0-9][A-Za-z0-9./-]{0,29}$/.test(data.lotNumber.trim())) {
+            errors.push('Lot number is required (up to 30 letters, numbers, dots, dashes or slashes)');
+        }
+
+        if (data.expiryDate && isNaN(new Date(data.expiryDate).getTime())) {
+            errors.push('Expiry date is not a valid date');
+        } else if (data.expiryDate && data.dateReceived && data.expiryDate < data.dateReceived) {
+            errors.push('Expiry date cannot be before the date received');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    // One serial number per unit, each used once
+    static validateSerialNumbers(serialNumbers, quantity) {
+        const errors = [];
+        const serials = serialNumbers || [];
+
+        if (serials.length !== quantity) {
+            errors.push(`Enter one serial number per unit (${serials.length} entered for ${quantity} units)`);
+        }
+
+        const invalid = serials.filter(serial => !/^[A-Z0-9][A-Z0-9./-]{0,39}$/.test(serial));
+        if (invalid.length > 0) {
+            errors.push(`Invalid serial numbers: ${invalid.join(', ')}`);
+        }
+
+        const duplicates = serials.filter((serial, index) => serials.indexOf(serial) !== index);
+        if (duplicates.length > 0) {
+            errors.push(`Serial numbers entered more than once: ${[...new Set(duplicates)].join(', ')}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    // The base unit must be known; purchase and issue units need a name and a pack size
+    static validateUnits(data) {
+        const errors = [];
+        const unit = data.unit || SCM_CONFIG.DEFAULT_UNIT;
+
+        if (!SCM_CONFIG.UNITS_OF_MEASURE[unit]) {
+            errors.push(`Unknown unit of measure: ${unit}`);
+        }
+
+        [['purchaseUnit', 'purchaseUnitSize', 'Purchase unit'], ['issueUnit', 'issueUnitSize', 'Issue unit']].forEach(([nameField, sizeField, label]) => {
+            const name = (data[nameField] || '').trim();
+            const size = data[sizeField];
+            if (!name && (size === null || size === undefined || size === '')) return;
+
+            if (!name || name.length > 20) {
+                errors.push(`${label} needs a name of up to 20 characters`);
+            }
+
+            const sizeError = SCMUnits.checkQuantity(size, unit, `${label} size`);
+            if (sizeError) {
+                errors.push(sizeError);
+            }
+        });
+
+        if (data.trackSerials && SCMUnits.getUnit(unit).decimals > 0) {
+            errors.push('Serial-numbered items must be counted in whole units');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateStockLevels(data) {
+        const errors = [];
+        const fields = { reorderPoint: 'Reorder point', safetyStock: 'Safety stock', minLevel: 'Minimum level', maxLevel: 'Maximum level' };
+
+        Object.entries(fields).forEach(([field, label]) => {
+            const value = data[field];
+            if (value !== null && value !== undefined && value !== '' && !(Number(value) >= 0 && SCMUnits.fits(Number(value), data))) {
+                errors.push(SCMUnits.getUnit(data.unit).decimals > 0 ?
+                    `${label} must be 0 or more with at most ${SCMUnits.getUnit(data.unit).decimals} decimal places` :
+                    `${label} must be a whole number of 0 or more`);
+            }
+        });
+
+        if (errors.length > 0) {
+            return { isValid: false, errors: errors };
+        }
+
+        // Check the levels that will actually apply, including category and global defaults
+        const levels = SCMCalculator.getStockLevels(data);
+
+        if (levels.minLevel > levels.reorderPoint) {
+            errors.push(`Minimum level (${levels.minLevel}) cannot be above the reorder point (${levels.reorderPoint})`);
+        }
+
+        if (levels.safetyStock > levels.reorderPoint) {
+            errors.push(`Safety stock (${levels.safetyStock}) cannot be above the reorder point (${levels.reorderPoint})`);
+        }
+
+        if (levels.maxLevel !== null && levels.maxLevel <= levels.reorderPoint) {
+            errors.push(`Maximum level (${levels.maxLevel}) must be above the reorder point (${levels.reorderPoint})`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateIssueRequest(data, availableQuantity) {
+        const errors = [];
+
+        if (!data.itemId) {
+            errors.push('Item selection is required');
+        }
+
+        const quantityError = SCMUnits.checkQuantity(data.quantityIssued, data.unit, 'Quantity to issue');
+        if (quantityError) {
+            errors.push(quantityError);
+        }
+
+        if (data.quantityIssued > availableQuantity) {
+            errors.push(`Cannot issue more than ${SCMUnits.format(availableQuantity, data.unit)} (available stock)`);
+        }
+
+        if (!data.issuedTo || data.issuedTo.trim().length < 2) {
+            errors.push('Recipient name is required');
+        }
+
+        if (!data.reason) {
+            errors.push('Reason for issuance is required');
+        }
+
+        if (!data.date) {
+            errors.push('Issue date is required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateSearchTerm(term) {
+        return term && term.trim().length >= 2;
+    }
+
+    static validateStockRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!record.itemName || record.itemName.trim().length < 2) {
+            errors.push('Item name must be at least 2 characters');
+        }
+
+        if (!record.category) {
+            errors.push('Category is required');
+        }
+
+        // Stored items may legitimately be fully depleted
+        if (typeof record.quantity !== 'number' || isNaN(record.quantity) || record.quantity < 0) {
+            errors.push('Quantity must be zero or more');
+        }
+
+        if (typeof record.unitCost !== 'number' || isNaN(record.unitCost) || record.unitCost < 0) {
+            errors.push('Unit cost must be a positive number');
+        }
+
+        if (!record.supplierName) {
+            errors.push('Supplier name is required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateIssueRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (record.itemId === undefined || record.itemId === null) {
+            errors.push('Item reference is missing');
+        }
+
+        if (!record.itemName) {
+            errors.push('Item name is required');
+        }
+
+        if (typeof record.quantityIssued !== 'number' || isNaN(record.quantityIssued) || record.quantityIssued <= 0) {
+            errors.push('Quantity issued must be more than zero');
+        }
+
+        if (!record.issuedTo) {
+            errors.push('Recipient name is required');
+        }
+
+        if (!record.date) {
+            errors.push('Issue date is required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateMovementRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!SCM_CONFIG.MOVEMENT_TYPES[record.movementType]) {
+            errors.push(`Unknown movement type ${record.movementType}`);
+        }
+
+        if (typeof record.quantityChange !== 'number' || isNaN(record.quantityChange)) {
+            errors.push('Quantity change must be a number');
+        }
+
+        if (!record.date) {
+            errors.push('Movement date is required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateRequestRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (record.itemId === undefined || record.itemId === null) {
+            errors.push('Item reference is missing');
+        }
+
+        if (typeof record.quantity !== 'number' || isNaN(record.quantity) || record.quantity <= 0) {
+            errors.push('Requested quantity must be more than zero');
+        }
+
+        if (!['pending', 'approved', 'rejected', 'fulfilled'].includes(record.status)) {
+            errors.push(`Unknown request status ${record.status}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateLocationRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!record.code) {
+            errors.push('Location code is required');
+        }
+
+        if (!record.name) {
+            errors.push('Location name is required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateTransferRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (record.itemId === undefined || record.itemId === null) {
+            errors.push('Item reference is missing');
+        }
+
+        if (typeof record.quantity !== 'number' || isNaN(record.quantity) || record.quantity <= 0) {
+            errors.push('Transferred quantity must be more than zero');
+        }
+
+        if (!record.fromLocationId || !record.toLocationId) {
+            errors.push('Both locations are required');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateCountRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!['counting', 'submitted', 'approved', 'posted', 'cancelled'].includes(record.status)) {
+            errors.push(`Unknown count status ${record.status}`);
+        }
+
+        if (!Array.isArray(record.lines)) {
+            errors.push('Count lines must be a list');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateSupplierRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!record.code) {
+            errors.push('Supplier code is required');
+        }
+
+        if (!record.name) {
+            errors.push('Supplier name is required');
+        }
+
+        if (record.contacts !== undefined && !Array.isArray(record.contacts)) {
+            errors.push('Supplier contacts must be a list');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateOrderRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!['draft', 'sent', 'partial', 'closed', 'cancelled'].includes(record.status)) {
+            errors.push(`Unknown order status ${record.status}`);
+        }
+
+        if (!Array.isArray(record.lines) || record.lines.some(line => !line || line.itemId === undefined || line.itemId === null)) {
+            errors.push('Order lines must be a list of items');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validatePriceListRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!record.name) {
+            errors.push('Price list name is required');
+        }
+
+        if (!Array.isArray(record.prices) || record.prices.some(entry => !entry || entry.itemId === undefined || entry.itemId === null)) {
+            errors.push('Prices must be a list of items');
+        }
+
+        if (record.customers !== undefined && !Array.isArray(record.customers)) {
+            errors.push('Customers must be a list');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateInvoiceRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!record.documentNumber) {
+            errors.push('Invoice number is required');
+        }
+
+        if (!['issued', 'void'].includes(record.status)) {
+            errors.push(`Unknown invoice status ${record.status}`);
+        }
+
+        if (!Array.isArray(record.lines)) {
+            errors.push('Invoice lines must be a list');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateRecipientRecord(record) {
+        const errors = [];
+
+        if (record.id === undefined || record.id === null) {
+            errors.push('Record ID is missing');
+        }
+
+        if (!record.code) {
+            errors.push('Recipient code is required');
+        }
+
+        if (!record.name) {
+            errors.push('Recipient name is required');
+        }
+
+        if (!SCM_CONFIG.RECIPIENTS.TYPES.includes(record.type)) {
+            errors.push(`Unknown recipient type ${record.type}`);
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static validateBackup(backup) {
+        const errors = [];
+
+        if (!backup || typeof backup !== 'object' || !backup.data) {
+            return { isValid: false, errors: ['File is not an SCM system backup'] };
+        }
+
+        // Only backups from the same major version can be restored
+        if (!backup.version) {
+            errors.push('Backup has no version information');
+        } else {
+            const backupMajor = parseInt(String(backup.version).split('.')[0]);
+            const systemMajor = parseInt(SCM_CONFIG.VERSION.split('.')[0]);
+            if (isNaN(backupMajor) || backupMajor !== systemMajor) {
+                errors.push(`Backup version ${backup.version} is not compatible with system version ${SCM_CONFIG.VERSION}`);
+            }
+        }
+
+        if (backup.schemaVersion > SCM_CONFIG.SCHEMA_VERSION) {
+            errors.push(`Backup data schema v${backup.schemaVersion} is newer than this system (v${SCM_CONFIG.SCHEMA_VERSION})`);
+        }
+
+        if (backup.sequences !== undefined && backup.sequences !== null) {
+            const sequences = backup.sequences;
+            const counters = sequences.counters || {};
+            if (typeof sequences !== 'object' || typeof counters !== 'object' ||
+                Object.values(counters).some(sequence => !Number.isInteger(sequence) || sequence < 0)) {
+                errors.push('Document number counters are not valid');
+            }
+        }
+
+        const collections = {
+            internalStock: record => this.validateStockRecord(record),
+            externalStock: record => this.validateStockRecord(record),
+            issueHistory: record => this.validateIssueRecord(record),
+            stockLedger: record => this.validateMovementRecord(record),
+            issueRequests: record => this.validateRequestRecord(record),
+            locations: record => this.validateLocationRecord(record),
+            stockTransfers: record => this.validateTransferRecord(record),
+            stockCounts: record => this.validateCountRecord(record),
+            suppliers: record => this.validateSupplierRecord(record),
+            purchaseOrders: record => this.validateOrderRecord(record),
+            priceLists: record => this.validatePriceListRecord(record),
+            invoices: record => this.validateInvoiceRecord(record),
+            recipients: record => this.validateRecipientRecord(record)
+        };
+
+        Object.entries(collections).forEach(([name, validate]) => {
+            const records = backup.data[name];
+
+            if (records === null || records === undefined) return;
+
+            if (!Array.isArray(records)) {
+                errors.push(`${name} must be a list of records`);
+                return;
+            }
+
+            const seenIds = new Set();
+            records.forEach((record, index) => {
+                const result = validate(record || {});
+                result.errors.forEach(error => errors.push(`${name} #${index + 1}: ${error}`));
+
+                if (record && seenIds.has(record.id)) {
+                    errors.push(`${name} #${index + 1}: Duplicate record ID ${record.id}`);
+                }
+                if (record) seenIds.add(record.id);
+            });
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+}
+
+// ===== SCM CALCULATION ENGINE =====
+class SCMCalculator {
+    static calculateStockValue(stockArray, method = SCMCosting.getMethod()) {
+        return stockArray.reduce((total, item) => {
+            return total + SCMCosting.getValue(item, method);
+        }, 0);
+    }
+
+    static calculateStockTurnover(issuedValue, averageInventory) {
+        if (averageInventory === 0) return 0;
+        return (issuedValue / averageInventory).toFixed(2);
+    }
+
+    static getStockLevels(item) {
+        // Item levels win, then the category default, then the global thresholds
+        const categoryLevels = SCM_CONFIG.CATEGORY_STOCK_LEVELS[item.category] || {};
+        const isSet = value => value !== null && value !== undefined && value !== '';
+        const source = field => isSet(item[field]) ? 'item' : isSet(categoryLevels[field]) ? 'category' : 'global';
+        const pick = (field, fallback) => {
+            if (isSet(item[field])) return SCMUnits.parse(item[field]);
+            if (isSet(categoryLevels[field])) return categoryLevels[field];
+            return fallback;
+        };
+
+        const minLevel = pick('minLevel', SCM_CONFIG.CRITICAL_STOCK_THRESHOLD);
+
+        return {
+            reorderPoint: pick('reorderPoint', SCM_CONFIG.LOW_STOCK_THRESHOLD),
+            safetyStock: pick('safetyStock', minLevel),
+            minLevel: minLevel,
+            maxLevel: pick('maxLevel', null),
+            source: source('reorderPoint')
+        };
+    }
+
+    static getStockStatus(item, quantity = item.quantity) {
+        const levels = this.getStockLevels(item);
+
+        if (quantity < levels.minLevel) return 'critical';
+        if (quantity < levels.reorderPoint) return 'low';
+        if (levels.maxLevel !== null && quantity > levels.maxLevel) return 'overstock';
+        return 'normal';
+    }
+
+    static isLowStock(item, quantity = item.quantity) {
+        const status = this.getStockStatus(item, quantity);
+        return status === 'critical' || status === 'low';
+    }
+
+    static isCriticalStock(item, quantity = item.quantity) {
+        return this.getStockStatus(item, quantity) === 'critical';
+    }
+
+    static getReorderQuantity(item, onOrder = 0) {
+        // Top up to the maximum level, or back to the reorder point for items
+        // without one; stock already on order counts towards the target
+        const levels = this.getStockLevels(item);
+        if (!this.isLowStock(item)) return null;
+
+        const target = levels.maxLevel !== null ? levels.maxLevel : levels.reorderPoint;
+        const quantity = SCMUnits.round(target - item.quantity - onOrder);
+        return quantity > 0 ? quantity : null;
+    }
+
+    // Ranks items by the value issued over the last year: the items making up the
+    // first ABC_CLASSES.A of that value are class A, up to ABC_CLASSES.B class B,
+    // and everything else, including items never issued, class C
+    static getABCClasses(stockArray, issueHistory) {
+        const since = new Date();
+        since.setFullYear(since.getFullYear() - 1);
+        const sinceDate = since.toISOString().split('T')[0];
+
+        const usage = {};
+        issueHistory
+            .filter(issue => !issue.reversed && issue.date >= sinceDate)
+            .forEach(issue => {
+                usage[issue.itemId] = (usage[issue.itemId] || 0) + (parseFloat(issue.totalValue) || 0);
+            });
+
+        const ranked = stockArray
+            .map(item => ({ id: item.id, value: usage[item.id] || 0 }))
+            .sort((a, b) => b.value - a.value);
+        const totalValue = ranked.reduce((sum, item) => sum + item.value, 0);
+
+        const classes = {};
+        let cumulative = 0;
+        ranked.forEach(item => {
+            // An item is classed by the share issued before it, so the top item is always A
+            const share = totalValue > 0 ? cumulative / totalValue : 1;
+            if (item.value <= 0) {
+                classes[item.id] = 'C';
+            } else if (share < SCM_CONFIG.ABC_CLASSES.A) {
+                classes[item.id] = 'A';
+            } else if (share < SCM_CONFIG.ABC_CLASSES.B) {
+                classes[item.id] = 'B';
+            } else {
+                classes[item.id] = 'C';
+            }
+            cumulative += item.value;
+        });
+
+        return classes;
+    }
+
+    static calculateLowStockCount(stockArray) {
+        return stockArray.filter(item => this.isLowStock(item)).length;
+    }
+
+    static calculateCriticalStockCount(stockArray) {
+        return stockArray.filter(item => this.isCriticalStock(item)).length;
+    }
+
+    static formatCurrency(amount) {
+        return `${SCM_CONFIG.CURRENCY} ${parseFloat(amount).toFixed(2)}`;
+    }
+
+    static formatDate(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleDateString(SCM_CONFIG.DATE_FORMAT, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric'
+        });
+    }
+
+    static formatDateTime(dateString) {
+        const date = new Date(dateString);
+        return date.toLocaleString(SCM_CONFIG.DATE_FORMAT, {
+            year: 'numeric',
+            month: 'short',
+            day: 'numeric',
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+    }
+}
+
+// ===== SCM DATA MANAGER =====
+class SCMDataManager {
+    static getAllStock() {
+        const internal = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK) || [];
+        const external = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK) || [];
+        return [...internal, ...external];
+    }
+
+    static getStockByType(type) {
+        const key = type === 'internal' ? 
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+        return SCMStorage.get(key) || [];
+    }
+
+    static findStockKey(itemId) {
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK);
+        const internalStock = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK) || [];
+        return internalStock.some(i => i.id === itemId) ?
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK :
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+    }
+
+    static saveStockItem(itemData, stockType) {
+        if (!SCMAuth.authorize('stock.receive')) return false;
+        
+        const receivedBy = itemData.receivedBy || SCMAuth.currentUserName();
+        const key = stockType === 'internal' ? 
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+        
+        // Stock is received into one location
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(itemData.locationId));
+        if (!location || !location.active) {
+            SCMUI.showNotification('Select an active receiving location', 'error');
+            return false;
+        }
+        
+        // Lot-tracked items start with the received quantity as their first lot
+        const quantity = SCMUnits.parse(itemData.quantity) || 0;
+        const lots = itemData.trackLots && quantity > 0 ? [{
+            lotNumber: (itemData.lotNumber || '').trim(),
+            expiryDate: itemData.expiryDate || null,
+            dateReceived: itemData.dateReceived,
+            quantity: quantity,
+            locationId: location.id
+        }] : [];
+        
+        // Serialized items list each unit received
+        const serialNumbers = itemData.trackSerials ? SCMSerials.parse(itemData.serialNumbers) : [];
+        
+        // A supplier name the directory knows is stored the way the directory has it
+        const supplier = SCMSuppliers.findByName(itemData.supplierName);
+        
+        const newItem = new StockItem({ 
+            ...itemData, 
+            supplierName: supplier ? supplier.name : itemData.supplierName,
+            supplierId: supplier ? supplier.id : null,
+            locationQuantities: { [location.id]: quantity },
+            lots: lots,
+            serials: serialNumbers.map(serial => ({ serialNumber: serial, locationId: location.id, dateReceived: itemData.dateReceived })),
+            documentNumber: itemData.documentNumber || SCMIdService.nextDocumentNumber('ITEM'),
+            createdBy: receivedBy,
+            stockType: stockType === 'internal' ? 'Internal-Use' : 'External-Use' 
+        });
+        
+        // The received quantity opens the first cost layer
+        const receiptCost = newItem.unitCost;
+        newItem.costLayers = quantity > 0 ? [{
+            date: newItem.dateReceived,
+            quantity: quantity,
+            unitCost: receiptCost,
+            reference: String(itemData.reference || newItem.documentNumber)
+        }] : [];
+        newItem.averageCost = receiptCost;
+        newItem.unitCost = SCMCosting.getUnitCost(newItem);
+        
+        // SKUs are unique across internal and external stock
+        const otherKey = key === SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK ?
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK :
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK;
+        let failure;
+        const saved = SCMStorage.update(key, currentStock => {
+            currentStock = currentStock || [];
+            failure = SCMItems.checkSku(newItem.sku, newItem.id, [...currentStock, ...(SCMStorage.get(otherKey) || [])]);
+            if (failure) return null;
+            return [...currentStock, newItem.toStorage()];
+        });
+        
+        if (!saved && failure) {
+            SCMUI.showNotification(failure, 'error');
+        }
+        
+        if (saved) {
+            SCMAudit.record('CREATE', 'StockItem', {
+                itemId: newItem.id,
+                itemName: newItem.itemName,
+                documentNumber: newItem.documentNumber,
+                after: newItem.toStorage(),
+                actor: receivedBy
+            });
+
+            SCMLedger.record(newItem, {
+                movementType: 'RECEIPT',
+                quantityChange: newItem.quantity,
+                unitCost: receiptCost,
+                locationId: location.id,
+                lots: lots.map(lot => ({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: lot.quantity })),
+                serialNumbers: serialNumbers,
+                ...SCMSuppliers.receiptParty(newItem.supplierName, itemData.expectedDate),
+                reference: itemData.reference,
+                performedBy: receivedBy,
+                notes: newItem.notes,
+                date: newItem.dateReceived
+            });
+        }
+        
+        return saved;
+    }
+
+    // Receives more of an item already on file; lot-tracked and serialized
+    // items take their lot or serial numbers with the receipt
+    static receiveStock(itemId, receiptData) {
+        if (!SCMAuth.hasPermission('stock.receive')) return SCMAuth.deniedResult('stock.receive');
+
+        const existing = this.getAllStock().find(i => i.id === itemId);
+        if (!existing) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        if (SCMLots.isTracked(existing)) return SCMLots.receiveLot(itemId, receiptData);
+        if (SCMSerials.isTracked(existing)) return SCMSerials.receiveUnits(itemId, receiptData);
+
+        const quantity = SCMUnits.parse(receiptData.quantity);
+        const dateReceived = receiptData.dateReceived || new Date().toISOString().split('T')[0];
+        // Blank cost receives the stock at the item's current unit cost
+        const unitCost = StockItem.parseCost(receiptData.unitCost);
+
+        if (isNaN(quantity) || quantity <= 0) {
+            return { success: false, message: 'Quantity must be more than zero' };
+        }
+
+        if (unitCost !== null && !(unitCost >= 0)) {
+            return { success: false, message: 'Unit cost must be zero or more' };
+        }
+
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(receiptData.locationId));
+        if (!location || !location.active) {
+            return { success: false, message: 'Select an active receiving location' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(itemId, location.id);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        let item, failure, layer;
+        const saved = SCMStorage.update(this.findStockKey(itemId), stockArray => {
+            item = (stockArray || []).find(i => i.id === itemId);
+
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            if (!SCMUnits.fits(quantity, item)) {
+                failure = SCMUnits.precisionError('Quantity', item);
+                return null;
+            }
+
+            layer = SCMCosting.receive(item, quantity, unitCost !== null ? unitCost : SCMCosting.getUnitCost(item),
+                receiptData.reference, dateReceived);
+            SCMLocations.adjust(item, location.id, quantity);
+            if (dateReceived > item.dateReceived) item.dateReceived = dateReceived;
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Stock was changed in another tab. Please try again.' };
+        }
+
+        const receivedBy = SCMAuth.currentUserName();
+
+        SCMAudit.record('RECEIVE', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: item.documentNumber,
+            before: { quantity: SCMUnits.round(item.quantity - quantity) },
+            after: { quantity: item.quantity },
+            actor: receivedBy,
+            notes: `${SCMUnits.format(quantity, item)} received at ${location.name}`
+        });
+
+        SCMLedger.record(item, {
+            movementType: 'RECEIPT',
+            quantityChange: quantity,
+            unitCost: layer.unitCost,
+            locationId: location.id,
+            ...SCMSuppliers.receiptParty(receiptData.supplierName || item.supplierName, receiptData.expectedDate),
+            reference: receiptData.reference,
+            performedBy: receivedBy,
+            notes: receiptData.notes,
+            date: dateReceived
+        });
+
+        return { success: true, message: `${SCMUnits.format(quantity, item)} of ${item.itemName} received into ${location.name}`, data: item };
+    }
+
+    static updateStockItem(itemId, updates, stockType) {
+        if (!SCMAuth.authorize('stock.edit')) return false;
+        
+        const key = stockType === 'internal' ? 
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+        
+        // Who and why are recorded in the audit trail and ledger, not on the item;
+        // a quantity change is applied at locationId, to lotNumber for lot-tracked items
+        // and to the units in serialNumbers for serialized items, under reasonCode
+        const { updatedBy = SCMAuth.currentUserName(), adjustmentReason, reasonCode = 'CORRECTION', locationId, lotNumber = '', serialNumbers = [], ...fieldUpdates } = updates;
+        const adjustmentLocationId = SCMLocations.resolveLocationId(locationId);
+        const reason = SCM_CONFIG.ADJUSTMENT_REASONS[reasonCode];
+        if (!reason) {
+            SCMUI.showNotification('Choose a reason for the quantity change', 'error');
+            return false;
+        }
+        // Unit cost is derived from the cost layers; only the standard cost can be set
+        ['locationQuantities', 'lots', 'trackLots', 'serials', 'trackSerials', 'unitCost', 'costLayers', 'averageCost', 'aliases'].forEach(field => delete fieldUpdates[field]);
+        // A blank SKU leaves the current one in place
+        if ('sku' in fieldUpdates && !SCMItems.normalizeSku(fieldUpdates.sku)) delete fieldUpdates.sku;
+        if ('sku' in fieldUpdates) {
+            fieldUpdates.sku = SCMItems.normalizeSku(fieldUpdates.sku);
+            const skuError = SCMItems.checkSku(fieldUpdates.sku, itemId);
+            if (skuError) {
+                SCMUI.showNotification(skuError, 'error');
+                return false;
+            }
+        }
+        if ('standardCost' in fieldUpdates) {
+            fieldUpdates.standardCost = StockItem.parseCost(fieldUpdates.standardCost);
+            if (fieldUpdates.standardCost !== null && !(fieldUpdates.standardCost >= 0)) {
+                SCMUI.showNotification('Standard cost must be zero or more', 'error');
+                return false;
+            }
+        }
+        if ('sellingPrice' in fieldUpdates) {
+            fieldUpdates.sellingPrice = StockItem.parseCost(fieldUpdates.sellingPrice);
+            if (fieldUpdates.sellingPrice !== null && !(fieldUpdates.sellingPrice >= 0)) {
+                SCMUI.showNotification('Selling price must be zero or more', 'error');
+                return false;
+            }
+        }
+        // A new supplier name is linked to the directory entry it matches, if any
+        if ('supplierName' in fieldUpdates) {
+            const supplier = SCMSuppliers.findByName(fieldUpdates.supplierName);
+            fieldUpdates.supplierName = supplier ? supplier.name : fieldUpdates.supplierName;
+            fieldUpdates.supplierId = supplier ? supplier.id : null;
+        }
+        ['reorderPoint', 'safetyStock', 'minLevel', 'maxLevel'].forEach(field => {
+            if (field in fieldUpdates) fieldUpdates[field] = StockItem.parseLevel(fieldUpdates[field]);
+        });
+        ['purchaseUnitSize', 'issueUnitSize'].forEach(field => {
+            if (field in fieldUpdates) fieldUpdates[field] = fieldUpdates[field] ? SCMUnits.parse(fieldUpdates[field]) : null;
+        });
+        let previousItem, updatedItem, failure;
+        let adjustedLots = [];
+        let adjustedSerials = [];
+        let adjustmentCost = null;
+        
+        const saved = SCMStorage.update(key, currentStock => {
+            currentStock = currentStock || [];
+            const itemIndex = currentStock.findIndex(item => item.id === itemId);
+            
+            if (itemIndex === -1) return null;
+            
+            previousItem = currentStock[itemIndex];
+            updatedItem = {
+                ...previousItem,
+                ...fieldUpdates,
+                quantity: previousItem.quantity,
+                lastUpdated: new Date().toISOString()
+            };
+            
+            if ('quantity' in fieldUpdates && !adjustmentLocationId) {
+                failure = 'Location not found';
+                return null;
+            }
+            
+            // A new base unit relabels the quantity held, so it has to fit the unit
+            const unitValidation = SCMValidator.validateUnits(updatedItem);
+            if (!unitValidation.isValid) {
+                failure = unitValidation.errors.join(', ');
+                return null;
+            }
+            
+            const newQuantity = 'quantity' in fieldUpdates ? SCMUnits.parse(fieldUpdates.quantity) : previousItem.quantity;
+            if (!SCMUnits.fits(newQuantity, updatedItem) ||
+                Object.values(SCMLocations.getQuantities(updatedItem)).some(quantity => !SCMUnits.fits(quantity, updatedItem))) {
+                failure = SCMUnits.precisionError(`Quantity of ${updatedItem.itemName}`, updatedItem);
+                return null;
+            }
+            
+            const quantityChange = SCMUnits.round(newQuantity - previousItem.quantity);
+            if (reason.sign && quantityChange !== 0 && Math.sign(quantityChange) !== reason.sign) {
+                failure = `${reason.label} can only ${reason.sign < 0 ? 'reduce' : 'increase'} the quantity`;
+                return null;
+            }
+            if (quantityChange !== 0) {
+                failure = SCMStockTake.checkNotCounted(itemId, adjustmentLocationId);
+                if (failure) return null;
+
+                const adjustment = this.applyAdjustment(updatedItem, adjustmentLocationId, quantityChange, lotNumber, serialNumbers, adjustmentReason || 'Quantity edited');
+                if (adjustment.failure) {
+                    failure = adjustment.failure;
+                    return null;
+                }
+                adjustmentCost = adjustment.cost;
+                adjustedLots = adjustment.lots;
+                adjustedSerials = adjustment.serialNumbers;
+            }
+            updatedItem.unitCost = SCMCosting.getUnitCost(updatedItem);
+            
+            currentStock[itemIndex] = updatedItem;
+            return currentStock;
+        });
+        
+        if (!saved) {
+            if (failure) SCMUI.showNotification(failure, 'error');
+            return false;
+        }
+        
+        SCMAudit.record('UPDATE', 'StockItem', {
+            itemId: updatedItem.id,
+            itemName: updatedItem.itemName,
+            documentNumber: updatedItem.documentNumber,
+            before: previousItem,
+            after: updatedItem,
+            actor: updatedBy,
+            notes: adjustmentReason
+        });
+        
+        // Quantity edits are posted to the ledger as adjustments
+        const quantityChange = SCMUnits.round(updatedItem.quantity - previousItem.quantity);
+        if (quantityChange !== 0) {
+            SCMLedger.record(updatedItem, {
+                documentNumber: SCMIdService.nextDocumentNumber('ADJUSTMENT'),
+                movementType: 'ADJUSTMENT',
+                reasonCode: reasonCode,
+                quantityChange: quantityChange,
+                unitCost: adjustmentCost.unitCost,
+                totalValue: quantityChange > 0 ? adjustmentCost.totalCost : -adjustmentCost.totalCost,
+                locationId: adjustmentLocationId,
+                lots: adjustedLots,
+                serialNumbers: adjustedSerials,
+                performedBy: updatedBy,
+                notes: adjustmentReason || 'Quantity edited'
+            });
+        }
+        
+        return saved;
+    }
+
+    // Posts a stock adjustment for damage, loss, theft, found stock or a
+    // write-off. Adjustments only reach the ledger, never the issue history,
+    // so consumption and turnover figures leave them out.
+    static adjustStock(itemId, adjustmentData) {
+        if (!SCMAuth.hasPermission('stock.adjust')) return SCMAuth.deniedResult('stock.adjust');
+        
+        const reasonCode = adjustmentData.reasonCode;
+        const reason = SCM_CONFIG.ADJUSTMENT_REASONS[reasonCode];
+        if (!reason) {
+            return { success: false, message: 'Choose a reason for the adjustment' };
+        }
+        
+        const quantityChange = SCMUnits.parse(adjustmentData.quantityChange);
+        if (isNaN(quantityChange) || quantityChange === 0) {
+            return { success: false, message: 'Adjustment quantity cannot be zero' };
+        }
+        
+        if (reason.sign && Math.sign(quantityChange) !== reason.sign) {
+            return { success: false, message: `${reason.label} adjustments ${reason.sign < 0 ? 'reduce' : 'increase'} stock` };
+        }
+        
+        const notes = (adjustmentData.notes || '').trim();
+        if (!reason.shrinkage && notes.length < 3) {
+            return { success: false, message: `Explain the ${reason.label.toLowerCase()} in at least 3 characters` };
+        }
+        
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(adjustmentData.locationId));
+        if (!location) {
+            return { success: false, message: 'Location not found' };
+        }
+        
+        const counting = SCMStockTake.checkNotCounted(itemId, location.id);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+        
+        const key = this.findStockKey(itemId);
+        const performedBy = SCMAuth.currentUserName();
+        let item, before, failure, adjustment;
+        
+        const saved = SCMStorage.update(key, stockArray => {
+            stockArray = stockArray || [];
+            item = stockArray.find(i => i.id === itemId);
+            
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+            
+            if (!SCMUnits.fits(quantityChange, item)) {
+                failure = SCMUnits.precisionError('Adjustment quantity', item);
+                return null;
+            }
+            
+            before = item.quantity;
+            adjustment = this.applyAdjustment(item, location.id, quantityChange,
+                adjustmentData.lotNumber || '', adjustmentData.serialNumbers || [], `${reason.label} adjustment`);
+            if (adjustment.failure) {
+                failure = adjustment.failure;
+                return null;
+            }
+            
+            item.unitCost = SCMCosting.getUnitCost(item);
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+        
+        if (!saved) {
+            return { success: false, message: failure || 'Stock was changed in another tab. Please try again.' };
+        }
+        
+        const documentNumber = SCMIdService.nextDocumentNumber('ADJUSTMENT');
+        const totalValue = quantityChange > 0 ? adjustment.cost.totalCost : -adjustment.cost.totalCost;
+        
+        const movement = SCMLedger.record(item, {
+            documentNumber: documentNumber,
+            movementType: 'ADJUSTMENT',
+            reasonCode: reasonCode,
+            quantityChange: quantityChange,
+            unitCost: adjustment.cost.unitCost,
+            totalValue: totalValue,
+            locationId: location.id,
+            lots: adjustment.lots,
+            serialNumbers: adjustment.serialNumbers,
+            performedBy: performedBy,
+            notes: notes || reason.label
+        });
+        
+        SCMAudit.record('ADJUST', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: documentNumber,
+            before: { quantity: before },
+            after: { quantity: item.quantity },
+            actor: performedBy,
+            notes: notes ? `${reason.label}: ${notes}` : reason.label
+        });
+        
+        return {
+            success: true,
+            message: `${documentNumber}: ${item.itemName} ${quantityChange > 0 ? '+' : ''}${SCMUnits.format(quantityChange, item)} at ${location.name} (${reason.label}, ${SCMCalculator.formatCurrency(totalValue)})`,
+            data: movement.toStorage()
+        };
+    }
+
+    // Moves an item's quantity at one location up or down, keeping cost layers,
+    // lots and serial numbers in step. Works on the item in place; callers save it
+    // and post the ledger entry. Returns { failure, cost, lots, serialNumbers }.
+    static applyAdjustment(item, locationId, quantityChange, lotNumber = '', serialNumbers = [], reference = '') {
+        // Cost layers move before the quantity does
+        const cost = SCMCosting.adjust(item, quantityChange, reference);
+        
+        if (!SCMLocations.adjust(item, locationId, quantityChange)) {
+            return { failure: `Quantity at ${SCMLocations.getLocationName(locationId)} cannot go below zero` };
+        }
+        
+        let lots = [];
+        if (SCMLots.isTracked(item)) {
+            const lotAdjustment = SCMLots.adjust(item, locationId, quantityChange, lotNumber);
+            if (lotAdjustment.failure) return { failure: lotAdjustment.failure };
+            lots = lotAdjustment.allocations;
+        }
+        
+        let serials = [];
+        if (SCMSerials.isTracked(item)) {
+            const serialAdjustment = SCMSerials.adjust(item, locationId, quantityChange, serialNumbers);
+            if (serialAdjustment.failure) return { failure: serialAdjustment.failure };
+            serials = serialAdjustment.serialNumbers;
+        }
+        
+        return { failure: null, cost: cost, lots: lots, serialNumbers: serials };
+    }
+
+    static deleteStockItem(itemId, stockType, deletedBy = SCMAuth.currentUserName()) {
+        if (!SCMAuth.authorize('stock.delete')) return false;
+        
+        const counting = SCMStockTake.checkNotCounted(itemId);
+        if (counting) {
+            SCMUI.showNotification(counting, 'error');
+            return false;
+        }
+        
+        const key = stockType === 'internal' ? 
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+        
+        let item;
+        
+        const saved = SCMStorage.update(key, currentStock => {
+            currentStock = currentStock || [];
+            item = currentStock.find(i => i.id === itemId);
+            return currentStock.filter(i => i.id !== itemId);
+        });
+        
+        // Remaining quantity leaves the books with the item
+        if (saved && item) {
+            SCMAudit.record('DELETE', 'StockItem', {
+                itemId: item.id,
+                itemName: item.itemName,
+                documentNumber: item.documentNumber,
+                before: item,
+                actor: deletedBy
+            });
+
+            SCMLedger.record({ ...item, quantity: 0 }, {
+                movementType: 'DELETION',
+                quantityChange: -item.quantity,
+                serialNumbers: (item.serials || []).map(unit => unit.serialNumber),
+                performedBy: deletedBy,
+                notes: 'Item deleted'
+            });
+        }
+        
+        return saved;
+    }
+
+    static issueStock(itemId, quantity, issueData) {
+        if (!SCMAuth.hasPermission('stock.issue')) return SCMAuth.deniedResult('stock.issue');
+        
+        // Stock only leaves against an approved request that is being fulfilled
+        const request = SCMRequests.getRequest(issueData.requestId);
+        if (!request || request.status !== 'fulfilled' || request.issueNumber) {
+            return { success: false, message: 'Stock can only be issued by fulfilling an approved request' };
+        }
+        
+        if (request.itemId !== itemId || request.quantity !== quantity) {
+            return { success: false, message: `Issue does not match request ${request.documentNumber}` };
+        }
+        
+        // Determine stock type
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK);
+        const internalStock = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK) || [];
+        const stockType = internalStock.some(i => i.id === itemId) ? 'internal' : 'external';
+        const key = stockType === 'internal' ? 
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(issueData.locationId));
+        if (!location) {
+            return { success: false, message: 'Source location not found' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(itemId, location.id);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        // Check and deduct against the latest stored quantity so two tabs
+        // can never issue the same units twice
+        let item, before, failure, cost;
+        let lotAllocations = [];
+        let serialNumbers = [];
+        const costingMethod = SCMCosting.getMethod();
+        const saved = SCMStorage.update(key, stockArray => {
+            stockArray = stockArray || [];
+            item = stockArray.find(i => i.id === itemId);
+
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            // Check available quantity at the source location
+            const available = SCMLocations.getQuantity(item, location.id);
+            if (available < quantity) {
+                failure = `Insufficient stock at ${location.name}. Available: ${SCMUnits.format(available, item)}, Requested: ${SCMUnits.format(quantity, item)}`;
+                return null;
+            }
+
+            before = JSON.parse(JSON.stringify(item));
+
+            // Lot-tracked stock leaves first-expiry-first-out unless a lot was chosen
+            if (SCMLots.isTracked(item)) {
+                const allocation = SCMLots.allocate(item, location.id, quantity, issueData.lotNumber);
+                if (allocation.failure) {
+                    failure = allocation.failure;
+                    return null;
+                }
+                lotAllocations = allocation.allocations;
+                SCMLots.apply(item, location.id, lotAllocations, -1);
+            }
+
+            // Serialized stock leaves as the exact units picked
+            if (SCMSerials.isTracked(item)) {
+                serialNumbers = SCMSerials.parse(issueData.serialNumbers);
+                failure = SCMSerials.checkHeld(item, location.id, serialNumbers, quantity);
+                if (failure) return null;
+                SCMSerials.remove(item, serialNumbers);
+            }
+
+            // Price the issue from the cost layers, then update stock quantity
+            cost = SCMCosting.consume(item, quantity, costingMethod);
+            SCMLocations.adjust(item, location.id, -quantity);
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return { 
+                success: false, 
+                message: failure || 'Stock was changed in another tab. Please check the quantity and try again.' 
+            };
+        }
+
+        // Charged to the recipient's cost centre as it stands when the stock leaves
+        const recipient = SCMRecipients.getRecipient(issueData.recipientId) || SCMRecipients.findByName(issueData.issuedTo);
+
+        // Create issue record
+        const issueRecord = new IssueRecord({
+            id: request.issueId,
+            documentNumber: SCMIdService.nextDocumentNumber('ISSUE'),
+            itemId: itemId,
+            itemName: item.itemName,
+            stockType: stockType === 'internal' ? 'Internal-Use' : 'External-Use',
+            category: item.category,
+            quantityIssued: quantity,
+            unit: item.unit,
+            unitCost: cost.unitCost,
+            totalValue: cost.totalCost,
+            issuedTo: issueData.issuedTo,
+            recipientId: recipient ? recipient.id : null,
+            costCentre: SCMRecipients.getCostCentre(recipient),
+            reason: issueData.reason,
+            notes: issueData.notes,
+            date: issueData.date,
+            remainingBalance: item.quantity,
+            locationId: location.id,
+            locationName: location.name,
+            lotAllocations: lotAllocations,
+            serialNumbers: serialNumbers,
+            costLayers: cost.layers,
+            costingMethod: costingMethod,
+            averageCost: cost.averageCost,
+            issuedBy: issueData.issuedBy || SCMAuth.currentUserName(),
+            requestId: request.id,
+            requestNumber: request.documentNumber,
+            invoiceNumber: request.sale ? SCMIdService.nextDocumentNumber('INVOICE') : ''
+        });
+
+        // Save issue record
+        const recorded = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY, issueHistory => 
+            [...(issueHistory || []), issueRecord.toStorage()]);
+
+        const movement = recorded && SCMLedger.record(item, {
+            movementType: 'ISSUE',
+            quantityChange: -quantity,
+            unitCost: issueRecord.unitCost,
+            totalValue: -issueRecord.totalValue,
+            locationId: location.id,
+            lots: lotAllocations,
+            serialNumbers: serialNumbers,
+            party: issueRecord.issuedTo,
+            reference: issueRecord.id,
+            performedBy: issueRecord.issuedBy,
+            notes: issueRecord.reason,
+            date: issueRecord.date
+        });
+
+        if (!movement) {
+            // An issue needs both its record and its ledger movement, so undo the rest
+            const removed = !recorded || SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY, issueHistory =>
+                (issueHistory || []).filter(r => r.id !== issueRecord.id));
+            const restored = removed && SCMStorage.update(key, stockArray => {
+                const changed = (stockArray || []).find(i => i.id === itemId);
+                if (!changed || changed.lastUpdated !== item.lastUpdated) return null;
+                return stockArray.map(i => i.id === itemId ? before : i);
+            });
+
+            return {
+                success: false,
+                message: restored ?
+                    'The issue could not be recorded. Nothing was issued.' :
+                    `The issue could not be recorded or undone. Check ${item.itemName} in stock and issue history before trying again.`
+            };
+        }
+
+        SCMAudit.record('ISSUE', 'IssueRecord', {
+            itemId: itemId,
+            itemName: item.itemName,
+            documentNumber: issueRecord.documentNumber,
+            before: { quantity: SCMUnits.round(item.quantity + quantity) },
+            after: { quantity: item.quantity },
+            actor: issueRecord.issuedBy,
+            notes: `Issued ${SCMUnits.format(quantity, item)} from ${location.name} to ${issueRecord.issuedTo} (${issueRecord.reason}) against ${request.documentNumber}` +
+                (lotAllocations.length > 0 ? `, lots ${SCMLots.describeAllocations(lotAllocations)}` : '') +
+                (serialNumbers.length > 0 ? `, serials ${serialNumbers.join(', ')}` : '')
+        });
+
+        if (request.sale) {
+            SCMSales.createInvoice(issueRecord, request.sale);
+        }
+
+        return { 
+            success: true, 
+            message: request.sale ? `Stock issued successfully and invoiced as ${issueRecord.invoiceNumber}` : 'Stock issued successfully',
+            data: issueRecord 
+        };
+    }
+
+    static reverseIssue(issueId, reason) {
+        if (!SCMAuth.hasPermission('issue.reverse')) return SCMAuth.deniedResult('issue.reverse');
+        
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY);
+        const record = (SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || [])
+            .find(r => r.id === issueId);
+
+        if (!record) {
+            return { success: false, message: 'Issue record not found' };
+        }
+
+        if (!reason || !reason.trim()) {
+            return { success: false, message: 'A reason is required to reverse an issue' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(record.itemId, SCMLocations.resolveLocationId(record.locationId));
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        // Claim the reversal first so two tabs can't both return the stock
+        const reversalId = SCMIdService.nextId();
+        let alreadyReversed = null;
+        const claimed = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY, issueHistory => {
+            const current = issueHistory.find(r => r.id === issueId);
+
+            if (current.reversed) {
+                alreadyReversed = current;
+                return null;
+            }
+
+            Object.assign(current, {
+                reversed: true,
+                reversedAt: new Date().toISOString(),
+                reversalReason: reason.trim(),
+                reversedBy: SCMAuth.currentUserName(),
+                reversalId: reversalId
+            });
+            return issueHistory;
+        });
+
+        if (alreadyReversed) {
+            return { 
+                success: false, 
+                message: `Issue ${alreadyReversed.documentNumber} was already reversed on ${new Date(alreadyReversed.reversedAt).toLocaleDateString()}` 
+            };
+        }
+
+        if (!claimed) {
+            return { success: false, message: 'Issue history was changed in another tab. Please try again.' };
+        }
+
+        // Return the quantity to the original item at the location it left; the
+        // item may have been reclassified to the other store since
+        const locationId = SCMLocations.resolveLocationId(record.locationId);
+        const key = this.findStockKey(record.itemId);
+        let item;
+        const restored = SCMStorage.update(key, stockArray => {
+            item = (stockArray || []).find(i => i.id === record.itemId);
+            if (!item) return null;
+
+            // Stock goes back at the cost it was issued at
+            SCMCosting.restore(item, record.costLayers || [], record.quantityIssued, record.unitCost, record.averageCost);
+            SCMLocations.adjust(item, locationId, record.quantityIssued);
+            if ((record.lotAllocations || []).length > 0) {
+                SCMLots.apply(item, locationId, record.lotAllocations, 1);
+            }
+            if ((record.serialNumbers || []).length > 0) {
+                SCMSerials.add(item, locationId, record.serialNumbers);
+            }
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!restored) {
+            // Release the claim so the reversal can be attempted again
+            SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY, issueHistory => {
+                const current = issueHistory.find(r => r.id === issueId);
+                Object.assign(current, { reversed: false, reversedAt: null, reversalReason: '', reversedBy: '', reversalId: null });
+                return issueHistory;
+            });
+
+            return { 
+                success: false, 
+                message: item === undefined ? 
+                    `${record.itemName} no longer exists in inventory, so the quantity cannot be returned` :
+                    'Stock was changed in another tab. Please try again.'
+            };
+        }
+
+        // Post the linked reversal movement and record its number on the issue
+        const reversal = SCMLedger.record(item, {
+            id: reversalId,
+            documentNumber: SCMIdService.nextDocumentNumber('REVERSAL'),
+            movementType: 'REVERSAL',
+            quantityChange: record.quantityIssued,
+            unitCost: record.unitCost,
+            totalValue: record.totalValue,
+            locationId: locationId,
+            lots: record.lotAllocations || [],
+            serialNumbers: record.serialNumbers || [],
+            party: record.issuedTo,
+            reference: record.id,
+            performedBy: SCMAuth.currentUserName(),
+            notes: reason.trim()
+        });
+
+        let reversedRecord;
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY, issueHistory => {
+            reversedRecord = issueHistory.find(r => r.id === issueId);
+            reversedRecord.reversalNumber = reversal.documentNumber;
+            return issueHistory;
+        });
+
+        SCMAudit.record('REVERSE', 'IssueRecord', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: record.documentNumber,
+            before: { quantity: SCMUnits.round(item.quantity - record.quantityIssued), reversed: false },
+            after: { quantity: item.quantity, reversed: true },
+            notes: `${reversal.documentNumber}: ${reason.trim()}`
+        });
+
+        // Goods that came back were never sold
+        if (record.invoiceNumber) {
+            SCMSales.voidInvoice(record.invoiceNumber, `Issue ${record.documentNumber} reversed as ${reversal.documentNumber}: ${reason.trim()}`);
+        }
+
+        return { 
+            success: true, 
+            message: `Issue reversed. ${SCMUnits.format(record.quantityIssued, record)} returned to ${record.itemName}${record.invoiceNumber ? ` and invoice ${record.invoiceNumber} voided` : ''}`,
+            data: reversedRecord 
+        };
+    }
+
+    static getIssueHistory(filter = {}) {
+        const history = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || [];
+        
+        if (!filter || Object.keys(filter).length === 0) {
+            return history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        }
+
+        return history.filter(record => {
+            let match = true;
+
+            if (filter.startDate && new Date(record.date) < new Date(filter.startDate)) {
+                match = false;
+            }
+
+            if (filter.endDate && new Date(record.date) > new Date(filter.endDate)) {
+                match = false;
+            }
+
+            if (filter.stockType && record.stockType !== filter.stockType) {
+                match = false;
+            }
+
+            if (filter.searchTerm) {
+                const searchLower = filter.searchTerm.toLowerCase();
+                match = match && (
+                    record.itemName.toLowerCase().includes(searchLower) ||
+                    record.issuedTo.toLowerCase().includes(searchLower) ||
+                    (record.notes && record.notes.toLowerCase().includes(searchLower))
+                );
+            }
+
+            return match;
+        }).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+}
+
+// ===== SCM ITEM MASTER =====
+// One record per item, found by its SKU. Receipts of an item already on file
+// add to it rather than creating a second row, and likely duplicates can be
+// merged into the item that is kept.
+class SCMItems {
+    static normalizeSku(sku) {
+        return String(sku || '').trim().toUpperCase();
+    }
+
+    static isValidSku(sku) {
+        return SCM_CONFIG.SKU_PATTERN.test(this.normalizeSku(sku));
+    }
+
+    // Items saved before SKUs existed are known by their item number
+    static getSku(item) {
+        return item.sku || item.documentNumber || '';
+    }
+
+    // Matches an item's own SKU or the SKU of an item merged into it
+    static findBySku(sku, stockArray = SCMDataManager.getAllStock()) {
+        const code = this.normalizeSku(sku);
+        if (!code) return null;
+
+        return stockArray.find(item => this.getSku(item) === code) ||
+            stockArray.find(item => (item.aliases || []).some(alias => alias.sku === code)) ||
+            null;
+    }
+
+    // Returns why the SKU can't be used, or null when it is free
+    static checkSku(sku, excludeId = null, stockArray = SCMDataManager.getAllStock()) {
+        const code = this.normalizeSku(sku);
+        if (!this.isValidSku(code)) return 'SKU must be 2-30 letters, digits or . _ / -';
+
+        const owner = this.findBySku(code, stockArray.filter(item => item.id !== excludeId));
+        return owner ? `SKU ${code} is already used by ${owner.itemName}` : null;
+    }
+
+    static normalizeName(name) {
+        return String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+    }
+
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                current[j] = Math.min(
+                    previous[j] + 1,
+                    current[j - 1] + 1,
+                    previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+                );
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    // 0 to 1: the best of spelling, word order and one name containing the other
+    static similarity(nameA, nameB) {
+        const a = this.normalizeName(nameA);
+        const b = this.normalizeName(nameB);
+        if (!a || !b) return 0;
+        if (a === b) return 1;
+
+        const ratio = (x, y) => 1 - this.editDistance(x, y) / Math.max(x.length, y.length);
+        const tokensA = a.split(' ');
+        const tokensB = b.split(' ');
+        const shared = tokensA.filter(token => tokensB.includes(token)).length;
+        const containment = shared / Math.min(tokensA.length, tokensB.length);
+
+        return Math.max(
+            ratio(a, b),
+            ratio([...tokensA].sort().join(' '), [...tokensB].sort().join(' ')),
+            0.9 * containment
+        );
+    }
+
+    // Items already on file whose name looks like this one, closest first
+    static findSimilar(name, stockArray = SCMDataManager.getAllStock()) {
+        return stockArray
+            .map(item => ({ item: item, similarity: this.similarity(name, item.itemName) }))
+            .filter(match => match.similarity >= SCM_CONFIG.DUPLICATE_NAME_SIMILARITY)
+            .sort((a, b) => b.similarity - a.similarity);
+    }
+
+    // Pairs of items of the same stock type with alike names that share a
+    // category or supplier. The older item of each pair is the one to keep.
+    static findDuplicates(stockArray = SCMDataManager.getAllStock()) {
+        const sameText = (x, y) => !!x && !!y && x.trim().toLowerCase() === y.trim().toLowerCase();
+        const pairs = [];
+
+        stockArray.forEach((a, index) => {
+            stockArray.slice(index + 1).forEach(b => {
+                if (a.stockType !== b.stockType) return;
+
+                const sameCategory = sameText(a.category, b.category);
+                const sameSupplier = sameText(a.supplierName, b.supplierName);
+                if (!sameCategory && !sameSupplier) return;
+
+                const similarity = this.similarity(a.itemName, b.itemName);
+                if (similarity < SCM_CONFIG.DUPLICATE_NAME_SIMILARITY) return;
+
+                const [keep, duplicate] = new Date(a.dateAdded) <= new Date(b.dateAdded) ? [a, b] : [b, a];
+                pairs.push({
+                    keep: keep,
+                    duplicate: duplicate,
+                    similarity: similarity,
+                    reasons: [
+                        `${Math.round(similarity * 100)}% name match`,
+                        ...(sameCategory ? ['same category'] : []),
+                        ...(sameSupplier ? ['same supplier'] : [])
+                    ]
+                });
+            });
+        });
+
+        return pairs.sort((a, b) => b.similarity - a.similarity);
+    }
+
+    // Why two items can't become one, or null when they can
+    static checkMergeable(keep, duplicate) {
+        if (keep.stockType !== duplicate.stockType) {
+            return 'Only items of the same stock type can be merged';
+        }
+
+        if ((keep.unit || SCM_CONFIG.DEFAULT_UNIT) !== (duplicate.unit || SCM_CONFIG.DEFAULT_UNIT)) {
+            return `${keep.itemName} and ${duplicate.itemName} are counted in different base units`;
+        }
+
+        if (SCMLots.isTracked(keep) !== SCMLots.isTracked(duplicate) ||
+            SCMSerials.isTracked(keep) !== SCMSerials.isTracked(duplicate)) {
+            return `${keep.itemName} and ${duplicate.itemName} must track lots and serial numbers the same way`;
+        }
+
+        const lotNumbers = (keep.lots || []).map(lot => lot.lotNumber);
+        const sharedLot = (duplicate.lots || []).find(lot => lotNumbers.includes(lot.lotNumber));
+        if (sharedLot) {
+            return `Lot ${sharedLot.lotNumber} is held under both items`;
+        }
+
+        const serialNumbers = (keep.serials || []).map(unit => unit.serialNumber);
+        const sharedSerial = (duplicate.serials || []).find(unit => serialNumbers.includes(unit.serialNumber));
+        if (sharedSerial) {
+            return `Serial number ${sharedSerial.serialNumber} is held under both items`;
+        }
+
+        return null;
+    }
+
+    // Applies change to every record under key; returns the records as they
+    // were before the change, or null if the write failed
+    static rewriteRecords(key, change) {
+        let originals = [];
+        const saved = SCMStorage.update(key, records => {
+            records = records || [];
+            const changed = records.map(change);
+            originals = records.filter((record, index) => changed[index] !== record);
+            return changed;
+        });
+        return saved ? originals : null;
+    }
+
+    // Puts records changed by rewriteRecords back as they were
+    static restoreRecords(key, originals) {
+        if (originals.length === 0) return true;
+
+        const byId = new Map(originals.map(record => [record.id, record]));
+        return SCMStorage.update(key, records => (records || []).map(record => byId.get(record.id) || record));
+    }
+
+    // Folds the duplicate into the kept item: stock, cost layers, lots and serials
+    // move across, issue history and requests are repointed, and the duplicate's
+    // SKU becomes an alias of the kept item
+    static merge(keepId, duplicateId) {
+        if (!SCMAuth.hasPermission('items.merge')) return SCMAuth.deniedResult('items.merge');
+
+        if (keepId === duplicateId) {
+            return { success: false, message: 'Select two different items to merge' };
+        }
+
+        const key = SCMDataManager.findStockKey(keepId);
+        if (SCMDataManager.findStockKey(duplicateId) !== key) {
+            return { success: false, message: 'Only items of the same stock type can be merged' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(keepId) || SCMStockTake.checkNotCounted(duplicateId);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        let keep, keepBefore, duplicate, failure;
+        const saved = SCMStorage.update(key, stockArray => {
+            stockArray = stockArray || [];
+            keep = stockArray.find(i => i.id === keepId);
+            duplicate = stockArray.find(i => i.id === duplicateId);
+
+            if (!keep || !duplicate) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            failure = this.checkMergeable(keep, duplicate);
+            if (failure) return null;
+
+            keepBefore = JSON.parse(JSON.stringify(keep));
+
+            // Both items' layers stay as they are, so FIFO still sees the oldest stock first
+            const keepHeld = keep.quantity;
+            keep.costLayers = [...SCMCosting.getLayers(keep), ...SCMCosting.getLayers(duplicate)]
+                .sort((a, b) => (a.date || '').localeCompare(b.date || ''));
+            keep.averageCost = keepHeld + duplicate.quantity > 0 ?
+                SCMCosting.round((keepHeld * SCMCosting.getAverageCost(keep) +
+                    duplicate.quantity * SCMCosting.getAverageCost(duplicate)) / (keepHeld + duplicate.quantity)) :
+                SCMCosting.getAverageCost(keep);
+            if (typeof keep.standardCost !== 'number') keep.standardCost = duplicate.standardCost;
+            if (typeof keep.sellingPrice !== 'number') keep.sellingPrice = duplicate.sellingPrice;
+            // The duplicate's counterpart of the other stock type moves over unless keep has its own
+            if (!keep.linkedItemId) keep.linkedItemId = duplicate.linkedItemId || null;
+
+            SCMLocations.getBalances(duplicate).forEach(balance => {
+                SCMLocations.adjust(keep, balance.locationId, balance.quantity);
+            });
+            keep.lots = [...(keep.lots || []), ...(duplicate.lots || [])];
+            keep.serials = [...(keep.serials || []), ...(duplicate.serials || [])];
+            keep.aliases = [
+                ...(keep.aliases || []),
+                {
+                    itemId: duplicate.id,
+                    sku: this.getSku(duplicate),
+                    itemName: duplicate.itemName,
+                    documentNumber: duplicate.documentNumber,
+                    mergedAt: new Date().toISOString()
+                },
+                ...(duplicate.aliases || [])
+            ];
+            keep.unitCost = SCMCosting.getUnitCost(keep);
+            keep.lastUpdated = new Date().toISOString();
+
+            return stockArray.filter(i => i.id !== duplicateId);
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Stock was changed in another tab. Please try again.' };
+        }
+
+        const mergedBy = SCMAuth.currentUserName();
+        const duplicateSku = this.getSku(duplicate);
+        const keepSku = this.getSku(keep);
+
+        const issueCount = (SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || [])
+            .filter(record => record.itemId === duplicateId).length;
+
+        // Records pointing at the duplicate follow it to the kept item. If any
+        // store cannot be written, the ones already done and the stock are put back.
+        const repoint = record => record.itemId === duplicateId ?
+            { ...record, itemId: keep.id, itemName: keep.itemName } : record;
+        const steps = [
+            [SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY, repoint],
+            [SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS, repoint],
+            // Lines still to be received must land on the kept item; closed orders stay as they were
+            [SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS, order =>
+                (order.status === 'draft' || SCMPurchasing.isOpen(order)) && order.lines.some(line => line.itemId === duplicateId) ? {
+                    ...order,
+                    lines: order.lines.map(line => line.itemId === duplicateId ?
+                        { ...line, itemId: keep.id, itemName: keep.itemName, sku: keepSku } : line)
+                } : order],
+            // A list that already prices the kept item keeps that price
+            [SCM_CONFIG.STORAGE_KEYS.PRICE_LISTS, priceList =>
+                priceList.prices.some(entry => entry.itemId === duplicateId) ? {
+                    ...priceList,
+                    prices: priceList.prices.some(entry => entry.itemId === keep.id) ?
+                        priceList.prices.filter(entry => entry.itemId !== duplicateId) :
+                        priceList.prices.map(entry => entry.itemId === duplicateId ? { ...entry, itemId: keep.id } : entry)
+                } : priceList]
+        ];
+
+        // The duplicate's counterpart links back to the kept item, or is
+        // unlinked if the kept item already has a counterpart of its own
+        if (duplicate.linkedItemId) {
+            const otherKey = key === SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK ?
+                SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK :
+                SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK;
+            const tookOver = keep.linkedItemId === duplicate.linkedItemId;
+            steps.push([otherKey, record => record.id === duplicate.linkedItemId ?
+                { ...record, linkedItemId: tookOver ? keep.id : null } : record]);
+        }
+
+        const done = [];
+        const stopped = steps.some(([stepKey, change]) => {
+            const originals = this.rewriteRecords(stepKey, change);
+            if (originals) done.push([stepKey, originals]);
+            return !originals;
+        });
+
+        if (stopped) {
+            const undone = done.every(([stepKey, originals]) => this.restoreRecords(stepKey, originals));
+            const restored = undone && SCMStorage.update(key, stockArray => {
+                stockArray = stockArray || [];
+                const current = stockArray.find(i => i.id === keepId);
+                if (!current || current.lastUpdated !== keep.lastUpdated) return null;
+                return [...stockArray.map(i => i.id === keepId ? keepBefore : i), duplicate];
+            });
+
+            return {
+                success: false,
+                message: restored ?
+                    `${duplicate.itemName} could not be merged into ${keep.itemName}. Nothing was changed.` :
+                    `${duplicate.itemName} could not be merged into ${keep.itemName} and the merge could not be undone. Check both items and their history before trying again.`
+            };
+        }
+
+        // Stock leaves the duplicate and arrives on the kept item location by location
+        let duplicateBalance = duplicate.quantity;
+        let keepBalance = keepBefore.quantity;
+        SCMLocations.getBalances(duplicate).forEach(balance => {
+            const lots = (duplicate.lots || [])
+                .filter(lot => String(lot.locationId) === String(balance.locationId))
+                .map(lot => ({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: lot.quantity }));
+            const serialNumbers = (duplicate.serials || [])
+                .filter(unit => String(unit.locationId) === String(balance.locationId))
+                .map(unit => unit.serialNumber);
+
+            duplicateBalance = SCMUnits.round(duplicateBalance - balance.quantity);
+            keepBalance = SCMUnits.round(keepBalance + balance.quantity);
+
+            [[duplicate, -balance.quantity, 'MERGE_OUT', duplicateBalance], [keep, balance.quantity, 'MERGE_IN', keepBalance]]
+                .forEach(([item, change, movementType, balanceAfter]) => {
+                    SCMLedger.record(item, {
+                        movementType: movementType,
+                        quantityChange: change,
+                        unitCost: SCMCosting.getUnitCost(duplicate),
+                        balanceAfter: balanceAfter,
+                        locationId: balance.locationId,
+                        lots: lots,
+                        serialNumbers: serialNumbers,
+                        party: movementType === 'MERGE_OUT' ? keep.itemName : duplicate.itemName,
+                        reference: movementType === 'MERGE_OUT' ? keepSku : duplicateSku,
+                        performedBy: mergedBy,
+                        notes: movementType === 'MERGE_OUT' ? `Merged into ${keepSku}` : `Merged from ${duplicateSku}`
+                    });
+                });
+        });
+
+        SCMAudit.record('MERGE', 'StockItem', {
+            itemId: keep.id,
+            itemName: keep.itemName,
+            documentNumber: keep.documentNumber,
+            before: keepBefore,
+            after: keep,
+            actor: mergedBy,
+            notes: `${duplicate.itemName} (${duplicateSku}) merged in with ${issueCount} issue records`
+        });
+
+        SCMAudit.record('MERGE', 'StockItem', {
+            itemId: duplicate.id,
+            itemName: duplicate.itemName,
+            documentNumber: duplicate.documentNumber,
+            before: duplicate,
+            actor: mergedBy,
+            notes: `Merged into ${keep.itemName} (${keepSku})`
+        });
+
+        return {
+            success: true,
+            message: `${duplicate.itemName} merged into ${keep.itemName} (${keepSku})`,
+            data: keep
+        };
+    }
+
+    // The item holding this item's stock under the other stock type, if any
+    static getCounterpart(item) {
+        if (!item.linkedItemId) return null;
+
+        const otherType = item.stockType === 'Internal-Use' ? 'external' : 'internal';
+        return SCMDataManager.getStockByType(otherType).find(i => i.id === item.linkedItemId) || null;
+    }
+
+    // Moves stock held at one location between internal and external use.
+    // Moving all of an item with no counterpart moves the item itself, so its
+    // id and history come along; otherwise the stock goes to a linked item of
+    // the other type, created on first use with the same details.
+    static reclassify(itemId, quantity, locationId, reason, lotNumber = '', serialNumbers = []) {
+        if (!SCMAuth.hasPermission('stock.reclassify')) return SCMAuth.deniedResult('stock.reclassify');
+
+        quantity = SCMUnits.parse(quantity);
+        if (isNaN(quantity) || quantity <= 0) {
+            return { success: false, message: 'Quantity to move must be more than zero' };
+        }
+
+        if (!reason || reason.trim().length < 3) {
+            return { success: false, message: 'A reclassification reason of at least 3 characters is required' };
+        }
+
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(locationId));
+        if (!location) {
+            return { success: false, message: 'Location not found' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(itemId, location.id);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        const fromKey = SCMDataManager.findStockKey(itemId);
+        const toKey = fromKey === SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK ?
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK :
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK;
+        const toStockType = toKey === SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK ? 'Internal-Use' : 'External-Use';
+        const serials = SCMSerials.parse(serialNumbers);
+
+        const current = (SCMStorage.get(fromKey) || []).find(i => i.id === itemId);
+        const counterpart = current ? this.getCounterpart(current) : null;
+        const targetId = counterpart ? counterpart.id : SCMIdService.nextId();
+
+        let item, before, moveWhole, failure, cost;
+        let lotAllocations = [];
+        let units = [];
+        const saved = SCMStorage.update(fromKey, stockArray => {
+            stockArray = stockArray || [];
+            item = stockArray.find(i => i.id === itemId);
+
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            if (!SCMUnits.fits(quantity, item)) {
+                failure = SCMUnits.precisionError('Quantity to move', item);
+                return null;
+            }
+
+            const available = SCMLocations.getQuantity(item, location.id);
+            if (available < quantity) {
+                failure = `Insufficient stock at ${location.name}. Available: ${SCMUnits.format(available, item)}, Requested: ${SCMUnits.format(quantity, item)}`;
+                return null;
+            }
+
+            // A named lot may be moved even once expired
+            if (SCMLots.isTracked(item)) {
+                const allocation = SCMLots.allocate(item, location.id, quantity, lotNumber, !!lotNumber);
+                if (allocation.failure) {
+                    failure = allocation.failure;
+                    return null;
+                }
+                lotAllocations = allocation.allocations;
+            }
+
+            if (SCMSerials.isTracked(item)) {
+                failure = SCMSerials.checkHeld(item, location.id, serials, quantity);
+                if (failure) return null;
+                units = item.serials.filter(unit => serials.includes(unit.serialNumber));
+            }
+
+            before = JSON.parse(JSON.stringify(item));
+            moveWhole = !counterpart && quantity === item.quantity;
+
+            if (moveWhole) {
+                cost = { unitCost: SCMCosting.getUnitCost(item), totalCost: Math.round(SCMCosting.getValue(item) * 100) / 100 };
+                item.stockType = toStockType;
+                item.lastUpdated = new Date().toISOString();
+                return stockArray.filter(i => i.id !== itemId);
+            }
+
+            cost = SCMCosting.consume(item, quantity);
+            SCMLots.apply(item, location.id, lotAllocations, -1);
+            SCMSerials.remove(item, serials);
+            SCMLocations.adjust(item, location.id, -quantity);
+            item.linkedItemId = targetId;
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Stock was changed in another tab. Please try again.' };
+        }
+
+        let target;
+        const moved = SCMStorage.update(toKey, stockArray => {
+            stockArray = stockArray || [];
+
+            if (moveWhole) {
+                target = item;
+                return [...stockArray, target];
+            }
+
+            target = stockArray.find(i => i.id === targetId);
+            if (!target) {
+                const sku = `${this.getSku(item)}-${toStockType === 'Internal-Use' ? 'INT' : 'EXT'}`;
+                target = new StockItem({
+                    ...item,
+                    id: targetId,
+                    documentNumber: SCMIdService.nextDocumentNumber('ITEM'),
+                    sku: this.checkSku(sku, null) ? '' : sku,
+                    aliases: [],
+                    quantity: 0,
+                    costLayers: [],
+                    locationQuantities: {},
+                    lots: [],
+                    serials: [],
+                    stockType: toStockType,
+                    dateAdded: undefined,
+                    createdBy: SCMAuth.currentUserName(),
+                    linkedItemId: item.id
+                }).toStorage();
+                stockArray = [...stockArray, target];
+            }
+
+            SCMCosting.restore(target, cost.layers, quantity, cost.unitCost, cost.averageCost);
+            SCMLots.apply(target, location.id, lotAllocations, 1);
+            target.serials = [...(target.serials || []), ...units];
+            SCMLocations.adjust(target, location.id, quantity);
+            target.linkedItemId = item.id;
+            target.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!moved) {
+            // Put the source row back so the stock is not lost between the two stores
+            const restored = SCMStorage.update(fromKey, stockArray => {
+                stockArray = stockArray || [];
+                if (moveWhole) return [...stockArray, before];
+
+                const changed = stockArray.find(i => i.id === itemId);
+                if (!changed || changed.lastUpdated !== item.lastUpdated) return null;
+                return stockArray.map(i => i.id === itemId ? before : i);
+            });
+
+            return {
+                success: false,
+                message: restored ?
+                    `${item.itemName} could not be moved to ${toStockType} stock. Nothing was changed.` :
+                    `${item.itemName} could not be moved to ${toStockType} stock and could not be put back. Check its quantity before trying again.`
+            };
+        }
+
+        const documentNumber = SCMIdService.nextDocumentNumber('RECLASS');
+        const performedBy = SCMAuth.currentUserName();
+        const lots = lotAllocations.map(lot => ({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: lot.quantity }));
+
+        // Paired movements: out of the old stock type, into the new one
+        [
+            [moveWhole ? { ...before, quantity: 0 } : item, -quantity, 'RECLASS_OUT'],
+            [target, quantity, 'RECLASS_IN']
+        ].forEach(([movedItem, change, movementType]) => {
+            SCMLedger.record(movedItem, {
+                documentNumber: documentNumber,
+                movementType: movementType,
+                quantityChange: change,
+                unitCost: cost.unitCost,
+                totalValue: change > 0 ? cost.totalCost : -cost.totalCost,
+                balanceAfter: moveWhole ? (change > 0 ? quantity : 0) : movedItem.quantity,
+                locationId: location.id,
+                lots: lots,
+                serialNumbers: serials,
+                party: movementType === 'RECLASS_OUT' ? toStockType : before.stockType,
+                reference: movementType === 'RECLASS_OUT' ? this.getSku(target) : this.getSku(item),
+                performedBy: performedBy,
+                notes: reason.trim()
+            });
+        });
+
+        SCMAudit.record('RECLASSIFY', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: documentNumber,
+            before: { stockType: before.stockType, quantity: before.quantity },
+            after: moveWhole ?
+                { stockType: toStockType, quantity: item.quantity } :
+                { stockType: before.stockType, quantity: item.quantity, linkedItemId: target.id, linkedQuantity: target.quantity },
+            actor: performedBy,
+            notes: reason.trim()
+        });
+
+        return {
+            success: true,
+            message: `${documentNumber}: ${SCMUnits.format(quantity, item)} of ${item.itemName} moved to ${toStockType} stock` +
+                (moveWhole ? '' : ` as ${this.getSku(target)}`),
+            data: target
+        };
+    }
+}
+
+// ===== SCM ISSUE REQUEST WORKFLOW =====
+// Stock is requested, approved where policy demands it, then fulfilled.
+// Only fulfilment deducts stock; rejected requests are kept for history.
+class SCMRequests {
+    static getRequests(filter = {}) {
+        const requests = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS) || [];
+
+        return requests.filter(request => {
+            if (filter.status && request.status !== filter.status) return false;
+            if (filter.requestedBy && request.requestedBy !== filter.requestedBy) return false;
+            return true;
+        }).sort((a, b) => new Date(b.requestedAt) - new Date(a.requestedAt));
+    }
+
+    static getRequest(requestId) {
+        return this.getRequests().find(request => request.id === requestId) || null;
+    }
+
+    static getApprovalReasons(totalValue, reason) {
+        const reasons = [];
+
+        if (totalValue > SCM_CONFIG.APPROVAL.VALUE_THRESHOLD) {
+            reasons.push(`Value over ${SCMCalculator.formatCurrency(SCM_CONFIG.APPROVAL.VALUE_THRESHOLD)}`);
+        }
+
+        if (SCM_CONFIG.APPROVAL.REASONS.includes(reason)) {
+            reasons.push(`${reason} issue`);
+        }
+
+        return reasons;
+    }
+
+    static submit(itemId, quantity, requestData) {
+        if (!SCMAuth.hasPermission('stock.request')) return SCMAuth.deniedResult('stock.request');
+
+        const item = SCMDataManager.getAllStock().find(i => i.id === itemId);
+        if (!item) {
+            return { success: false, message: 'Item not found' };
+        }
+
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(requestData.locationId));
+        if (!location) {
+            return { success: false, message: 'Source location not found' };
+        }
+
+        const validation = SCMValidator.validateIssueRequest(
+            { ...requestData, itemId: itemId, quantityIssued: quantity, unit: item.unit },
+            SCMLocations.getQuantity(item, location.id)
+        );
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        // A name the recipient directory knows is recorded the way the directory has it
+        const recipient = SCMRecipients.findByName(requestData.issuedTo);
+        const recipientError = SCMRecipients.checkRecipient(requestData.issuedTo, recipient);
+        if (recipientError) {
+            return { success: false, message: recipientError };
+        }
+        const issuedTo = recipient ? recipient.name : requestData.issuedTo.trim();
+
+        // Expired or short lots are caught now rather than at fulfilment
+        const lotNumber = SCMLots.isTracked(item) ? (requestData.lotNumber || '') : '';
+        if (SCMLots.isTracked(item)) {
+            const allocation = SCMLots.allocate(item, location.id, quantity, lotNumber);
+            if (allocation.failure) {
+                return { success: false, message: allocation.failure };
+            }
+        }
+
+        // Serialized items are requested unit by unit
+        const serialNumbers = SCMSerials.isTracked(item) ? SCMSerials.parse(requestData.serialNumbers) : [];
+        if (SCMSerials.isTracked(item)) {
+            const failure = SCMSerials.checkHeld(item, location.id, serialNumbers, quantity);
+            if (failure) {
+                return { success: false, message: failure };
+            }
+        }
+
+        // Resale of External-Use stock is priced now and invoiced when fulfilled
+        let sale = null;
+        if (requestData.reason === SCM_CONFIG.SALES.REASON && item.stockType === 'External-Use') {
+            const quote = SCMSales.quote(item, quantity, issuedTo, requestData.sale || {});
+            if (!quote.success) {
+                return quote;
+            }
+            sale = quote.data;
+        }
+
+        // Valued as the costing method would price it if issued now
+        const cost = SCMCosting.estimate(item, quantity);
+        const approvalReasons = this.getApprovalReasons(cost.totalCost, requestData.reason);
+        const requestedBy = SCMAuth.currentUserName();
+        const now = new Date().toISOString();
+
+        // Requests within policy limits are approved on submission
+        const request = new IssueRequest({
+            ...requestData,
+            documentNumber: SCMIdService.nextDocumentNumber('REQUEST'),
+            issuedTo: issuedTo,
+            recipientId: recipient ? recipient.id : null,
+            itemId: item.id,
+            itemName: item.itemName,
+            stockType: item.stockType,
+            category: item.category,
+            quantity: quantity,
+            unit: item.unit,
+            unitCost: cost.unitCost,
+            totalValue: cost.totalCost,
+            locationId: location.id,
+            locationName: location.name,
+            lotNumber: lotNumber,
+            serialNumbers: serialNumbers,
+            sale: sale,
+            requestedBy: requestedBy,
+            requestedAt: now,
+            status: approvalReasons.length > 0 ? 'pending' : 'approved',
+            approvalReason: approvalReasons.join(', '),
+            decidedBy: approvalReasons.length > 0 ? '' : 'Auto-approved',
+            decidedAt: approvalReasons.length > 0 ? null : now,
+            decisionComment: approvalReasons.length > 0 ? '' : 'Within approval limits'
+        });
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS, requests =>
+            [...(requests || []), request.toStorage()]);
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save request' };
+        }
+
+        SCMAudit.record('REQUEST', 'IssueRequest', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: request.documentNumber,
+            after: { quantity: request.quantity, issuedTo: request.issuedTo, reason: request.reason, status: request.status },
+            actor: requestedBy,
+            notes: request.approvalReason ? `Needs approval: ${request.approvalReason}` : request.decisionComment
+        });
+
+        return {
+            success: true,
+            message: request.status === 'pending' ?
+                `Request ${request.documentNumber} submitted for approval (${request.approvalReason})` :
+                `Request ${request.documentNumber} approved`,
+            data: request.toStorage()
+        };
+    }
+
+    static approve(requestId, comment) {
+        return this.decide(requestId, 'approved', comment);
+    }
+
+    static reject(requestId, comment) {
+        if (!comment || !comment.trim()) {
+            return { success: false, message: 'A comment is required to reject a request' };
+        }
+
+        return this.decide(requestId, 'rejected', comment);
+    }
+
+    static decide(requestId, status, comment) {
+        if (!SCMAuth.hasPermission('issue.approve')) return SCMAuth.deniedResult('issue.approve');
+
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS);
+        const user = SCMAuth.currentUser();
+        let request, failure;
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS, requests => {
+            request = (requests || []).find(r => r.id === requestId);
+
+            if (!request) {
+                failure = 'Request not found';
+                return null;
+            }
+
+            if (request.status !== 'pending') {
+                failure = `Request ${request.documentNumber} has already been ${request.status}`;
+                return null;
+            }
+
+            // Nobody but an administrator signs off their own request
+            if (request.requestedBy === user.displayName && user.role !== 'admin') {
+                failure = 'You cannot approve or reject your own request';
+                return null;
+            }
+
+            Object.assign(request, {
+                status: status,
+                decidedBy: user.displayName,
+                decidedAt: new Date().toISOString(),
+                decisionComment: (comment || '').trim()
+            });
+            return requests;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Requests were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record(status === 'approved' ? 'APPROVE' : 'REJECT', 'IssueRequest', {
+            itemId: request.itemId,
+            itemName: request.itemName,
+            documentNumber: request.documentNumber,
+            before: { status: 'pending' },
+            after: { status: status },
+            notes: request.decisionComment
+        });
+
+        return {
+            success: true,
+            message: `Request ${request.documentNumber} ${status}`,
+            data: request
+        };
+    }
+
+    static fulfil(requestId, fulfilData = {}) {
+        if (!SCMAuth.hasPermission('stock.issue')) return SCMAuth.deniedResult('stock.issue');
+
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS);
+        const fulfilledBy = SCMAuth.currentUserName();
+        const issueId = SCMIdService.nextId();
+        let request, failure;
+
+        // Claim the request first so two tabs can't both fulfil it
+        const claimed = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS, requests => {
+            request = (requests || []).find(r => r.id === requestId);
+
+            if (!request) {
+                failure = 'Request not found';
+                return null;
+            }
+
+            if (request.status !== 'approved') {
+                failure = request.status === 'pending' ?
+                    `Request ${request.documentNumber} is waiting for approval` :
+                    `Request ${request.documentNumber} has already been ${request.status}`;
+                return null;
+            }
+
+            Object.assign(request, {
+                status: 'fulfilled',
+                fulfilledBy: fulfilledBy,
+                fulfilledAt: new Date().toISOString(),
+                issueId: issueId
+            });
+            return requests;
+        });
+
+        if (!claimed) {
+            return { success: false, message: failure || 'Requests were changed in another tab. Please try again.' };
+        }
+
+        const result = SCMDataManager.issueStock(request.itemId, request.quantity, {
+            issuedTo: request.issuedTo,
+            recipientId: request.recipientId,
+            reason: request.reason,
+            notes: request.notes,
+            date: fulfilData.date || new Date().toISOString().split('T')[0],
+            issuedBy: fulfilledBy,
+            locationId: request.locationId,
+            lotNumber: request.lotNumber,
+            serialNumbers: request.serialNumbers,
+            requestId: request.id
+        });
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS, requests => {
+            const current = requests.find(r => r.id === requestId);
+
+            if (result.success) {
+                current.issueNumber = result.data.documentNumber;
+                current.invoiceNumber = result.data.invoiceNumber;
+            } else {
+                // Release the claim so the request can be fulfilled later
+                Object.assign(current, { status: 'approved', fulfilledBy: '', fulfilledAt: null, issueId: null });
+            }
+            return requests;
+        });
+
+        return result;
+    }
+}
+
+// ===== SCM LOCATIONS =====
+// Stores, workshops and client sites that hold stock. Each item keeps a
+// quantity per location; item.quantity is always the sum across locations.
+class SCMLocations {
+    static getLocations(filter = {}) {
+        const locations = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.LOCATIONS) || [];
+
+        return locations
+            .filter(location => !filter.activeOnly || location.active)
+            .sort((a, b) => (b.isDefault ? 1 : 0) - (a.isDefault ? 1 : 0) || a.name.localeCompare(b.name));
+    }
+
+    static getLocation(locationId) {
+        return this.getLocations().find(location => String(location.id) === String(locationId)) || null;
+    }
+
+    static getDefaultLocation() {
+        const locations = this.getLocations();
+        return locations.find(location => location.isDefault) || locations[0] || null;
+    }
+
+    static getLocationName(locationId) {
+        const location = this.getLocation(locationId);
+        return location ? location.name : 'Unknown location';
+    }
+
+    static buildDefaultLocation() {
+        return {
+            id: SCMIdService.nextId(),
+            ...SCM_CONFIG.DEFAULT_LOCATION,
+            active: true,
+            isDefault: true,
+            createdBy: 'System',
+            createdAt: new Date().toISOString()
+        };
+    }
+
+    // Every install needs somewhere to receive stock into
+    static ensureDefaultLocation() {
+        if (this.getLocations().length > 0) return;
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.LOCATIONS, locations =>
+            (locations || []).length > 0 ? null : [this.buildDefaultLocation()]);
+    }
+
+    // Blank means the default location; unknown ids resolve to null
+    static resolveLocationId(locationId) {
+        const location = locationId ? this.getLocation(locationId) : this.getDefaultLocation();
+        return location ? location.id : null;
+    }
+
+    // Items saved before locations existed hold everything at the default location
+    static getQuantities(item) {
+        if (item.locationQuantities) return { ...item.locationQuantities };
+
+        const defaultId = this.resolveLocationId(null);
+        return defaultId && item.quantity ? { [defaultId]: item.quantity } : {};
+    }
+
+    static getQuantity(item, locationId) {
+        return this.getQuantities(item)[locationId] || 0;
+    }
+
+    static getBalances(item) {
+        return Object.entries(this.getQuantities(item))
+            .filter(([, quantity]) => quantity > 0)
+            .map(([locationId, quantity]) => ({
+                locationId: locationId,
+                locationName: this.getLocationName(locationId),
+                quantity: quantity
+            }))
+            .sort((a, b) => b.quantity - a.quantity);
+    }
+
+    // Moves stock in or out of one location, keeping the item total in step.
+    // Returns false when the location would go negative.
+    static adjust(item, locationId, quantityChange) {
+        const quantities = this.getQuantities(item);
+        const next = SCMUnits.round((quantities[locationId] || 0) + quantityChange);
+
+        if (next < 0) return false;
+
+        if (next === 0) {
+            delete quantities[locationId];
+        } else {
+            quantities[locationId] = next;
+        }
+
+        item.locationQuantities = quantities;
+        item.quantity = SCMUnits.round(item.quantity + quantityChange);
+        return true;
+    }
+
+    // Present stock as it stands at one location; other locations are hidden
+    static viewAt(stockArray, locationId) {
+        if (!locationId) return stockArray;
+
+        return stockArray
+            .map(item => ({ ...item, quantity: this.getQuantity(item, locationId) }))
+            .filter(item => item.quantity > 0);
+    }
+
+    static validateLocation(data, existingId) {
+        const errors = [];
+        const code = (data.code || '').trim().toUpperCase();
+
+        if (!/^[A-Z0-9-]{2,12}$/.test(code)) {
+            errors.push('Location code must be 2-12 letters, numbers or dashes');
+        } else if (this.getLocations().some(location => location.code === code && location.id !== existingId)) {
+            errors.push(`Location code ${code} is already in use`);
+        }
+
+        if (!data.name || data.name.trim().length < 2) {
+            errors.push('Location name must be at least 2 characters');
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static createLocation(data) {
+        if (!SCMAuth.hasPermission('locations.manage')) return SCMAuth.deniedResult('locations.manage');
+
+        const validation = this.validateLocation(data);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const location = {
+            id: SCMIdService.nextId(),
+            code: data.code.trim().toUpperCase(),
+            name: data.name.trim(),
+            description: (data.description || '').trim(),
+            active: true,
+            isDefault: false,
+            createdBy: SCMAuth.currentUserName(),
+            createdAt: new Date().toISOString()
+        };
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.LOCATIONS, locations =>
+            [...(locations || []), location]);
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save location' };
+        }
+
+        SCMAudit.record('CREATE', 'Location', {
+            itemId: location.id,
+            itemName: location.name,
+            documentNumber: location.code,
+            after: location
+        });
+
+        return { success: true, message: `Location ${location.name} created`, data: location };
+    }
+
+    static setActive(locationId, active) {
+        if (!SCMAuth.hasPermission('locations.manage')) return SCMAuth.deniedResult('locations.manage');
+
+        const location = this.getLocation(locationId);
+        if (!location) {
+            return { success: false, message: 'Location not found' };
+        }
+
+        if (!active) {
+            if (location.isDefault) {
+                return { success: false, message: 'The default location cannot be deactivated' };
+            }
+
+            // Stock must be transferred out before a location is closed
+            const held = SCMDataManager.getAllStock().filter(item => this.getQuantity(item, location.id) > 0).length;
+            if (held > 0) {
+                return { success: false, message: `${location.name} still holds stock of ${held} items. Transfer it out first.` };
+            }
+        }
+
+        let before;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.LOCATIONS, locations => {
+            const current = (locations || []).find(l => l.id === location.id);
+            if (!current) return null;
+
+            before = { ...current };
+            current.active = active;
+            return locations;
+        });
+
+        if (!saved) {
+            return { success: false, message: 'Locations were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'Location', {
+            itemId: location.id,
+            itemName: location.name,
+            documentNumber: location.code,
+            before: before,
+            after: { ...before, active: active }
+        });
+
+        return { success: true, message: `${location.name} ${active ? 'activated' : 'deactivated'}` };
+    }
+
+    static getTransfers(filter = {}) {
+        const transfers = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.STOCK_TRANSFERS) || [];
+
+        return transfers.filter(transfer => {
+            if (filter.itemId !== undefined && transfer.itemId !== filter.itemId) return false;
+            if (filter.locationId && String(transfer.fromLocationId) !== String(filter.locationId) &&
+                String(transfer.toLocationId) !== String(filter.locationId)) return false;
+            return true;
+        }).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    static getTransfer(transferId) {
+        return this.getTransfers().find(transfer => transfer.id === transferId) || null;
+    }
+
+    // Both sides move in one write to the stock list, so a transfer can never
+    // leave units in neither location or in both
+    static transfer(itemId, fromLocationId, toLocationId, quantity, note, lotNumber = '', serialNumbers = []) {
+        if (!SCMAuth.hasPermission('stock.transfer')) return SCMAuth.deniedResult('stock.transfer');
+
+        const from = this.getLocation(fromLocationId);
+        const to = this.getLocation(toLocationId);
+        quantity = SCMUnits.parse(quantity);
+
+        if (!from || !to) {
+            return { success: false, message: 'Select both a source and a destination location' };
+        }
+
+        if (from.id === to.id) {
+            return { success: false, message: 'Source and destination must be different locations' };
+        }
+
+        if (!to.active) {
+            return { success: false, message: `${to.name} is inactive and cannot receive stock` };
+        }
+
+        if (isNaN(quantity) || quantity <= 0) {
+            return { success: false, message: 'Transfer quantity must be more than zero' };
+        }
+
+        if (!note || note.trim().length < 3) {
+            return { success: false, message: 'A transfer note of at least 3 characters is required' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(itemId, from.id) || SCMStockTake.checkNotCounted(itemId, to.id);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK);
+        const internalStock = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK) || [];
+        const key = internalStock.some(i => i.id === itemId) ?
+            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK :
+            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+
+        let item, failure;
+        let lotAllocations = [];
+        const serials = SCMSerials.parse(serialNumbers);
+        const saved = SCMStorage.update(key, stockArray => {
+            stockArray = stockArray || [];
+            item = stockArray.find(i => i.id === itemId);
+
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            if (!SCMUnits.fits(quantity, item)) {
+                failure = SCMUnits.precisionError('Transfer quantity', item);
+                return null;
+            }
+
+            const available = this.getQuantity(item, from.id);
+            if (available < quantity) {
+                failure = `Insufficient stock at ${from.name}. Available: ${SCMUnits.format(available, item)}, Requested: ${SCMUnits.format(quantity, item)}`;
+                return null;
+            }
+
+            // Lots travel with the stock; a named lot may be moved even once expired
+            if (SCMLots.isTracked(item)) {
+                const allocation = SCMLots.allocate(item, from.id, quantity, lotNumber, !!lotNumber);
+                if (allocation.failure) {
+                    failure = allocation.failure;
+                    return null;
+                }
+                lotAllocations = allocation.allocations;
+                SCMLots.apply(item, from.id, lotAllocations, -1);
+                SCMLots.apply(item, to.id, lotAllocations, 1);
+            }
+
+            // Serialized units are moved by name
+            if (SCMSerials.isTracked(item)) {
+                failure = SCMSerials.checkHeld(item, from.id, serials, quantity);
+                if (failure) return null;
+                SCMSerials.move(item, serials, to.id);
+            }
+
+            this.adjust(item, from.id, -quantity);
+            this.adjust(item, to.id, quantity);
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return {
+                success: false,
+                message: failure || 'Stock was changed in another tab. Please check the quantity and try again.'
+            };
+        }
+
+        const transfer = new StockTransfer({
+            documentNumber: SCMIdService.nextDocumentNumber('TRANSFER'),
+            itemId: item.id,
+            itemName: item.itemName,
+            stockType: item.stockType,
+            quantity: quantity,
+            unit: item.unit,
+            fromLocationId: from.id,
+            fromLocationName: from.name,
+            toLocationId: to.id,
+            toLocationName: to.name,
+            lotAllocations: lotAllocations,
+            serialNumbers: SCMSerials.isTracked(item) ? serials : [],
+            note: note.trim(),
+            transferredBy: SCMAuth.currentUserName()
+        });
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.STOCK_TRANSFERS, transfers =>
+            [...(transfers || []), transfer.toStorage()]);
+
+        // Paired movements net to zero on the item total
+        [[from, -quantity, 'TRANSFER_OUT'], [to, quantity, 'TRANSFER_IN']].forEach(([location, change, movementType]) => {
+            SCMLedger.record(item, {
+                documentNumber: transfer.documentNumber,
+                movementType: movementType,
+                quantityChange: change,
+                locationId: location.id,
+                lots: lotAllocations,
+                serialNumbers: transfer.serialNumbers,
+                party: movementType === 'TRANSFER_OUT' ? to.name : from.name,
+                reference: transfer.id,
+                performedBy: transfer.transferredBy,
+                notes: transfer.note,
+                date: transfer.date
+            });
+        });
+
+        SCMAudit.record('TRANSFER', 'StockTransfer', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: transfer.documentNumber,
+            before: { [from.name]: SCMUnits.round(this.getQuantity(item, from.id) + quantity), [to.name]: SCMUnits.round(this.getQuantity(item, to.id) - quantity) },
+            after: { [from.name]: this.getQuantity(item, from.id), [to.name]: this.getQuantity(item, to.id) },
+            actor: transfer.transferredBy,
+            notes: transfer.note
+        });
+
+        return {
+            success: true,
+            message: `${transfer.documentNumber}: ${SCMUnits.format(quantity, item)} of ${item.itemName} moved to ${to.name}`,
+            data: transfer.toStorage()
+        };
+    }
+}
+
+// ===== SCM SUPPLIERS =====
+// The supplier directory. Items and receipts keep a supplier name; a name
+// matched to a directory entry is kept on it as an alias, so receipts posted
+// under "Acme" and "ACME Ltd" count towards the same supplier.
+class SCMSuppliers {
+    static getSuppliers(filter = {}) {
+        const suppliers = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.SUPPLIERS) || [];
+
+        return suppliers
+            .filter(supplier => !filter.activeOnly || supplier.active)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    static getSupplier(supplierId) {
+        return this.getSuppliers().find(supplier => String(supplier.id) === String(supplierId)) || null;
+    }
+
+    // The supplier going by this name or one of its aliases
+    static findByName(name, suppliers = this.getSuppliers()) {
+        const normalized = SCMItems.normalizeName(name);
+        if (!normalized) return null;
+
+        return suppliers.find(supplier => [supplier.name, ...(supplier.aliases || [])]
+            .some(known => SCMItems.normalizeName(known) === normalized)) || null;
+    }
+
+    // The supplier an item is bought from: its linked supplier, else a name match
+    static getItemSupplier(item, suppliers = this.getSuppliers()) {
+        return (item.supplierId && suppliers.find(supplier => supplier.id === item.supplierId)) ||
+            this.findByName(item.supplierName, suppliers);
+    }
+
+    // Ledger fields for a receipt; a matched name is recorded as the directory has it
+    static receiptParty(name, expectedDate) {
+        const supplier = this.findByName(name);
+        return {
+            party: supplier ? supplier.name : (name || ''),
+            supplierId: supplier ? supplier.id : null,
+            expectedDate: expectedDate || null
+        };
+    }
+
+    // One contact per line: name | role | phone | email
+    static parseContacts(input) {
+        return String(input || '').split('\n')
+            .map(line => line.split('|').map(part => part.trim()))
+            .filter(parts => parts.some(part => part))
+            .map(([name = '', role = '', phone = '', email = '']) => ({ name, role, phone, email }));
+    }
+
+    static formatContacts(contacts) {
+        return (contacts || []).map(contact => [contact.name, contact.role, contact.phone, contact.email].join(' | ')).join('\n');
+    }
+
+    static validateSupplier(data, existingId) {
+        const errors = [];
+        const code = (data.code || '').trim().toUpperCase();
+        const others = this.getSuppliers().filter(supplier => supplier.id !== existingId);
+
+        if (!/^[A-Z0-9-]{2,12}$/.test(code)) {
+            errors.push('Supplier code must be 2-12 letters, numbers or dashes');
+        } else if (others.some(supplier => supplier.code === code)) {
+            errors.push(`Supplier code ${code} is already in use`);
+        }
+
+        if (!data.name || data.name.trim().length < 2) {
+            errors.push('Supplier name must be at least 2 characters');
+        } else {
+            const owner = this.findByName(data.name, others);
+            if (owner) errors.push(`${data.name.trim()} is already on file as ${owner.name}`);
+        }
+
+        if (data.leadTimeDays !== undefined && data.leadTimeDays !== null && data.leadTimeDays !== '') {
+            const days = Number(data.leadTimeDays);
+            if (!Number.isInteger(days) || days < 0) {
+                errors.push('Lead time must be a whole number of days');
+            }
+        }
+
+        if (data.paymentTerms && !SCM_CONFIG.PAYMENT_TERMS.includes(data.paymentTerms)) {
+            errors.push(`Payment terms must be one of: ${SCM_CONFIG.PAYMENT_TERMS.join(', ')}`);
+        }
+
+        (data.contacts || []).forEach(contact => {
+            if (!contact.name) {
+                errors.push('Every contact needs a name');
+            }
+            if (contact.email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(contact.email)) {
+                errors.push(`${contact.email} is not a valid email address`);
+            }
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    // The editable fields of a supplier, cleaned up for storage
+    static buildFields(data) {
+        return {
+            code: data.code.trim().toUpperCase(),
+            name: data.name.trim(),
+            contacts: data.contacts || [],
+            leadTimeDays: data.leadTimeDays === undefined || data.leadTimeDays === null || data.leadTimeDays === '' ? null : Number(data.leadTimeDays),
+            paymentTerms: data.paymentTerms || '',
+            categories: data.categories || [],
+            notes: (data.notes || '').trim()
+        };
+    }
+
+    static createSupplier(data) {
+        if (!SCMAuth.hasPermission('suppliers.manage')) return SCMAuth.deniedResult('suppliers.manage');
+
+        const validation = this.validateSupplier(data);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const supplier = {
+            id: SCMIdService.nextId(),
+            ...this.buildFields(data),
+            aliases: [],
+            active: true,
+            createdBy: SCMAuth.currentUserName(),
+            createdAt: new Date().toISOString()
+        };
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.SUPPLIERS, suppliers =>
+            [...(suppliers || []), supplier]);
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save supplier' };
+        }
+
+        // Items already bought under exactly this name belong to the new supplier
+        const linked = this.linkItems(supplier);
+
+        SCMAudit.record('CREATE', 'Supplier', {
+            itemId: supplier.id,
+            itemName: supplier.name,
+            documentNumber: supplier.code,
+            after: supplier,
+            notes: linked > 0 ? `${linked} items linked` : ''
+        });
+
+        return { success: true, message: `Supplier ${supplier.name} created${linked > 0 ? `, ${linked} items linked` : ''}`, data: supplier };
+    }
+
+    // A renamed supplier keeps its old name as an alias so earlier receipts still match
+    static updateSupplier(supplierId, data) {
+        if (!SCMAuth.hasPermission('suppliers.manage')) return SCMAuth.deniedResult('suppliers.manage');
+
+        const existing = this.getSupplier(supplierId);
+        if (!existing) {
+            return { success: false, message: 'Supplier not found' };
+        }
+
+        const validation = this.validateSupplier(data, existing.id);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const fields = this.buildFields(data);
+        let before, after;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.SUPPLIERS, suppliers => {
+            const current = (suppliers || []).find(s => s.id === existing.id);
+            if (!current) return null;
+
+            before = { ...current };
+            let aliases = (current.aliases || []).filter(alias => SCMItems.normalizeName(alias) !== SCMItems.normalizeName(fields.name));
+            if (SCMItems.normalizeName(current.name) !== SCMItems.normalizeName(fields.name)) {
+                aliases = [...aliases, current.name];
+            }
+
+            Object.assign(current, fields, { aliases: aliases });
+            after = { ...current };
+            return suppliers;
+        });
+
+        if (!saved) {
+            return { success: false, message: 'Suppliers were changed in another tab. Please try again.' };
+        }
+
+        this.linkItems(after);
+
+        SCMAudit.record('UPDATE', 'Supplier', {
+            itemId: after.id,
+            itemName: after.name,
+            documentNumber: after.code,
+            before: before,
+            after: after
+        });
+
+        return { success: true, message: `Supplier ${after.name} updated`, data: after };
+    }
+
+    // Inactive suppliers are no longer offered when receiving; their history stays
+    static setActive(supplierId, active) {
+        if (!SCMAuth.hasPermission('suppliers.manage')) return SCMAuth.deniedResult('suppliers.manage');
+
+        const supplier = this.getSupplier(supplierId);
+        if (!supplier) {
+            return { success: false, message: 'Supplier not found' };
+        }
+
+        let before;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.SUPPLIERS, suppliers => {
+            const current = (suppliers || []).find(s => s.id === supplier.id);
+            if (!current) return null;
+
+            before = { ...current };
+            current.active = active;
+            return suppliers;
+        });
+
+        if (!saved) {
+            return { success: false, message: 'Suppliers were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'Supplier', {
+            itemId: supplier.id,
+            itemName: supplier.name,
+            documentNumber: supplier.code,
+            before: before,
+            after: { ...before, active: active }
+        });
+
+        return { success: true, message: `${supplier.name} ${active ? 'activated' : 'deactivated'}` };
+    }
+
+    // Records a free-text supplier name as an alias of a directory entry
+    static matchName(name, supplierId) {
+        if (!SCMAuth.hasPermission('suppliers.manage')) return SCMAuth.deniedResult('suppliers.manage');
+
+        name = String(name || '').trim();
+        const supplier = this.getSupplier(supplierId);
+        if (!supplier) {
+            return { success: false, message: 'Supplier not found' };
+        }
+
+        if (!SCMItems.normalizeName(name)) {
+            return { success: false, message: 'Enter the supplier name to match' };
+        }
+
+        let failure, after;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.SUPPLIERS, suppliers => {
+            const current = (suppliers || []).find(s => s.id === supplier.id);
+            if (!current) return null;
+
+            const owner = this.findByName(name, suppliers);
+            if (owner && owner.id !== current.id) {
+                failure = `${name} is already matched to ${owner.name}`;
+                return null;
+            }
+
+            if (!owner) current.aliases = [...(current.aliases || []), name];
+            after = { ...current };
+            return suppliers;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Suppliers were changed in another tab. Please try again.' };
+        }
+
+        const linked = this.linkItems(after);
+
+        SCMAudit.record('UPDATE', 'Supplier', {
+            itemId: after.id,
+            itemName: after.name,
+            documentNumber: after.code,
+            before: { aliases: supplier.aliases || [] },
+            after: { aliases: after.aliases },
+            notes: `"${name}" matched${linked > 0 ? `, ${linked} items linked` : ''}`
+        });
+
+        return { success: true, message: `"${name}" matched to ${after.name}${linked > 0 ? `, ${linked} items linked` : ''}`, data: after };
+    }
+
+    // Points items bought under any of the supplier's names at its directory
+    // entry and shows them under its current name. Returns how many changed.
+    static linkItems(supplier) {
+        const names = [supplier.name, ...(supplier.aliases || [])].map(name => SCMItems.normalizeName(name));
+        let linked = 0;
+
+        [SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK, SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK].forEach(key => {
+            let changed = 0;
+            const saved = SCMStorage.update(key, stockArray => {
+                changed = 0;
+                (stockArray || []).forEach(item => {
+                    const belongs = item.supplierId === supplier.id ||
+                        (!item.supplierId && names.includes(SCMItems.normalizeName(item.supplierName)));
+                    if (!belongs || (item.supplierId === supplier.id && item.supplierName === supplier.name)) return;
+
+                    item.supplierId = supplier.id;
+                    item.supplierName = supplier.name;
+                    item.lastUpdated = new Date().toISOString();
+                    changed++;
+                });
+                return changed > 0 ? stockArray : null;
+            });
+
+            if (saved) linked += changed;
+        });
+
+        return linked;
+    }
+
+    // Supplier names on items and receipts that no directory entry answers to,
+    // with the closest directory entry suggested for each
+    static getUnmatchedNames() {
+        const suppliers = this.getSuppliers();
+        const names = {};
+        const note = (name, field) => {
+            const normalized = SCMItems.normalizeName(name);
+            if (!normalized || this.findByName(name, suppliers)) return;
+
+            const entry = names[normalized] = names[normalized] || { name: String(name).trim(), items: 0, receipts: 0 };
+            entry[field]++;
+        };
+
+        SCMDataManager.getAllStock()
+            .filter(item => !item.supplierId)
+            .forEach(item => note(item.supplierName, 'items'));
+        SCMLedger.getMovements({ movementType: 'RECEIPT' })
+            .filter(movement => !movement.supplierId)
+            .forEach(movement => note(movement.party, 'receipts'));
+
+        return Object.values(names).map(entry => {
+            const suggestion = suppliers
+                .map(supplier => ({
+                    supplier: supplier,
+                    similarity: Math.max(...[supplier.name, ...(supplier.aliases || [])].map(known => SCMItems.similarity(entry.name, known)))
+                }))
+                .filter(match => match.similarity >= SCM_CONFIG.DUPLICATE_NAME_SIMILARITY)
+                .sort((a, b) => b.similarity - a.similarity)[0];
+
+            return { ...entry, suggestion: suggestion ? suggestion.supplier : null };
+        }).sort((a, b) => (b.items + b.receipts) - (a.items + a.receipts) || a.name.localeCompare(b.name));
+    }
+
+    // 0-100 from the share of dated receipts delivered on time and how far
+    // prices rose; null when neither is known yet
+    static calculateScore(onTimeRate, priceChange) {
+        const scoring = SCM_CONFIG.SUPPLIER_SCORING;
+        const parts = [];
+
+        if (onTimeRate !== null) parts.push({ weight: scoring.ON_TIME_WEIGHT, score: onTimeRate });
+        if (priceChange !== null) {
+            parts.push({ weight: scoring.PRICE_WEIGHT, score: Math.max(0, 1 - Math.max(priceChange, 0) / scoring.PRICE_TOLERANCE) });
+        }
+
+        if (parts.length === 0) return null;
+
+        const weight = parts.reduce((sum, part) => sum + part.weight, 0);
+        return Math.round(100 * parts.reduce((sum, part) => sum + part.weight * part.score, 0) / weight);
+    }
+
+    // Spend, receipts, price trends and on-time delivery per supplier over the
+    // receipts in the period. Names not in the directory are reported as typed.
+    static getPerformanceReport(filter = {}) {
+        const suppliers = this.getSuppliers();
+        const round = value => Math.round(value * 100) / 100;
+        const groups = {};
+
+        SCMLedger.getMovements({ movementType: 'RECEIPT', startDate: filter.startDate, endDate: filter.endDate, stockType: filter.stockType }).forEach(movement => {
+            const supplier = (movement.supplierId && suppliers.find(s => s.id === movement.supplierId)) ||
+                this.findByName(movement.party, suppliers);
+            const key = supplier ? `supplier:${supplier.id}` : `name:${SCMItems.normalizeName(movement.party)}`;
+
+            const group = groups[key] = groups[key] || {
+                supplierId: supplier ? supplier.id : null,
+                code: supplier ? supplier.code : '',
+                name: supplier ? supplier.name : (movement.party || 'Unknown supplier'),
+                matched: !!supplier,
+                leadTimeDays: supplier ? supplier.leadTimeDays : null,
+                paymentTerms: supplier ? supplier.paymentTerms : '',
+                receipts: 0,
+                spend: 0,
+                lastReceiptDate: null,
+                datedReceipts: 0,
+                onTime: 0,
+                daysLate: 0,
+                prices: {}
+            };
+
+            group.receipts++;
+            group.spend = round(group.spend + movement.totalValue);
+            if (!group.lastReceiptDate || movement.date > group.lastReceiptDate) group.lastReceiptDate = movement.date;
+
+            if (movement.expectedDate) {
+                group.datedReceipts++;
+                const late = Math.round((new Date(movement.date) - new Date(movement.expectedDate)) / 86400000);
+                if (late <= 0) group.onTime++;
+                else group.daysLate += late;
+            }
+
+            const prices = group.prices[movement.itemId] = group.prices[movement.itemId] ||
+                { itemId: movement.itemId, itemName: movement.itemName, unit: movement.unit, receipts: [] };
+            prices.receipts.push({ date: movement.date, timestamp: movement.timestamp, unitCost: movement.unitCost });
+        });
+
+        const rows = Object.values(groups).map(group => {
+            // Price trend per item, first receipt in the period against the last
+            const priceTrends = Object.values(group.prices).map(prices => {
+                const receipts = prices.receipts.sort((a, b) => a.date.localeCompare(b.date) || a.timestamp.localeCompare(b.timestamp));
+                const first = receipts[0].unitCost;
+                const last = receipts[receipts.length - 1].unitCost;
+                return {
+                    itemId: prices.itemId,
+                    itemName: prices.itemName,
+                    unit: prices.unit,
+                    receipts: receipts.length,
+                    firstCost: first,
+                    lastCost: last,
+                    change: receipts.length > 1 && first > 0 ? (last - first) / first : null
+                };
+            }).sort((a, b) => a.itemName.localeCompare(b.itemName));
+
+            const changes = priceTrends.filter(trend => trend.change !== null).map(trend => trend.change);
+            const priceChange = changes.length > 0 ? changes.reduce((sum, change) => sum + change, 0) / changes.length : null;
+            const onTimeRate = group.datedReceipts > 0 ? group.onTime / group.datedReceipts : null;
+            const late = group.datedReceipts - group.onTime;
+            const { prices, daysLate, ...row } = group;
+
+            return {
+                ...row,
+                items: priceTrends.length,
+                onTimeRate: onTimeRate,
+                averageDaysLate: late > 0 ? Math.round(daysLate / late * 10) / 10 : 0,
+                priceChange: priceChange,
+                priceTrends: priceTrends,
+                score: this.calculateScore(onTimeRate, priceChange)
+            };
+        }).sort((a, b) => b.spend - a.spend);
+
+        const dated = rows.reduce((sum, row) => sum + row.datedReceipts, 0);
+
+        return {
+            suppliers: rows,
+            totals: {
+                spend: round(rows.reduce((sum, row) => sum + row.spend, 0)),
+                receipts: rows.reduce((sum, row) => sum + row.receipts, 0),
+                unmatchedSpend: round(rows.filter(row => !row.matched).reduce((sum, row) => sum + row.spend, 0)),
+                onTimeRate: dated > 0 ? rows.reduce((sum, row) => sum + row.onTime, 0) / dated : null
+            }
+        };
+    }
+}
+
+// ===== SCM RECIPIENTS & COST CENTRES =====
+// The people, departments, clients and projects stock is issued to. Issues to a
+// directory entry are charged to its cost centre, or its department's.
+class SCMRecipients {
+    static getRecipients(filter = {}) {
+        const recipients = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.RECIPIENTS) || [];
+
+        return recipients
+            .filter(recipient => !filter.activeOnly || recipient.active)
+            .filter(recipient => !filter.type || recipient.type === filter.type)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    static getRecipient(recipientId) {
+        return this.getRecipients().find(recipient => String(recipient.id) === String(recipientId)) || null;
+    }
+
+    // The recipient going by this name, code or one of its aliases
+    static findByName(name, recipients = this.getRecipients()) {
+        const normalized = SCMItems.normalizeName(name);
+        if (!normalized) return null;
+
+        return recipients.find(recipient => [recipient.name, recipient.code, ...(recipient.aliases || [])]
+            .some(known => SCMItems.normalizeName(known) === normalized)) || null;
+    }
+
+    // The recipient an issue went to: its linked entry, else a name match
+    static getRecordRecipient(record, recipients = this.getRecipients()) {
+        return (record.recipientId && recipients.find(recipient => recipient.id === record.recipientId)) ||
+            this.findByName(record.issuedTo, recipients);
+    }
+
+    // Employees and projects without a cost centre of their own are charged to their department's
+    static getCostCentre(recipient, recipients = this.getRecipients()) {
+        if (!recipient) return '';
+        if (recipient.costCentre) return recipient.costCentre;
+
+        const department = recipient.departmentId ? recipients.find(r => r.id === recipient.departmentId) : null;
+        return department ? department.costCentre : '';
+    }
+
+    // Why stock cannot be issued to this name, or null if it can
+    static checkRecipient(name, recipient = this.findByName(name)) {
+        if (recipient && !recipient.active) {
+            return `${recipient.name} is inactive in the recipient directory`;
+        }
+        if (!recipient && SCM_CONFIG.RECIPIENTS.REQUIRE_DIRECTORY) {
+            return `${String(name || '').trim()} is not in the recipient directory`;
+        }
+        return null;
+    }
+
+    static validateRecipient(data, existingId) {
+        const errors = [];
+        const code = (data.code || '').trim().toUpperCase();
+        const costCentre = (data.costCentre || '').trim().toUpperCase();
+        const others = this.getRecipients().filter(recipient => recipient.id !== existingId);
+
+        if (!/^[A-Z0-9-]{2,12}$/.test(code)) {
+            errors.push('Recipient code must be 2-12 letters, numbers or dashes');
+        } else if (others.some(recipient => recipient.code === code)) {
+            errors.push(`Recipient code ${code} is already in use`);
+        }
+
+        if (!data.name || data.name.trim().length < 2) {
+            errors.push('Recipient name must be at least 2 characters');
+        } else {
+            const owner = this.findByName(data.name, others);
+            if (owner) errors.push(`${data.name.trim()} is already on file as ${owner.name}`);
+        }
+
+        if (!SCM_CONFIG.RECIPIENTS.TYPES.includes(data.type)) {
+            errors.push(`Recipient type must be one of: ${SCM_CONFIG.RECIPIENTS.TYPES.join(', ')}`);
+        }
+
+        if (costCentre && !/^[A-Z0-9-]{2,20}$/.test(costCentre)) {
+            errors.push('Cost centre must be 2-20 letters, numbers or dashes');
+        } else if (!costCentre && data.type === 'Department') {
+            errors.push('A department needs a cost centre');
+        }
+
+        if (data.departmentId) {
+            const department = others.find(recipient => String(recipient.id) === String(data.departmentId));
+            if (data.type === 'Department') {
+                errors.push('A department cannot belong to another department');
+            } else if (!department || department.type !== 'Department') {
+                errors.push('Department not found');
+            }
+        }
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    // The editable fields of a recipient, cleaned up for storage
+    static buildFields(data) {
+        return {
+            code: data.code.trim().toUpperCase(),
+            name: data.name.trim(),
+            type: data.type,
+            departmentId: data.departmentId && data.type !== 'Department' ? Number(data.departmentId) : null,
+            costCentre: (data.costCentre || '').trim().toUpperCase(),
+            notes: (data.notes || '').trim()
+        };
+    }
+
+    static createRecipient(data) {
+        if (!SCMAuth.hasPermission('recipients.manage')) return SCMAuth.deniedResult('recipients.manage');
+
+        const validation = this.validateRecipient(data);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const recipient = {
+            id: SCMIdService.nextId(),
+            ...this.buildFields(data),
+            aliases: [],
+            active: true,
+            createdBy: SCMAuth.currentUserName(),
+            createdAt: new Date().toISOString()
+        };
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.RECIPIENTS, recipients =>
+            [...(recipients || []), recipient]);
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save recipient' };
+        }
+
+        SCMAudit.record('CREATE', 'Recipient', {
+            itemId: recipient.id,
+            itemName: recipient.name,
+            documentNumber: recipient.code,
+            after: recipient
+        });
+
+        return { success: true, message: `Recipient ${recipient.name} created`, data: recipient };
+    }
+
+    // A renamed recipient keeps its old name as an alias so earlier issues still match.
+    // Issues already made stay charged to the cost centre they were made under.
+    static updateRecipient(recipientId, data) {
+        if (!SCMAuth.hasPermission('recipients.manage')) return SCMAuth.deniedResult('recipients.manage');
+
+        const existing = this.getRecipient(recipientId);
+        if (!existing) {
+            return { success: false, message: 'Recipient not found' };
+        }
+
+        const validation = this.validateRecipient(data, existing.id);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const fields = this.buildFields(data);
+        let failure, before, after;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.RECIPIENTS, recipients => {
+            const current = (recipients || []).find(r => r.id === existing.id);
+            if (!current) return null;
+
+            // Employees and projects would lose their cost centre with the department
+            if (current.type === 'Department' && fields.type !== 'Department' &&
+                recipients.some(r => r.departmentId === current.id)) {
+                failure = `${current.name} still has members; move them to another department first`;
+                return null;
+            }
+
+            before = { ...current };
+            let aliases = (current.aliases || []).filter(alias => SCMItems.normalizeName(alias) !== SCMItems.normalizeName(fields.name));
+            if (SCMItems.normalizeName(current.name) !== SCMItems.normalizeName(fields.name)) {
+                aliases = [...aliases, current.name];
+            }
+
+            Object.assign(current, fields, { aliases: aliases });
+            after = { ...current };
+            return recipients;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Recipients were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'Recipient', {
+            itemId: after.id,
+            itemName: after.name,
+            documentNumber: after.code,
+            before: before,
+            after: after
+        });
+
+        return { success: true, message: `Recipient ${after.name} updated`, data: after };
+    }
+
+    // Inactive recipients can no longer be issued to; their history stays
+    static setActive(recipientId, active) {
+        if (!SCMAuth.hasPermission('recipients.manage')) return SCMAuth.deniedResult('recipients.manage');
+
+        const recipient = this.getRecipient(recipientId);
+        if (!recipient) {
+            return { success: false, message: 'Recipient not found' };
+        }
+
+        let before;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.RECIPIENTS, recipients => {
+            const current = (recipients || []).find(r => r.id === recipient.id);
+            if (!current) return null;
+
+            before = { ...current };
+            current.active = active;
+            return recipients;
+        });
+
+        if (!saved) {
+            return { success: false, message: 'Recipients were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'Recipient', {
+            itemId: recipient.id,
+            itemName: recipient.name,
+            documentNumber: recipient.code,
+            before: before,
+            after: { ...before, active: active }
+        });
+
+        return { success: true, message: `${recipient.name} ${active ? 'activated' : 'deactivated'}` };
+    }
+
+    // Records a free-text Issued To name as an alias of a directory entry
+    static matchName(name, recipientId) {
+        if (!SCMAuth.hasPermission('recipients.manage')) return SCMAuth.deniedResult('recipients.manage');
+
+        name = String(name || '').trim();
+        const recipient = this.getRecipient(recipientId);
+        if (!recipient) {
+            return { success: false, message: 'Recipient not found' };
+        }
+
+        if (!SCMItems.normalizeName(name)) {
+            return { success: false, message: 'Enter the recipient name to match' };
+        }
+
+        let failure, after;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.RECIPIENTS, recipients => {
+            const current = (recipients || []).find(r => r.id === recipient.id);
+            if (!current) return null;
+
+            const owner = this.findByName(name, recipients);
+            if (owner && owner.id !== current.id) {
+                failure = `${name} is already matched to ${owner.name}`;
+                return null;
+            }
+
+            if (!owner) current.aliases = [...(current.aliases || []), name];
+            after = { ...current };
+            return recipients;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Recipients were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'Recipient', {
+            itemId: after.id,
+            itemName: after.name,
+            documentNumber: after.code,
+            before: { aliases: recipient.aliases || [] },
+            after: { aliases: after.aliases },
+            notes: `"${name}" matched`
+        });
+
+        return { success: true, message: `"${name}" matched to ${after.name}`, data: after };
+    }
+
+    // Issued To names on issues that no directory entry answers to,
+    // with the closest directory entry suggested for each
+    static getUnmatchedNames() {
+        const recipients = this.getRecipients();
+        const names = {};
+
+        SCMDataManager.getIssueHistory()
+            .filter(record => !record.reversed && !this.getRecordRecipient(record, recipients))
+            .forEach(record => {
+                const normalized = SCMItems.normalizeName(record.issuedTo);
+                if (!normalized) return;
+
+                const entry = names[normalized] = names[normalized] || { name: String(record.issuedTo).trim(), issues: 0, value: 0 };
+                entry.issues++;
+                entry.value += record.totalValue;
+            });
+
+        return Object.values(names).map(entry => {
+            const suggestion = recipients
+                .map(recipient => ({
+                    recipient: recipient,
+                    similarity: Math.max(...[recipient.name, ...(recipient.aliases || [])].map(known => SCMItems.similarity(entry.name, known)))
+                }))
+                .filter(match => match.similarity >= SCM_CONFIG.DUPLICATE_NAME_SIMILARITY)
+                .sort((a, b) => b.similarity - a.similarity)[0];
+
+            return { ...entry, suggestion: suggestion ? suggestion.recipient : null };
+        }).sort((a, b) => b.value - a.value || a.name.localeCompare(b.name));
+    }
+
+    // Issued value per cost centre and recipient over a date range. Sales are
+    // left out, as the customer's invoice pays for them, as are reversed issues.
+    static getChargeBackReport(range = {}) {
+        const recipients = this.getRecipients();
+        const stock = SCMDataManager.getAllStock();
+        const costCentres = {};
+        const byRecipient = {};
+        const lines = [];
+
+        SCMDataManager.getIssueHistory()
+            .filter(record => !record.reversed && !record.invoiceNumber)
+            .filter(record => (!range.startDate || record.date >= range.startDate) && (!range.endDate || record.date <= range.endDate))
+            .forEach(record => {
+                const recipient = this.getRecordRecipient(record, recipients);
+                const costCentre = record.costCentre || this.getCostCentre(recipient, recipients);
+                const item = stock.find(i => i.id === record.itemId);
+                const recipientKey = recipient ? recipient.id : `name:${SCMItems.normalizeName(record.issuedTo)}`;
+
+                const centre = costCentres[costCentre] = costCentres[costCentre] ||
+                    { costCentre: costCentre, recipients: new Set(), issues: 0, value: 0 };
+                centre.recipients.add(recipientKey);
+                centre.issues++;
+                centre.value += record.totalValue;
+
+                const row = byRecipient[`${recipientKey}|${costCentre}`] = byRecipient[`${recipientKey}|${costCentre}`] || {
+                    recipientId: recipient ? recipient.id : null,
+                    name: recipient ? recipient.name : record.issuedTo,
+                    code: recipient ? recipient.code : '',
+                    type: recipient ? recipient.type : '',
+                    costCentre: costCentre,
+                    issues: 0,
+                    value: 0
+                };
+                row.issues++;
+                row.value += record.totalValue;
+
+                lines.push({
+                    date: record.date,
+                    documentNumber: record.documentNumber,
+                    costCentre: costCentre,
+                    recipientName: row.name,
+                    recipientCode: row.code,
+                    itemName: record.itemName,
+                    sku: item ? SCMItems.getSku(item) : '',
+                    category: record.category,
+                    stockType: record.stockType,
+                    quantity: record.quantityIssued,
+                    unit: record.unit,
+                    value: record.totalValue,
+                    reason: record.reason
+                });
+            });
+
+        const departments = recipients.filter(recipient => recipient.type === 'Department');
+        const totalValue = lines.reduce((sum, line) => sum + line.value, 0);
+
+        return {
+            costCentres: Object.values(costCentres).map(row => {
+                const department = row.costCentre ? departments.find(d => d.costCentre === row.costCentre) : null;
+                return { ...row, recipients: row.recipients.size, departmentName: department ? department.name : '' };
+            }).sort((a, b) => b.value - a.value),
+            recipients: Object.values(byRecipient).sort((a, b) => b.value - a.value),
+            lines: lines.sort((a, b) => a.costCentre.localeCompare(b.costCentre) || a.date.localeCompare(b.date)),
+            totals: {
+                issues: lines.length,
+                value: totalValue,
+                unassignedValue: lines.filter(line => !line.costCentre).reduce((sum, line) => sum + line.value, 0)
+            }
+        };
+    }
+}
+
+// ===== SCM PURCHASE ORDERS =====
+// Orders placed with suppliers. Stock only moves when an order line is
+// received, through the same receipt path as any other delivery, with the
+// PO number as the receipt reference.
+class SCMPurchasing {
+    static getOrders(filter = {}) {
+        const orders = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS) || [];
+
+        return orders.filter(order => {
+            if (filter.status && order.status !== filter.status) return false;
+            if (filter.supplierName && order.supplierName !== filter.supplierName) return false;
+            if (filter.itemId !== undefined && !order.lines.some(line => line.itemId === filter.itemId)) return false;
+            return true;
+        }).sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    static getOrder(orderId) {
+        return this.getOrders().find(order => order.id === orderId) || null;
+    }
+
+    // Sent and partly received orders still have stock to come
+    static isOpen(order) {
+        return order.status === 'sent' || order.status === 'partial';
+    }
+
+    static isOverdue(order, today = SCMLots.today()) {
+        return this.isOpen(order) && !!order.expectedDate && order.expectedDate < today;
+    }
+
+    static getOutstanding(line) {
+        return Math.max(0, SCMUnits.round(line.quantity - (line.receivedQuantity || 0)));
+    }
+
+    static getOrderValue(order) {
+        return order.lines.reduce((sum, line) => sum + line.quantity * line.unitCost, 0);
+    }
+
+    static getOutstandingValue(order) {
+        if (!this.isOpen(order)) return 0;
+        return order.lines.reduce((sum, line) => sum + this.getOutstanding(line) * line.unitCost, 0);
+    }
+
+    // Quantity still to come on open orders, keyed by item id
+    static getOnOrderQuantities(orders = this.getOrders()) {
+        const quantities = {};
+
+        orders.filter(order => this.isOpen(order)).forEach(order => {
+            order.lines.forEach(line => {
+                quantities[line.itemId] = SCMUnits.round((quantities[line.itemId] || 0) + this.getOutstanding(line));
+            });
+        });
+
+        return quantities;
+    }
+
+    // The reorder quantity, rounded up to whole purchase packs
+    static getSuggestedQuantity(item, onOrder = 0) {
+        const quantity = SCMCalculator.getReorderQuantity(item, onOrder);
+        return quantity === null ? 0 : this.roundToPacks(quantity, item);
+    }
+
+    static roundToPacks(quantity, item) {
+        const packSize = item.purchaseUnitSize || 1;
+        return packSize > 1 ? SCMUnits.round(Math.ceil(quantity / packSize) * packSize) : quantity;
+    }
+
+    // Low-stock items that open orders don't already cover, with the supplier
+    // each would be ordered from
+    static getLowStockSuggestions(stockArray = SCMDataManager.getAllStock()) {
+        const onOrder = this.getOnOrderQuantities();
+        const suppliers = SCMSuppliers.getSuppliers();
+
+        return stockArray
+            .filter(item => SCMCalculator.isLowStock(item))
+            .map(item => {
+                const supplier = SCMSuppliers.getItemSupplier(item, suppliers);
+                return {
+                    item: item,
+                    supplier: supplier,
+                    supplierName: supplier ? supplier.name : (item.supplierName || ''),
+                    onOrder: onOrder[item.id] || 0,
+                    suggestedQuantity: this.getSuggestedQuantity(item, onOrder[item.id] || 0)
+                };
+            })
+            .filter(suggestion => suggestion.suggestedQuantity > 0)
+            .sort((a, b) => a.supplierName.localeCompare(b.supplierName) || a.item.itemName.localeCompare(b.item.itemName));
+    }
+
+    // Today plus the supplier's lead time, when the directory has one
+    static getExpectedDate(supplier, from = new Date()) {
+        if (!supplier || supplier.leadTimeDays === null || supplier.leadTimeDays === undefined) return null;
+
+        const date = new Date(from);
+        date.setDate(date.getDate() + supplier.leadTimeDays);
+        return date.toISOString().split('T')[0];
+    }
+
+    // Order lines from { itemId, quantity, unitCost } in base units; a blank
+    // cost is the item's current unit cost
+    static buildLines(lines) {
+        const stock = SCMDataManager.getAllStock();
+        const errors = [];
+        const built = [];
+
+        (lines || []).forEach(line => {
+            const item = stock.find(i => String(i.id) === String(line.itemId));
+            if (!item) {
+                errors.push('An item on the order is no longer on file');
+                return;
+            }
+
+            if (built.some(existing => existing.itemId === item.id)) {
+                errors.push(`${item.itemName} is on the order more than once`);
+                return;
+            }
+
+            const quantityError = SCMUnits.checkQuantity(line.quantity, item, `${item.itemName} quantity`);
+            if (quantityError) {
+                errors.push(quantityError);
+                return;
+            }
+
+            const unitCost = StockItem.parseCost(line.unitCost);
+            if (unitCost !== null && !(unitCost >= 0)) {
+                errors.push(`${item.itemName} unit cost must be zero or more`);
+                return;
+            }
+
+            built.push({
+                lineNumber: built.length + 1,
+                itemId: item.id,
+                itemName: item.itemName,
+                sku: SCMItems.getSku(item),
+                unit: item.unit || SCM_CONFIG.DEFAULT_UNIT,
+                quantity: SCMUnits.parse(line.quantity),
+                unitCost: unitCost !== null ? unitCost : item.unitCost,
+                receivedQuantity: 0,
+                receipts: []
+            });
+        });
+
+        if (built.length === 0 && errors.length === 0) {
+            errors.push('Add at least one item to the order');
+        }
+
+        return { lines: built, errors: errors };
+    }
+
+    static create(orderData) {
+        if (!SCMAuth.hasPermission('purchase.order')) return SCMAuth.deniedResult('purchase.order');
+
+        const supplierName = String(orderData.supplierName || '').trim();
+        if (supplierName.length < 2) {
+            return { success: false, message: 'Supplier name is required' };
+        }
+
+        const built = this.buildLines(orderData.lines);
+        if (built.errors.length > 0) {
+            return { success: false, message: built.errors.join(', ') };
+        }
+
+        const supplier = SCMSuppliers.findByName(supplierName);
+        const order = new PurchaseOrder({
+            documentNumber: SCMIdService.nextDocumentNumber('PURCHASE_ORDER'),
+            supplierId: supplier ? supplier.id : null,
+            supplierName: supplier ? supplier.name : supplierName,
+            expectedDate: orderData.expectedDate || this.getExpectedDate(supplier),
+            notes: (orderData.notes || '').trim(),
+            lines: built.lines,
+            createdBy: SCMAuth.currentUserName()
+        });
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS, orders =>
+            [...(orders || []), order.toStorage()]);
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save purchase order' };
+        }
+
+        SCMAudit.record('CREATE', 'PurchaseOrder', {
+            itemId: order.id,
+            itemName: order.supplierName,
+            documentNumber: order.documentNumber,
+            after: { supplierName: order.supplierName, lines: order.lines.length, value: this.getOrderValue(order) },
+            notes: order.notes
+        });
+
+        return { success: true, message: `Purchase order ${order.documentNumber} drafted for ${order.supplierName}`, data: order.toStorage() };
+    }
+
+    // One draft order per supplier for the chosen low-stock items, or all of them
+    static createFromLowStock(itemIds) {
+        if (!SCMAuth.hasPermission('purchase.order')) return SCMAuth.deniedResult('purchase.order');
+
+        const suggestions = this.getLowStockSuggestions()
+            .filter(suggestion => !itemIds || itemIds.some(id => String(id) === String(suggestion.item.id)));
+
+        if (suggestions.length === 0) {
+            return { success: false, message: 'No low-stock items need ordering' };
+        }
+
+        const bySupplier = {};
+        suggestions.forEach(suggestion => {
+            const key = SCMItems.normalizeName(suggestion.supplierName);
+            (bySupplier[key] = bySupplier[key] || []).push(suggestion);
+        });
+
+        const orders = [];
+        const errors = [];
+        Object.values(bySupplier).forEach(group => {
+            const result = this.create({
+                supplierName: group[0].supplierName,
+                notes: 'Raised from the low-stock list',
+                lines: group.map(suggestion => ({
+                    itemId: suggestion.item.id,
+                    quantity: suggestion.suggestedQuantity,
+                    unitCost: suggestion.item.unitCost
+                }))
+            });
+
+            if (result.success) orders.push(result.data);
+            else errors.push(`${group[0].supplierName}: ${result.message}`);
+        });
+
+        if (orders.length === 0) {
+            return { success: false, message: errors.join(', ') };
+        }
+
+        return {
+            success: true,
+            message: `${orders.length} draft purchase orders raised: ${orders.map(order => order.documentNumber).join(', ')}` +
+                (errors.length > 0 ? `. Not raised: ${errors.join(', ')}` : ''),
+            data: orders
+        };
+    }
+
+    // Runs a change against one order, which must be in one of the given statuses
+    static updateOrder(orderId, statuses, change) {
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS);
+        let order, failure;
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS, orders => {
+            order = (orders || []).find(o => o.id === orderId);
+
+            if (!order) {
+                failure = 'Purchase order not found';
+                return null;
+            }
+
+            if (!statuses.includes(order.status)) {
+                failure = `Purchase order ${order.documentNumber} is ${order.status}`;
+                return null;
+            }
+
+            failure = change(order);
+            return failure ? null : orders;
+        });
+
+        return { saved: saved, order: order, failure: failure };
+    }
+
+    // Drafts can be changed freely until they are sent
+    static updateDraft(orderId, orderData) {
+        if (!SCMAuth.hasPermission('purchase.order')) return SCMAuth.deniedResult('purchase.order');
+
+        const built = this.buildLines(orderData.lines);
+        if (built.errors.length > 0) {
+            return { success: false, message: built.errors.join(', ') };
+        }
+
+        let before;
+        const result = this.updateOrder(orderId, ['draft'], order => {
+            before = { expectedDate: order.expectedDate, lines: order.lines.length, value: this.getOrderValue(order) };
+            Object.assign(order, {
+                expectedDate: orderData.expectedDate !== undefined ? (orderData.expectedDate || null) : order.expectedDate,
+                notes: orderData.notes !== undefined ? String(orderData.notes).trim() : order.notes,
+                lines: built.lines
+            });
+            return null;
+        });
+
+        if (!result.saved) {
+            return { success: false, message: result.failure || 'Purchase orders were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'PurchaseOrder', {
+            itemId: result.order.id,
+            itemName: result.order.supplierName,
+            documentNumber: result.order.documentNumber,
+            before: before,
+            after: { expectedDate: result.order.expectedDate, lines: result.order.lines.length, value: this.getOrderValue(result.order) }
+        });
+
+        return { success: true, message: `Purchase order ${result.order.documentNumber} updated`, data: result.order };
+    }
+
+    static send(orderId) {
+        if (!SCMAuth.hasPermission('purchase.order')) return SCMAuth.deniedResult('purchase.order');
+
+        const result = this.updateOrder(orderId, ['draft'], order => {
+            if (order.lines.length === 0) return `Purchase order ${order.documentNumber} has no lines`;
+
+            Object.assign(order, { status: 'sent', sentBy: SCMAuth.currentUserName(), sentAt: new Date().toISOString() });
+            return null;
+        });
+
+        if (!result.saved) {
+            return { success: false, message: result.failure || 'Purchase orders were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('SEND', 'PurchaseOrder', {
+            itemId: result.order.id,
+            itemName: result.order.supplierName,
+            documentNumber: result.order.documentNumber,
+            before: { status: 'draft' },
+            after: { status: 'sent' }
+        });
+
+        return { success: true, message: `Purchase order ${result.order.documentNumber} sent to ${result.order.supplierName}`, data: result.order };
+    }
+
+    // Sent until something arrives, partial until every line is in, then closed
+    static getReceivedStatus(order) {
+        if (order.lines.every(line => this.getOutstanding(line) === 0)) return 'closed';
+        return order.lines.some(line => (line.receivedQuantity || 0) > 0) ? 'partial' : 'sent';
+    }
+
+    // Receives part or all of one line into stock. The quantity is claimed on the
+    // order first so two tabs can't receive the same stock twice; a failed
+    // receipt gives the claim back.
+    static receive(orderId, lineNumber, receiptData = {}) {
+        if (!SCMAuth.hasPermission('stock.receive')) return SCMAuth.deniedResult('stock.receive');
+
+        const quantity = SCMUnits.parse(receiptData.quantity);
+        const unitCost = StockItem.parseCost(receiptData.unitCost);
+        const dateReceived = receiptData.dateReceived || SCMLots.today();
+        const receivedBy = SCMAuth.currentUserName();
+
+        if (isNaN(quantity) || quantity <= 0) {
+            return { success: false, message: 'Quantity must be more than zero' };
+        }
+
+        let line, previousStatus;
+        const claim = this.updateOrder(orderId, ['sent', 'partial'], order => {
+            previousStatus = order.status;
+            line = order.lines.find(l => l.lineNumber === lineNumber);
+            if (!line) return 'Order line not found';
+
+            const outstanding = this.getOutstanding(line);
+            if (quantity > outstanding) {
+                return `Only ${SCMUnits.format(outstanding, line)} of ${line.itemName} is outstanding on ${order.documentNumber}`;
+            }
+
+            line.receivedQuantity = SCMUnits.round((line.receivedQuantity || 0) + quantity);
+            this.setReceivedStatus(order, receivedBy);
+            return null;
+        });
+
+        if (!claim.saved) {
+            const failure = claim.failure && claim.order && claim.order.status === 'draft' ?
+                `Purchase order ${claim.order.documentNumber} has not been sent yet` : claim.failure;
+            return { success: false, message: failure || 'Purchase orders were changed in another tab. Please try again.' };
+        }
+
+        const order = claim.order;
+        const cost = unitCost !== null ? unitCost : line.unitCost;
+        const result = SCMDataManager.receiveStock(line.itemId, {
+            ...receiptData,
+            quantity: quantity,
+            unitCost: cost,
+            supplierName: order.supplierName,
+            expectedDate: order.expectedDate,
+            reference: order.documentNumber,
+            dateReceived: dateReceived,
+            notes: receiptData.notes || `${order.documentNumber} line ${line.lineNumber}`
+        });
+
+        let updated;
+        const recorded = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS, orders => {
+            updated = (orders || []).find(o => o.id === orderId);
+            const current = updated && updated.lines.find(l => l.lineNumber === lineNumber);
+            if (!current) return null;
+
+            if (result.success) {
+                current.receipts = [...(current.receipts || []), {
+                    date: dateReceived,
+                    quantity: quantity,
+                    unitCost: cost,
+                    locationId: SCMLocations.resolveLocationId(receiptData.locationId),
+                    receivedBy: receivedBy
+                }];
+            } else {
+                // Release the claim so the quantity can be received later
+                current.receivedQuantity = SCMUnits.round(current.receivedQuantity - quantity);
+                this.setReceivedStatus(updated, receivedBy);
+            }
+            return orders;
+        });
+
+        if (!result.success) {
+            return recorded ? result : {
+                success: false,
+                message: `${result.message}. ${SCMUnits.format(quantity, line)} of ${line.itemName} is still counted as received on ${order.documentNumber}.`
+            };
+        }
+
+        if (!recorded) {
+            return {
+                success: false,
+                message: `${SCMUnits.format(quantity, line)} of ${line.itemName} was received into stock, but the receipt could not be recorded on ${order.documentNumber}`
+            };
+        }
+
+        SCMAudit.record('RECEIVE', 'PurchaseOrder', {
+            itemId: updated.id,
+            itemName: updated.supplierName,
+            documentNumber: updated.documentNumber,
+            before: { status: previousStatus },
+            after: { status: updated.status },
+            actor: receivedBy,
+            notes: `${SCMUnits.format(quantity, line)} of ${line.itemName} received against line ${line.lineNumber}`
+        });
+
+        return {
+            success: true,
+            message: `${SCMUnits.format(quantity, line)} of ${line.itemName} received against ${updated.documentNumber}` +
+                (updated.status === 'closed' ? '. The order is now fully received.' : ''),
+            data: updated
+        };
+    }
+
+    static setReceivedStatus(order, user) {
+        order.status = this.getReceivedStatus(order);
+        Object.assign(order, order.status === 'closed' ?
+            { closedBy: user, closedAt: new Date().toISOString(), closeReason: 'Fully received' } :
+            { closedBy: '', closedAt: null, closeReason: '' });
+    }
+
+    // Closes an order short: whatever is still outstanding will not be delivered
+    static close(orderId, reason) {
+        if (!SCMAuth.hasPermission('purchase.order')) return SCMAuth.deniedResult('purchase.order');
+
+        reason = (reason || '').trim();
+        if (reason.length < 3) {
+            return { success: false, message: 'Give a reason for closing the order short' };
+        }
+
+        let previousStatus;
+        const result = this.updateOrder(orderId, ['sent', 'partial'], order => {
+            previousStatus = order.status;
+            Object.assign(order, {
+                status: 'closed',
+                closedBy: SCMAuth.currentUserName(),
+                closedAt: new Date().toISOString(),
+                closeReason: reason
+            });
+            return null;
+        });
+
+        if (!result.saved) {
+            return { success: false, message: result.failure || 'Purchase orders were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('CLOSE', 'PurchaseOrder', {
+            itemId: result.order.id,
+            itemName: result.order.supplierName,
+            documentNumber: result.order.documentNumber,
+            before: { status: previousStatus },
+            after: { status: 'closed' },
+            notes: reason
+        });
+
+        return { success: true, message: `Purchase order ${result.order.documentNumber} closed`, data: result.order };
+    }
+
+    // Only orders nothing has been received against can be cancelled
+    static cancel(orderId, reason) {
+        if (!SCMAuth.hasPermission('purchase.order')) return SCMAuth.deniedResult('purchase.order');
+
+        let previousStatus;
+        const result = this.updateOrder(orderId, ['draft', 'sent'], order => {
+            previousStatus = order.status;
+            Object.assign(order, {
+                status: 'cancelled',
+                closedBy: SCMAuth.currentUserName(),
+                closedAt: new Date().toISOString(),
+                closeReason: (reason || '').trim()
+            });
+            return null;
+        });
+
+        if (!result.saved) {
+            const failure = result.order && result.order.status === 'partial' ?
+                `Stock has been received against ${result.order.documentNumber}. Close it short instead.` : result.failure;
+            return { success: false, message: failure || 'Purchase orders were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('CANCEL', 'PurchaseOrder', {
+            itemId: result.order.id,
+            itemName: result.order.supplierName,
+            documentNumber: result.order.documentNumber,
+            before: { status: previousStatus },
+            after: { status: 'cancelled' },
+            notes: result.order.closeReason
+        });
+
+        return { success: true, message: `Purchase order ${result.order.documentNumber} cancelled`, data: result.order };
+    }
+}
+
+// ===== SCM FORECASTING =====
+// Reorder points and stock-out dates from how fast items are actually issued.
+// Safety stock covers the day-to-day swing in issues over the supplier's lead
+// time at the chosen service level. Reversed issues don't count as consumption.
+class SCMForecast {
+    static getServiceFactor(serviceLevel = SCM_CONFIG.FORECASTING.SERVICE_LEVEL) {
+        const levels = SCM_CONFIG.FORECASTING.SERVICE_LEVELS;
+        return levels[serviceLevel] !== undefined ? levels[serviceLevel] : levels[SCM_CONFIG.FORECASTING.SERVICE_LEVEL];
+    }
+
+    static addDays(date, days) {
+        const result = new Date(date);
+        result.setUTCDate(result.getUTCDate() + days);
+        return result.toISOString().split('T')[0];
+    }
+
+    static daysBetween(fromDate, toDate) {
+        return Math.round((new Date(toDate) - new Date(fromDate)) / (24 * 60 * 60 * 1000));
+    }
+
+    // Average, trend and spread of the quantity issued per day. The trend is a
+    // straight line fitted through the daily totals, read off at today.
+    static getConsumption(item, issues, today = SCMLots.today()) {
+        const settings = SCM_CONFIG.FORECASTING;
+        const windowStart = this.addDays(today, 1 - settings.HISTORY_DAYS);
+        // Items added since the window opened are averaged over the days they have existed
+        const firstDay = [(item.dateAdded || today).split('T')[0], ...issues.map(issue => issue.date)].sort()[0];
+        const startDate = firstDay > windowStart ? firstDay : windowStart;
+        const days = this.daysBetween(startDate, today) + 1;
+
+        const usage = new Array(days).fill(0);
+        issues.forEach(issue => {
+            const day = this.daysBetween(startDate, issue.date);
+            if (day >= 0 && day < days) usage[day] += issue.quantityIssued;
+        });
+
+        const total = usage.reduce((sum, quantity) => sum + quantity, 0);
+        const average = total / days;
+        const variance = usage.reduce((sum, quantity) => sum + Math.pow(quantity - average, 2), 0) / days;
+
+        let trend = average;
+        if (days >= settings.TREND_MIN_DAYS) {
+            const middle = (days - 1) / 2;
+            const spread = usage.reduce((sum, quantity, day) => sum + Math.pow(day - middle, 2), 0);
+            const slope = usage.reduce((sum, quantity, day) => sum + (day - middle) * (quantity - average), 0) / spread;
+            trend = Math.max(0, average + slope * (days - 1 - middle));
+        }
+
+        return {
+            days: days,
+            total: SCMUnits.round(total),
+            issueDays: usage.filter(quantity => quantity > 0).length,
+            average: average,
+            trend: trend,
+            standardDeviation: Math.sqrt(variance)
+        };
+    }
+
+    // Lead time from the item's supplier, or the configured default
+    static getLeadTime(supplier) {
+        const known = supplier && supplier.leadTimeDays !== null && supplier.leadTimeDays !== undefined;
+        return {
+            days: known ? supplier.leadTimeDays : SCM_CONFIG.FORECASTING.DEFAULT_LEAD_TIME_DAYS,
+            source: known ? 'supplier' : 'default'
+        };
+    }
+
+    // One item's forecast. Stock on open orders due by the stock-out date pushes
+    // it back; an item is at risk when it runs out before an order placed today
+    // could arrive.
+    static forecastItem(item, context) {
+        const settings = SCM_CONFIG.FORECASTING;
+        const consumption = this.getConsumption(item, context.issues[item.id] || [], context.today);
+        const supplier = SCMSuppliers.getItemSupplier(item, context.suppliers);
+        const leadTime = this.getLeadTime(supplier);
+        const rate = consumption.trend;
+
+        const safetyStock = SCMUnits.ceil(context.serviceFactor * consumption.standardDeviation * Math.sqrt(leadTime.days), item);
+        const reorderPoint = SCMUnits.ceil(rate * leadTime.days + safetyStock, item);
+        const inbound = context.inbound[item.id] || [];
+        const onOrder = SCMUnits.round(inbound.reduce((sum, line) => sum + line.quantity, 0));
+
+        const reorderDue = rate > 0 && item.quantity + onOrder <= reorderPoint;
+        const suggestedQuantity = reorderDue ? SCMPurchasing.roundToPacks(
+            SCMUnits.ceil(reorderPoint + rate * settings.ORDER_COVER_DAYS - item.quantity - onOrder, item), item) : 0;
+
+        let daysOfCover = null, stockOutDate = null, atRisk = false;
+        if (rate > 0) {
+            daysOfCover = item.quantity / rate;
+            stockOutDate = this.addDays(context.today, Math.floor(daysOfCover));
+
+            const arriving = inbound
+                .filter(line => line.expectedDate && line.expectedDate <= stockOutDate)
+                .reduce((sum, line) => sum + line.quantity, 0);
+            atRisk = (item.quantity + arriving) / rate < leadTime.days;
+        }
+
+        return {
+            item: item,
+            itemId: item.id,
+            itemName: item.itemName,
+            sku: SCMItems.getSku(item),
+            stockType: item.stockType,
+            unit: item.unit,
+            supplierName: supplier ? supplier.name : (item.supplierName || ''),
+            quantity: item.quantity,
+            historyDays: consumption.days,
+            issued: consumption.total,
+            issueDays: consumption.issueDays,
+            averageDaily: consumption.average,
+            trendDaily: consumption.trend,
+            standardDeviation: consumption.standardDeviation,
+            leadTimeDays: leadTime.days,
+            leadTimeSource: leadTime.source,
+            safetyStock: safetyStock,
+            reorderPoint: reorderPoint,
+            onOrder: onOrder,
+            reorderDue: reorderDue,
+            suggestedQuantity: suggestedQuantity,
+            daysOfCover: daysOfCover,
+            stockOutDate: stockOutDate,
+            atRisk: atRisk
+        };
+    }
+
+    static getForecast(options = {}) {
+        const today = options.today || SCMLots.today();
+        const serviceLevel = SCM_CONFIG.FORECASTING.SERVICE_LEVELS[options.serviceLevel] !== undefined ?
+            Number(options.serviceLevel) : SCM_CONFIG.FORECASTING.SERVICE_LEVEL;
+        const stockArray = options.stockArray || SCMDataManager.getAllStock();
+
+        const issues = {};
+        SCMDataManager.getIssueHistory()
+            .filter(issue => !issue.reversed && issue.date <= today)
+            .forEach(issue => (issues[issue.itemId] = issues[issue.itemId] || []).push(issue));
+
+        // Outstanding quantity on open orders, with when each is expected
+        const inbound = {};
+        SCMPurchasing.getOrders().filter(order => SCMPurchasing.isOpen(order)).forEach(order => {
+            order.lines.forEach(line => {
+                const quantity = SCMPurchasing.getOutstanding(line);
+                if (quantity > 0) {
+                    (inbound[line.itemId] = inbound[line.itemId] || []).push({ quantity: quantity, expectedDate: order.expectedDate });
+                }
+            });
+        });
+
+        const context = {
+            today: today,
+            issues: issues,
+            inbound: inbound,
+            suppliers: SCMSuppliers.getSuppliers(),
+            serviceFactor: this.getServiceFactor(serviceLevel)
+        };
+        const items = stockArray.map(item => this.forecastItem(item, context))
+            .sort((a, b) => (a.daysOfCover === null) - (b.daysOfCover === null) || a.daysOfCover - b.daysOfCover ||
+                a.itemName.localeCompare(b.itemName));
+
+        return {
+            today: today,
+            serviceLevel: serviceLevel,
+            items: items,
+            totals: {
+                items: items.length,
+                consumed: items.filter(row => row.trendDaily > 0).length,
+                atRisk: items.filter(row => row.atRisk).length,
+                reorderDue: items.filter(row => row.reorderDue).length
+            }
+        };
+    }
+}
+
+// ===== SCM SALES & INVOICING =====
+// External-Use stock issued for resale is sold at the item's selling price, or
+// the customer's price list where they have one, less any discount. Each sale
+// is invoiced when the issue is fulfilled; reversing the issue voids the invoice.
+class SCMSales {
+    static roundMoney(amount) {
+        return Math.round(amount * 100) / 100;
+    }
+
+    static getPriceLists(filter = {}) {
+        const priceLists = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.PRICE_LISTS) || [];
+
+        return priceLists
+            .filter(priceList => !filter.activeOnly || priceList.active)
+            .sort((a, b) => a.name.localeCompare(b.name));
+    }
+
+    static getPriceList(priceListId) {
+        return this.getPriceLists().find(priceList => String(priceList.id) === String(priceListId)) || null;
+    }
+
+    // The active price list a customer is on, if any
+    static findPriceList(customerName, priceLists = this.getPriceLists({ activeOnly: true })) {
+        const normalized = SCMItems.normalizeName(customerName);
+        if (!normalized) return null;
+
+        return priceLists.find(priceList => priceList.active &&
+            priceList.customers.some(customer => SCMItems.normalizeName(customer) === normalized)) || null;
+    }
+
+    // Item prices entered one per line as "SKU | price"
+    static parsePrices(text) {
+        const stock = SCMDataManager.getAllStock();
+        const prices = [];
+        const errors = [];
+
+        String(text || '').split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+            const [sku, price] = line.split('|').map(part => part.trim());
+            const item = stock.find(i => SCMItems.getSku(i) === SCMItems.normalizeSku(sku));
+
+            if (!item) {
+                errors.push(`No item with SKU ${sku}`);
+            } else if (item.stockType !== 'External-Use') {
+                errors.push(`${item.itemName} is not External-Use stock`);
+            } else if (prices.some(existing => existing.itemId === item.id)) {
+                errors.push(`${item.itemName} is priced more than once`);
+            } else if (StockItem.parseCost(price) === null || !(parseFloat(price) >= 0)) {
+                errors.push(`Price for ${item.itemName} must be zero or more`);
+            } else {
+                prices.push({ itemId: item.id, price: parseFloat(price) });
+            }
+        });
+
+        return { prices: prices, errors: errors };
+    }
+
+    static formatPrices(prices) {
+        const stock = SCMDataManager.getAllStock();
+        return (prices || []).map(entry => {
+            const item = stock.find(i => i.id === entry.itemId);
+            return item ? `${SCMItems.getSku(item)} | ${entry.price}` : null;
+        }).filter(Boolean).join('\n');
+    }
+
+    static validatePriceList(data, existingId) {
+        const errors = [];
+        const code = (data.code || '').trim().toUpperCase();
+        const others = this.getPriceLists().filter(priceList => priceList.id !== existingId);
+
+        if (!/^[A-Z0-9-]{2,12}$/.test(code)) {
+            errors.push('Price list code must be 2-12 letters, numbers or dashes');
+        } else if (others.some(priceList => priceList.code === code)) {
+            errors.push(`Price list code ${code} is already in use`);
+        }
+
+        if (!data.name || data.name.trim().length < 2) {
+            errors.push('Price list name must be at least 2 characters');
+        }
+
+        const discount = Number(data.discountPercent || 0);
+        if (isNaN(discount) || discount < 0 || discount > 100) {
+            errors.push('Discount must be between 0 and 100%');
+        }
+
+        // A customer can only be on one active list, so their price is never ambiguous
+        (data.customers || []).forEach(customer => {
+            const owner = this.findPriceList(customer, others.filter(priceList => priceList.active));
+            if (owner) errors.push(`${customer} is already on price list ${owner.name}`);
+        });
+
+        return {
+            isValid: errors.length === 0,
+            errors: errors
+        };
+    }
+
+    static buildFields(data) {
+        const customers = [];
+        (data.customers || []).map(customer => customer.trim()).filter(Boolean).forEach(customer => {
+            if (!customers.some(existing => SCMItems.normalizeName(existing) === SCMItems.normalizeName(customer))) {
+                customers.push(customer);
+            }
+        });
+
+        return {
+            code: data.code.trim().toUpperCase(),
+            name: data.name.trim(),
+            discountPercent: Number(data.discountPercent || 0),
+            customers: customers,
+            prices: data.prices || [],
+            notes: (data.notes || '').trim()
+        };
+    }
+
+    static createPriceList(data) {
+        if (!SCMAuth.hasPermission('sales.manage')) return SCMAuth.deniedResult('sales.manage');
+
+        const validation = this.validatePriceList(data);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const priceList = {
+            id: SCMIdService.nextId(),
+            ...this.buildFields(data),
+            active: true,
+            createdBy: SCMAuth.currentUserName(),
+            createdAt: new Date().toISOString()
+        };
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.PRICE_LISTS, priceLists =>
+            [...(priceLists || []), priceList]);
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save price list' };
+        }
+
+        SCMAudit.record('CREATE', 'PriceList', {
+            itemId: priceList.id,
+            itemName: priceList.name,
+            documentNumber: priceList.code,
+            after: priceList
+        });
+
+        return { success: true, message: `Price list ${priceList.name} created`, data: priceList };
+    }
+
+    // Changes apply to sales requested from now on; invoices keep the prices they were raised at
+    static updatePriceList(priceListId, data) {
+        if (!SCMAuth.hasPermission('sales.manage')) return SCMAuth.deniedResult('sales.manage');
+
+        const existing = this.getPriceList(priceListId);
+        if (!existing) {
+            return { success: false, message: 'Price list not found' };
+        }
+
+        const validation = this.validatePriceList(data, existing.id);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const fields = this.buildFields(data);
+        let before, after;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.PRICE_LISTS, priceLists => {
+            const current = (priceLists || []).find(p => p.id === existing.id);
+            if (!current) return null;
+
+            before = { ...current };
+            Object.assign(current, fields);
+            after = { ...current };
+            return priceLists;
+        });
+
+        if (!saved) {
+            return { success: false, message: 'Price lists were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'PriceList', {
+            itemId: after.id,
+            itemName: after.name,
+            documentNumber: after.code,
+            before: before,
+            after: after
+        });
+
+        return { success: true, message: `Price list ${after.name} updated`, data: after };
+    }
+
+    // Inactive lists stop pricing new sales; their customers fall back to item prices
+    static setActive(priceListId, active) {
+        if (!SCMAuth.hasPermission('sales.manage')) return SCMAuth.deniedResult('sales.manage');
+
+        const priceList = this.getPriceList(priceListId);
+        if (!priceList) {
+            return { success: false, message: 'Price list not found' };
+        }
+
+        if (active) {
+            const others = this.getPriceLists({ activeOnly: true }).filter(other => other.id !== priceList.id);
+            const clash = priceList.customers.find(customer => this.findPriceList(customer, others));
+            if (clash) {
+                return { success: false, message: `${clash} is already on price list ${this.findPriceList(clash, others).name}` };
+            }
+        }
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.PRICE_LISTS, priceLists => {
+            const current = (priceLists || []).find(p => p.id === priceList.id);
+            if (!current) return null;
+
+            current.active = active;
+            return priceLists;
+        });
+
+        if (!saved) {
+            return { success: false, message: 'Price lists were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'PriceList', {
+            itemId: priceList.id,
+            itemName: priceList.name,
+            documentNumber: priceList.code,
+            before: priceList,
+            after: { ...priceList, active: active }
+        });
+
+        return { success: true, message: `${priceList.name} ${active ? 'activated' : 'deactivated'}` };
+    }
+
+    // Prices a sale. An item priced on the customer's list sells at that price;
+    // anything else sells at the item's selling price less the list discount.
+    // An entered unit price or discount overrides either.
+    static quote(item, quantity, customerName, overrides = {}) {
+        if (item.stockType !== 'External-Use') {
+            return { success: false, message: 'Only External-Use stock can be sold' };
+        }
+
+        const priceList = this.findPriceList(customerName);
+        const listed = priceList ? priceList.prices.find(entry => entry.itemId === item.id) : null;
+
+        const enteredPrice = StockItem.parseCost(overrides.unitPrice);
+        const unitPrice = enteredPrice !== null ? enteredPrice : listed ? listed.price : item.sellingPrice;
+        if (unitPrice === null || unitPrice === undefined) {
+            return { success: false, message: `${item.itemName} has no selling price. Set one on the item or enter a price.` };
+        }
+        if (!(unitPrice >= 0)) {
+            return { success: false, message: 'Selling price must be zero or more' };
+        }
+
+        const enteredDiscount = StockItem.parseCost(overrides.discountPercent);
+        const discountPercent = enteredDiscount !== null ? enteredDiscount : (priceList && !listed ? priceList.discountPercent : 0);
+        if (!(discountPercent >= 0 && discountPercent <= 100)) {
+            return { success: false, message: 'Discount must be between 0 and 100%' };
+        }
+
+        const grossAmount = this.roundMoney(quantity * unitPrice);
+        const discountAmount = this.roundMoney(grossAmount * discountPercent / 100);
+
+        return {
+            success: true,
+            data: {
+                customerName: String(customerName || '').trim(),
+                priceListId: priceList ? priceList.id : null,
+                priceListName: priceList ? priceList.name : '',
+                priceSource: enteredPrice !== null ? 'entered' : listed ? 'price list' : 'item',
+                unitPrice: unitPrice,
+                discountPercent: discountPercent,
+                grossAmount: grossAmount,
+                discountAmount: discountAmount,
+                total: this.roundMoney(grossAmount - discountAmount)
+            }
+        };
+    }
+
+    // Raised by the issue it bills, numbered when the issue was
+    static createInvoice(issueRecord, sale) {
+        const item = SCMDataManager.getAllStock().find(i => i.id === issueRecord.itemId);
+        const invoice = {
+            id: SCMIdService.nextId(),
+            documentNumber: issueRecord.invoiceNumber,
+            date: issueRecord.date,
+            customerName: sale.customerName,
+            priceListId: sale.priceListId,
+            priceListName: sale.priceListName,
+            issueId: issueRecord.id,
+            issueNumber: issueRecord.documentNumber,
+            requestNumber: issueRecord.requestNumber,
+            lines: [{
+                lineNumber: 1,
+                itemId: issueRecord.itemId,
+                itemName: issueRecord.itemName,
+                sku: item ? SCMItems.getSku(item) : '',
+                category: issueRecord.category,
+                unit: issueRecord.unit,
+                quantity: issueRecord.quantityIssued,
+                unitPrice: sale.unitPrice,
+                discountPercent: sale.discountPercent,
+                grossAmount: sale.grossAmount,
+                discountAmount: sale.discountAmount,
+                netAmount: sale.total,
+                costOfSales: issueRecord.totalValue,
+                lotAllocations: issueRecord.lotAllocations,
+                serialNumbers: issueRecord.serialNumbers
+            }],
+            subtotal: sale.grossAmount,
+            discountAmount: sale.discountAmount,
+            total: sale.total,
+            costOfSales: issueRecord.totalValue,
+            status: 'issued', // issued | void
+            createdBy: issueRecord.issuedBy,
+            createdAt: new Date().toISOString(),
+            voidedAt: null,
+            voidReason: ''
+        };
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.INVOICES, invoices => [...(invoices || []), invoice]);
+
+        SCMAudit.record('CREATE', 'Invoice', {
+            itemId: issueRecord.itemId,
+            itemName: issueRecord.itemName,
+            documentNumber: invoice.documentNumber,
+            after: { customerName: invoice.customerName, total: invoice.total, costOfSales: invoice.costOfSales },
+            actor: invoice.createdBy,
+            notes: `Sale against ${issueRecord.documentNumber}`
+        });
+
+        return invoice;
+    }
+
+    static voidInvoice(documentNumber, reason) {
+        let invoice;
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.INVOICES, invoices => {
+            invoice = (invoices || []).find(i => i.documentNumber === documentNumber);
+            if (!invoice || invoice.status === 'void') return null;
+
+            Object.assign(invoice, { status: 'void', voidedAt: new Date().toISOString(), voidReason: reason });
+            return invoices;
+        });
+
+        if (!saved) return null;
+
+        SCMAudit.record('VOID', 'Invoice', {
+            itemId: invoice.lines[0].itemId,
+            itemName: invoice.lines[0].itemName,
+            documentNumber: invoice.documentNumber,
+            before: { status: 'issued' },
+            after: { status: 'void' },
+            notes: reason
+        });
+
+        return invoice;
+    }
+
+    static getInvoices(filter = {}) {
+        const invoices = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INVOICES) || [];
+
+        return invoices.filter(invoice => {
+            if (filter.status && invoice.status !== filter.status) return false;
+            if (filter.customerName && SCMItems.normalizeName(invoice.customerName) !== SCMItems.normalizeName(filter.customerName)) return false;
+            if (filter.startDate && invoice.date < filter.startDate) return false;
+            if (filter.endDate && invoice.date > filter.endDate) return false;
+            return true;
+        }).sort((a, b) => b.date.localeCompare(a.date) || new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    static getInvoice(invoiceId) {
+        return this.getInvoices().find(invoice => invoice.id === invoiceId) || null;
+    }
+
+    static getMargin(revenue, cost) {
+        const margin = revenue - cost;
+        return { margin: margin, marginPercent: revenue > 0 ? margin / revenue * 100 : null };
+    }
+
+    // Revenue, cost of sales and gross margin from invoices that still stand
+    static getSalesReport(range = {}) {
+        const invoices = this.getInvoices({ status: 'issued', startDate: range.startDate, endDate: range.endDate });
+        const items = {};
+        const categories = {};
+        const totals = { invoices: invoices.length, revenue: 0, discount: 0, cost: 0 };
+
+        invoices.forEach(invoice => {
+            invoice.lines.forEach(line => {
+                const row = items[line.itemId] = items[line.itemId] ||
+                    { itemId: line.itemId, itemName: line.itemName, sku: line.sku, category: line.category, unit: line.unit, quantity: 0, invoices: 0, revenue: 0, discount: 0, cost: 0 };
+                const category = categories[line.category] = categories[line.category] ||
+                    { category: line.category, items: new Set(), quantity: 0, invoices: 0, revenue: 0, discount: 0, cost: 0 };
+
+                [row, category].forEach(entry => {
+                    entry.quantity = SCMUnits.round(entry.quantity + line.quantity);
+                    entry.invoices++;
+                    entry.revenue += line.netAmount;
+                    entry.discount += line.discountAmount;
+                    entry.cost += line.costOfSales;
+                });
+                category.items.add(line.itemId);
+
+                totals.revenue += line.netAmount;
+                totals.discount += line.discountAmount;
+                totals.cost += line.costOfSales;
+            });
+        });
+
+        const withMargin = row => ({ ...row, ...this.getMargin(row.revenue, row.cost) });
+
+        return {
+            items: Object.values(items).map(withMargin).sort((a, b) => b.revenue - a.revenue),
+            categories: Object.values(categories)
+                .map(row => withMargin({ ...row, items: row.items.size }))
+                .sort((a, b) => b.revenue - a.revenue),
+            totals: withMargin(totals)
+        };
+    }
+
+    // What stock on hand would sell for at the items' own selling prices
+    static getPotentialRevenue(stockArray) {
+        const priced = stockArray.filter(item => typeof item.sellingPrice === 'number');
+        return {
+            value: priced.reduce((sum, item) => sum + item.quantity * item.sellingPrice, 0),
+            priced: priced.length,
+            unpriced: stockArray.length - priced.length
+        };
+    }
+}
+
+// ===== SCM LOTS & EXPIRY =====
+// Lot-tracked items hold their quantity in lots at each location. Stock leaves
+// first-expiry-first-out unless a lot is chosen, and expired lots are never issued.
+class SCMLots {
+    static isTracked(item) {
+        return !!(item && item.trackLots);
+    }
+
+    static today() {
+        return new Date().toISOString().split('T')[0];
+    }
+
+    static isExpired(lot, today = this.today()) {
+        return !!lot.expiryDate && lot.expiryDate < today;
+    }
+
+    static daysToExpiry(lot, today = this.today()) {
+        if (!lot.expiryDate) return null;
+        return Math.round((new Date(lot.expiryDate) - new Date(today)) / (24 * 60 * 60 * 1000));
+    }
+
+    // Earliest expiry first; lots without an expiry date go last
+    static compareFEFO(a, b) {
+        if (a.expiryDate !== b.expiryDate) {
+            if (!a.expiryDate) return 1;
+            if (!b.expiryDate) return -1;
+            return a.expiryDate < b.expiryDate ? -1 : 1;
+        }
+        return (a.dateReceived || '').localeCompare(b.dateReceived || '');
+    }
+
+    static getLots(item, locationId) {
+        return (item.lots || [])
+            .filter(lot => lot.quantity > 0 && (!locationId || String(lot.locationId) === String(locationId)))
+            .sort((a, b) => this.compareFEFO(a, b));
+    }
+
+    static describeAllocations(allocations) {
+        return (allocations || []).map(allocation => `${allocation.lotNumber} × ${allocation.quantity}`).join(', ');
+    }
+
+    // Works out which lots a quantity comes from without changing anything
+    static allocate(item, locationId, quantity, lotNumber = '', includeExpired = false) {
+        const today = this.today();
+        const locationName = SCMLocations.getLocationName(locationId);
+        let lots = this.getLots(item, locationId);
+
+        if (lotNumber) {
+            lots = lots.filter(lot => lot.lotNumber === lotNumber);
+            if (lots.length === 0) {
+                return { allocations: [], failure: `Lot ${lotNumber} is not held at ${locationName}` };
+            }
+            if (!includeExpired && this.isExpired(lots[0], today)) {
+                return { allocations: [], failure: `Lot ${lotNumber} expired on ${lots[0].expiryDate} and cannot be issued` };
+            }
+        }
+
+        if (!includeExpired) {
+            lots = lots.filter(lot => !this.isExpired(lot, today));
+        }
+
+        const allocations = [];
+        let remaining = quantity;
+        lots.forEach(lot => {
+            if (remaining <= 0) return;
+            const taken = Math.min(lot.quantity, remaining);
+            allocations.push({ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, dateReceived: lot.dateReceived, quantity: taken });
+            remaining = SCMUnits.round(remaining - taken);
+        });
+
+        if (remaining > 0) {
+            const usable = SCMUnits.format(quantity - remaining, item);
+            return {
+                allocations: [],
+                failure: lotNumber ?
+                    `Lot ${lotNumber} only has ${usable} at ${locationName}` :
+                    `Only ${usable} at ${locationName} is in ${includeExpired ? '' : 'unexpired '}lots`
+            };
+        }
+
+        return { allocations: allocations, failure: null };
+    }
+
+    // Takes allocated quantities out of (-1) or puts them back into (+1) the lots at a location
+    static apply(item, locationId, allocations, direction) {
+        const lots = (item.lots || []).map(lot => ({ ...lot }));
+
+        allocations.forEach(allocation => {
+            let lot = lots.find(l => l.lotNumber === allocation.lotNumber && String(l.locationId) === String(locationId));
+            if (!lot) {
+                lot = {
+                    lotNumber: allocation.lotNumber,
+                    expiryDate: allocation.expiryDate || null,
+                    dateReceived: allocation.dateReceived || this.today(),
+                    quantity: 0,
+                    locationId: locationId
+                };
+                lots.push(lot);
+            }
+            lot.quantity = SCMUnits.round(lot.quantity + direction * allocation.quantity);
+        });
+
+        item.lots = lots.filter(lot => lot.quantity > 0);
+    }
+
+    // Applies a manual quantity adjustment to lots. Decreases come off the earliest
+    // expiry first (expired lots included); increases go back into a named lot.
+    static adjust(item, locationId, quantityChange, lotNumber = '') {
+        let allocations;
+
+        if (quantityChange < 0) {
+            const allocation = this.allocate(item, locationId, -quantityChange, lotNumber, true);
+            if (allocation.failure) return allocation;
+            allocations = allocation.allocations;
+            this.apply(item, locationId, allocations, -1);
+        } else {
+            const lot = (item.lots || []).find(l => l.lotNumber === lotNumber);
+            if (!lot) {
+                return { allocations: [], failure: lotNumber ? `Lot ${lotNumber} not found` : 'Choose the lot the extra quantity belongs to' };
+            }
+            allocations = [{ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, dateReceived: lot.dateReceived, quantity: quantityChange }];
+            this.apply(item, locationId, allocations, 1);
+        }
+
+        return {
+            allocations: allocations.map(a => ({ lotNumber: a.lotNumber, expiryDate: a.expiryDate, quantity: a.quantity })),
+            failure: null
+        };
+    }
+
+    // Receives a further lot of a lot-tracked item
+    static receiveLot(itemId, lotData) {
+        if (!SCMAuth.hasPermission('stock.receive')) return SCMAuth.deniedResult('stock.receive');
+
+        const quantity = SCMUnits.parse(lotData.quantity);
+        const dateReceived = lotData.dateReceived || this.today();
+        // Blank cost receives the lot at the item's current unit cost
+        const unitCost = StockItem.parseCost(lotData.unitCost);
+        const validation = SCMValidator.validateLot({ ...lotData, dateReceived: dateReceived });
+        if (isNaN(quantity) || quantity <= 0) {
+            validation.errors.push('Quantity must be more than zero');
+        }
+        if (unitCost !== null && !(unitCost >= 0)) {
+            validation.errors.push('Unit cost must be zero or more');
+        }
+        if (validation.errors.length > 0) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(lotData.locationId));
+        if (!location || !location.active) {
+            return { success: false, message: 'Select an active receiving location' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(itemId, location.id);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        const lot = {
+            lotNumber: lotData.lotNumber.trim(),
+            expiryDate: lotData.expiryDate || null,
+            dateReceived: dateReceived,
+            quantity: quantity,
+            locationId: location.id
+        };
+
+        let item, failure, layer;
+        const saved = SCMStorage.update(SCMDataManager.findStockKey(itemId), stockArray => {
+            item = (stockArray || []).find(i => i.id === itemId);
+
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            if (!this.isTracked(item)) {
+                failure = `${item.itemName} does not track lots`;
+                return null;
+            }
+
+            if ((item.lots || []).some(existing => existing.lotNumber === lot.lotNumber)) {
+                failure = `Lot ${lot.lotNumber} has already been received for ${item.itemName}`;
+                return null;
+            }
+
+            if (!SCMUnits.fits(quantity, item)) {
+                failure = SCMUnits.precisionError('Quantity', item);
+                return null;
+            }
+
+            layer = SCMCosting.receive(item, quantity, unitCost !== null ? unitCost : SCMCosting.getUnitCost(item),
+                lotData.reference || `Lot ${lot.lotNumber}`, dateReceived);
+            SCMLocations.adjust(item, location.id, quantity);
+            item.lots = [...(item.lots || []), lot];
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Stock was changed in another tab. Please try again.' };
+        }
+
+        const receivedBy = SCMAuth.currentUserName();
+
+        SCMAudit.record('RECEIVE', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: item.documentNumber,
+            before: { quantity: SCMUnits.round(item.quantity - quantity) },
+            after: { quantity: item.quantity, lot: lot },
+            actor: receivedBy,
+            notes: `Lot ${lot.lotNumber} received at ${location.name}`
+        });
+
+        SCMLedger.record(item, {
+            movementType: 'RECEIPT',
+            quantityChange: quantity,
+            locationId: location.id,
+            lots: [{ lotNumber: lot.lotNumber, expiryDate: lot.expiryDate, quantity: quantity }],
+            unitCost: layer.unitCost,
+            ...SCMSuppliers.receiptParty(lotData.supplierName || item.supplierName, lotData.expectedDate),
+            reference: lotData.reference,
+            performedBy: receivedBy,
+            notes: `Lot ${lot.lotNumber}`,
+            date: dateReceived
+        });
+
+        return { success: true, message: `Lot ${lot.lotNumber} (${SCMUnits.format(quantity, item)}) received into ${location.name}`, data: lot };
+    }
+
+    // Starts lot tracking on an existing item; stock already held becomes one opening lot per location
+    static enableTracking(itemId, lotData) {
+        if (!SCMAuth.hasPermission('stock.edit')) return SCMAuth.deniedResult('stock.edit');
+
+        const validation = SCMValidator.validateLot(lotData);
+        if (!validation.isValid) {
+            return { success: false, message: validation.errors.join(', ') };
+        }
+
+        let item, before;
+        const saved = SCMStorage.update(SCMDataManager.findStockKey(itemId), stockArray => {
+            item = (stockArray || []).find(i => i.id === itemId);
+            if (!item || this.isTracked(item) || SCMSerials.isTracked(item)) return null;
+
+            before = { trackLots: false };
+            item.trackLots = true;
+            item.lots = SCMLocations.getBalances(item).map(balance => ({
+                lotNumber: lotData.lotNumber.trim(),
+                expiryDate: lotData.expiryDate || null,
+                dateReceived: lotData.dateReceived || item.dateReceived,
+                quantity: balance.quantity,
+                locationId: SCMLocations.resolveLocationId(balance.locationId) || balance.locationId
+            }));
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return {
+                success: false,
+                message: item ? `${item.itemName} already tracks ${this.isTracked(item) ? 'lots' : 'serial numbers'}` : 'Item not found'
+            };
+        }
+
+        SCMAudit.record('UPDATE', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: item.documentNumber,
+            before: before,
+            after: { trackLots: true, lots: item.lots },
+            notes: `Lot tracking started with opening lot ${lotData.lotNumber.trim()}`
+        });
+
+        return { success: true, message: `${item.itemName} now tracks lots`, data: item };
+    }
+
+    // Lots expiring within the window, plus lots already expired
+    static getExpiryReport(days = SCM_CONFIG.EXPIRY_WARNING_DAYS, locationId = '') {
+        const today = this.today();
+        const rows = [];
+
+        SCMDataManager.getAllStock().filter(item => this.isTracked(item)).forEach(item => {
+            this.getLots(item, locationId).forEach(lot => {
+                const daysLeft = this.daysToExpiry(lot, today);
+                if (daysLeft === null || daysLeft > days) return;
+
+                rows.push({
+                    itemId: item.id,
+                    itemName: item.itemName,
+                    stockType: item.stockType,
+                    category: item.category,
+                    lotNumber: lot.lotNumber,
+                    expiryDate: lot.expiryDate,
+                    locationId: lot.locationId,
+                    locationName: SCMLocations.getLocationName(lot.locationId),
+                    quantity: lot.quantity,
+                    value: lot.quantity * item.unitCost,
+                    daysLeft: daysLeft,
+                    expired: daysLeft < 0
+                });
+            });
+        });
+
+        rows.sort((a, b) => a.daysLeft - b.daysLeft);
+        const expiring = rows.filter(row => !row.expired);
+        const expired = rows.filter(row => row.expired);
+
+        return {
+            days: days,
+            expiring: expiring,
+            expired: expired,
+            expiringValue: expiring.reduce((sum, row) => sum + row.value, 0),
+            expiredValue: expired.reduce((sum, row) => sum + row.value, 0)
+        };
+    }
+}
+
+// ===== SCM SERIAL NUMBERS =====
+// Serialized items record every unit in stock by serial number. Units are
+// named when they are issued, transferred or written off.
+class SCMSerials {
+    static isTracked(item) {
+        return !!(item && item.trackSerials);
+    }
+
+    // Accepts a list, or text with serials separated by new lines or commas
+    static parse(input) {
+        const list = Array.isArray(input) ? input : String(input || '').split(/[\n,;]+/);
+        return list.map(serial => String(serial).trim().toUpperCase()).filter(Boolean);
+    }
+
+    static getSerials(item, locationId) {
+        return (item.serials || [])
+            .filter(unit => !locationId || String(unit.locationId) === String(locationId))
+            .sort((a, b) => a.serialNumber.localeCompare(b.serialNumber));
+    }
+
+    // Checks the named units are all in stock at the location
+    static checkHeld(item, locationId, serialNumbers, quantity) {
+        const validation = SCMValidator.validateSerialNumbers(serialNumbers, quantity);
+        if (!validation.isValid) return validation.errors.join(', ');
+
+        const held = this.getSerials(item, locationId).map(unit => unit.serialNumber);
+        const missing = serialNumbers.filter(serial => !held.includes(serial));
+        return missing.length > 0 ?
+            `Not in stock at ${SCMLocations.getLocationName(locationId)}: ${missing.join(', ')}` : null;
+    }
+
+    // Checks units being received are not already in stock
+    static checkNew(item, serialNumbers, quantity) {
+        const validation = SCMValidator.validateSerialNumbers(serialNumbers, quantity);
+        if (!validation.isValid) return validation.errors.join(', ');
+
+        const inStock = serialNumbers.filter(serial => (item.serials || []).some(unit => unit.serialNumber === serial));
+        return inStock.length > 0 ? `Already in stock for ${item.itemName}: ${inStock.join(', ')}` : null;
+    }
+
+    static add(item, locationId, serialNumbers, dateReceived) {
+        item.serials = [...(item.serials || []), ...serialNumbers.map(serial => ({
+            serialNumber: serial,
+            locationId: locationId,
+            dateReceived: dateReceived || new Date().toISOString().split('T')[0]
+        }))];
+    }
+
+    static remove(item, serialNumbers) {
+        item.serials = (item.serials || []).filter(unit => !serialNumbers.includes(unit.serialNumber));
+    }
+
+    static move(item, serialNumbers, locationId) {
+        item.serials = (item.serials || []).map(unit =>
+            serialNumbers.includes(unit.serialNumber) ? { ...unit, locationId: locationId } : unit);
+    }
+
+    // Applies a manual quantity adjustment: decreases name the units removed,
+    // increases name the units added
+    static adjust(item, locationId, quantityChange, serialNumbers) {
+        const serials = this.parse(serialNumbers);
+        const failure = quantityChange < 0 ?
+            this.checkHeld(item, locationId, serials, -quantityChange) :
+            this.checkNew(item, serials, quantityChange);
+
+        if (failure) return { serialNumbers: [], failure: failure };
+
+        if (quantityChange < 0) {
+            this.remove(item, serials);
+        } else {
+            this.add(item, locationId, serials);
+        }
+
+        return { serialNumbers: serials, failure: null };
+    }
+
+    // Receives further units of a serialized item
+    static receiveUnits(itemId, receiptData) {
+        if (!SCMAuth.hasPermission('stock.receive')) return SCMAuth.deniedResult('stock.receive');
+
+        const serialNumbers = this.parse(receiptData.serialNumbers);
+        const dateReceived = receiptData.dateReceived || new Date().toISOString().split('T')[0];
+        // Blank cost receives the units at the item's current unit cost
+        const unitCost = StockItem.parseCost(receiptData.unitCost);
+
+        if (serialNumbers.length === 0) {
+            return { success: false, message: 'Enter the serial number of each unit received' };
+        }
+
+        if (unitCost !== null && !(unitCost >= 0)) {
+            return { success: false, message: 'Unit cost must be zero or more' };
+        }
+
+        const location = SCMLocations.getLocation(SCMLocations.resolveLocationId(receiptData.locationId));
+        if (!location || !location.active) {
+            return { success: false, message: 'Select an active receiving location' };
+        }
+
+        const counting = SCMStockTake.checkNotCounted(itemId, location.id);
+        if (counting) {
+            return { success: false, message: counting };
+        }
+
+        let item, failure, layer;
+        const saved = SCMStorage.update(SCMDataManager.findStockKey(itemId), stockArray => {
+            item = (stockArray || []).find(i => i.id === itemId);
+
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            if (!this.isTracked(item)) {
+                failure = `${item.itemName} does not track serial numbers`;
+                return null;
+            }
+
+            failure = this.checkNew(item, serialNumbers, serialNumbers.length);
+            if (failure) return null;
+
+            layer = SCMCosting.receive(item, serialNumbers.length, unitCost !== null ? unitCost : SCMCosting.getUnitCost(item),
+                receiptData.reference, dateReceived);
+            SCMLocations.adjust(item, location.id, serialNumbers.length);
+            this.add(item, location.id, serialNumbers, dateReceived);
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Stock was changed in another tab. Please try again.' };
+        }
+
+        const receivedBy = SCMAuth.currentUserName();
+
+        SCMAudit.record('RECEIVE', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: item.documentNumber,
+            before: { quantity: item.quantity - serialNumbers.length },
+            after: { quantity: item.quantity, serialNumbers: serialNumbers },
+            actor: receivedBy,
+            notes: `${serialNumbers.length} serialized units received at ${location.name}`
+        });
+
+        SCMLedger.record(item, {
+            movementType: 'RECEIPT',
+            quantityChange: serialNumbers.length,
+            unitCost: layer.unitCost,
+            locationId: location.id,
+            serialNumbers: serialNumbers,
+            ...SCMSuppliers.receiptParty(receiptData.supplierName || item.supplierName, receiptData.expectedDate),
+            reference: receiptData.reference,
+            performedBy: receivedBy,
+            notes: receiptData.notes,
+            date: dateReceived
+        });
+
+        return { success: true, message: `${serialNumbers.length} units of ${item.itemName} received into ${location.name}`, data: serialNumbers };
+    }
+
+    // Starts serial tracking on an existing item; every unit held at each
+    // location must be named, keyed by location id
+    static enableTracking(itemId, serialsByLocation) {
+        if (!SCMAuth.hasPermission('stock.edit')) return SCMAuth.deniedResult('stock.edit');
+
+        let item, failure;
+        const saved = SCMStorage.update(SCMDataManager.findStockKey(itemId), stockArray => {
+            item = (stockArray || []).find(i => i.id === itemId);
+
+            if (!item) {
+                failure = 'Item not found';
+                return null;
+            }
+
+            if (this.isTracked(item) || SCMLots.isTracked(item)) {
+                failure = `${item.itemName} already tracks ${this.isTracked(item) ? 'serial numbers' : 'lots'}`;
+                return null;
+            }
+
+            const units = [];
+            for (const balance of SCMLocations.getBalances(item)) {
+                const serialNumbers = this.parse(serialsByLocation[balance.locationId]);
+                const validation = SCMValidator.validateSerialNumbers(serialNumbers, balance.quantity);
+                if (!validation.isValid) {
+                    failure = `${balance.locationName}: ${validation.errors.join(', ')}`;
+                    return null;
+                }
+                units.push(...serialNumbers.map(serial => ({ serial: serial, locationId: balance.locationId })));
+            }
+
+            const all = units.map(unit => unit.serial);
+            const repeated = all.filter((serial, index) => all.indexOf(serial) !== index);
+            if (repeated.length > 0) {
+                failure = `Serial numbers entered more than once: ${[...new Set(repeated)].join(', ')}`;
+                return null;
+            }
+
+            item.trackSerials = true;
+            item.serials = units.map(unit => ({
+                serialNumber: unit.serial,
+                locationId: SCMLocations.resolveLocationId(unit.locationId) || unit.locationId,
+                dateReceived: item.dateReceived
+            }));
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
+
+        if (!saved) {
+            return { success: false, message: failure || 'Stock was changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('UPDATE', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: item.documentNumber,
+            before: { trackSerials: false },
+            after: { trackSerials: true, serials: item.serials },
+            notes: `Serial tracking started for ${item.serials.length} units`
+        });
+
+        return { success: true, message: `${item.itemName} now tracks serial numbers`, data: item };
+    }
+
+    // Everything that has happened to one unit, oldest first
+    static getHistory(serialNumber) {
+        const serial = this.parse([serialNumber])[0];
+        if (!serial) return null;
+
+        const issues = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || [];
+        const events = SCMLedger.getMovements()
+            .filter(movement => (movement.serialNumbers || []).includes(serial))
+            .reverse()
+            .map(movement => {
+                const issue = movement.movementType === 'ISSUE' ? issues.find(record => record.id === movement.reference) : null;
+                const type = SCM_CONFIG.MOVEMENT_TYPES[movement.movementType];
+                return {
+                    date: movement.date,
+                    timestamp: movement.timestamp,
+                    movementType: movement.movementType,
+                    label: type ? type.label : movement.movementType,
+                    itemName: movement.itemName,
+                    locationName: movement.locationName,
+                    party: movement.party,
+                    documentNumber: movement.documentNumber || (issue ? issue.documentNumber : ''),
+                    performedBy: movement.performedBy,
+                    notes: movement.notes
+                };
+            });
+
+        const holder = SCMDataManager.getAllStock().find(item => (item.serials || []).some(unit => unit.serialNumber === serial));
+        const unit = holder ? holder.serials.find(u => u.serialNumber === serial) : null;
+        const last = events[events.length - 1];
+
+        let status = 'Not found';
+        if (unit) {
+            status = `In stock at ${SCMLocations.getLocationName(unit.locationId)}`;
+        } else if (last && last.movementType === 'ISSUE') {
+            status = `Issued to ${last.party}`;
+        } else if (last) {
+            status = 'Written off';
+        }
+
+        return {
+            serialNumber: serial,
+            itemName: holder ? holder.itemName : (last ? last.itemName : ''),
+            inStock: !!unit,
+            status: status,
+            events: events
+        };
+    }
+}
+
+// ===== SCM UNITS OF MEASURE =====
+// Every quantity is held in the item's base unit. Purchase and issue units are
+// packs of a fixed size in that unit, converted when a quantity is entered.
+class SCMUnits {
+    static getUnit(code) {
+        return SCM_CONFIG.UNITS_OF_MEASURE[code] || SCM_CONFIG.UNITS_OF_MEASURE[SCM_CONFIG.DEFAULT_UNIT];
+    }
+
+    // Accepts a unit code or anything with a unit field: items, issues, movements
+    static resolve(itemOrUnit) {
+        return this.getUnit(typeof itemOrUnit === 'string' ? itemOrUnit : itemOrUnit && itemOrUnit.unit);
+    }
+
+    // Decimal quantities are rounded after every sum so 0.1 + 0.2 stays 0.3
+    static round(quantity) {
+        return Math.round(quantity * 1000) / 1000;
+    }
+
+    static parse(value) {
+        return this.round(parseFloat(value));
+    }
+
+    // Step for number inputs holding quantities in this unit
+    static getStep(itemOrUnit) {
+        const decimals = this.resolve(itemOrUnit).decimals;
+        return decimals > 0 ? (1 / Math.pow(10, decimals)).toFixed(decimals) : '1';
+    }
+
+    // Rounds up to the smallest quantity the unit can hold
+    static ceil(quantity, itemOrUnit) {
+        const scale = Math.pow(10, this.resolve(itemOrUnit).decimals);
+        return this.round(Math.ceil(this.round(quantity * scale)) / scale);
+    }
+
+    static fits(quantity, itemOrUnit) {
+        const scaled = quantity * Math.pow(10, this.resolve(itemOrUnit).decimals);
+        return Math.abs(scaled - Math.round(scaled)) < 1e-6;
+    }
+
+    static precisionError(label, itemOrUnit) {
+        const decimals = this.resolve(itemOrUnit).decimals;
+        return decimals > 0 ? `${label} can have at most ${decimals} decimal places` : `${label} must be a whole number`;
+    }
+
+    // Returns the problem with a quantity that must be above zero, or null
+    static checkQuantity(quantity, itemOrUnit, label = 'Quantity') {
+        const value = this.parse(quantity);
+
+        if (isNaN(value) || value <= 0) return `${label} must be more than zero`;
+        if (!this.fits(value, itemOrUnit)) return this.precisionError(label, itemOrUnit);
+        return null;
+    }
+
+    // The units a quantity can be entered in: the base unit, then any packs
+    static getPacks(item) {
+        const packs = [{ name: this.resolve(item).symbol, size: 1 }];
+
+        [[item.purchaseUnit, item.purchaseUnitSize], [item.issueUnit, item.issueUnitSize]].forEach(([name, size]) => {
+            if (name && size && !packs.some(pack => pack.name === name)) {
+                packs.push({ name: name, size: size });
+            }
+        });
+
+        return packs;
+    }
+
+    static toBase(quantity, packSize = 1) {
+        return this.round(parseFloat(quantity) * (parseFloat(packSize) || 1));
+    }
+
+    // Pack prices are stored as the cost of one base unit
+    static costPerBaseUnit(cost, packSize = 1) {
+        return Math.round(parseFloat(cost) / (parseFloat(packSize) || 1) * 10000) / 10000;
+    }
+
+    static format(quantity, itemOrUnit) {
+        return `${this.round(quantity)} ${this.resolve(itemOrUnit).symbol}`;
+    }
+
+    // e.g. "box of 12 ea, pack of 6 ea"
+    static describePacks(item) {
+        return this.getPacks(item).slice(1).map(pack => `${pack.name} of ${this.format(pack.size, item)}`).join(', ');
+    }
+}
+
+// ===== SCM COSTING =====
+// Every receipt opens a cost layer and stock always leaves the layers oldest first.
+// Items also carry a moving average cost and an optional standard cost, so stock
+// can be valued under any method while the selected one prices issues.
+// Call these before the item's quantity moves: layers are checked against it.
+class SCMCosting {
+    static getMethod() {
+        const settings = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.SYSTEM_SETTINGS) || {};
+        return SCM_CONFIG.COSTING_METHODS[settings.costingMethod] ? settings.costingMethod : SCM_CONFIG.DEFAULT_COSTING_METHOD;
+    }
+
+    static getMethodLabel(method = this.getMethod()) {
+        return SCM_CONFIG.COSTING_METHODS[method].label;
+    }
+
+    static round(cost) {
+        return Math.round(cost * 10000) / 10000;
+    }
+
+    // Items saved before cost layers existed hold their stock as one opening layer
+    static getLayers(item) {
+        if (item.costLayers) return item.costLayers.map(layer => ({ ...layer }));
+
+        return item.quantity > 0 ? [{
+            date: item.dateReceived,
+            quantity: item.quantity,
+            unitCost: item.unitCost || 0,
+            reference: 'Opening balance'
+        }] : [];
+    }
+
+    static getAverageCost(item) {
+        return typeof item.averageCost === 'number' ? item.averageCost : (item.unitCost || 0);
+    }
+
+    // Items without a standard cost are held at their average
+    static getStandardCost(item) {
+        return typeof item.standardCost === 'number' ? item.standardCost : this.getAverageCost(item);
+    }
+
+    static getValue(item, method = this.getMethod()) {
+        if (method === 'STANDARD') return item.quantity * this.getStandardCost(item);
+        if (method === 'WEIGHTED_AVERAGE') return item.quantity * this.getAverageCost(item);
+        return this.getLayers(item).reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+    }
+
+    // Cost of one base unit on hand; an empty FIFO item keeps its last receipt cost
+    static getUnitCost(item, method = this.getMethod()) {
+        if (method === 'STANDARD') return this.round(this.getStandardCost(item));
+        if (method === 'WEIGHTED_AVERAGE') return this.round(this.getAverageCost(item));
+
+        const layers = this.getLayers(item);
+        const quantity = layers.reduce((sum, layer) => sum + layer.quantity, 0);
+        if (quantity > 0) {
+            return this.round(layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0) / quantity);
+        }
+        return layers.length > 0 ? layers[layers.length - 1].unitCost : (item.unitCost || 0);
+    }
+
+    // Adds stock at its cost per base unit; layers stay in date order
+    static receive(item, quantity, unitCost, reference = '', date = new Date().toISOString().split('T')[0]) {
+        const layers = this.getLayers(item);
+        const held = layers.reduce((sum, layer) => SCMUnits.round(sum + layer.quantity), 0);
+
+        item.averageCost = held > 0 ?
+            this.round((held * this.getAverageCost(item) + quantity * unitCost) / (held + quantity)) :
+            unitCost;
+
+        const layer = { date: date, quantity: quantity, unitCost: unitCost, reference: String(reference || '') };
+        const index = layers.findIndex(existing => existing.date > date);
+        layers.splice(index === -1 ? layers.length : index, 0, layer);
+
+        item.costLayers = layers;
+        item.unitCost = this.getUnitCost(item);
+        return layer;
+    }
+
+    // Takes stock out of the layers oldest first. Returns the layers consumed
+    // and the cost of the quantity under the costing method.
+    static consume(item, quantity, method = this.getMethod()) {
+        const layers = this.getLayers(item);
+        const consumed = [];
+        let remaining = quantity;
+
+        layers.forEach(layer => {
+            if (remaining <= 0) return;
+            const taken = Math.min(layer.quantity, remaining);
+            layer.quantity = SCMUnits.round(layer.quantity - taken);
+            remaining = SCMUnits.round(remaining - taken);
+            consumed.push({ ...layer, quantity: taken });
+        });
+
+        // Layers that fell out of step with the quantity are priced at the average
+        if (remaining > 0) {
+            consumed.push({ date: '', quantity: remaining, unitCost: this.getAverageCost(item), reference: 'Unlayered stock' });
+        }
+
+        const fifoCost = consumed.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0);
+        const totalCost = method === 'FIFO' ? fifoCost :
+            quantity * (method === 'STANDARD' ? this.getStandardCost(item) : this.getAverageCost(item));
+
+        item.costLayers = layers.filter(layer => layer.quantity > 0);
+        item.unitCost = this.getUnitCost(item, method);
+
+        return {
+            layers: consumed,
+            totalCost: Math.round(totalCost * 100) / 100,
+            unitCost: quantity > 0 ? this.round(totalCost / quantity) : 0,
+            averageCost: this.getAverageCost(item)
+        };
+    }
+
+    // What issuing a quantity would cost now, without taking it
+    static estimate(item, quantity) {
+        return this.consume({ ...item }, quantity);
+    }
+
+    // Puts reversed stock back into the layers it left. The average takes the
+    // stock back at the average it left at, so it ends up where it was before;
+    // without that (older records) the layers are averaged in at their own costs.
+    static restore(item, layers, quantity, unitCost, issuedAverageCost = null) {
+        const averageCost = this.getAverageCost(item);
+        const held = this.getLayers(item).reduce((sum, layer) => SCMUnits.round(sum + layer.quantity), 0);
+
+        if (layers.length === 0) {
+            this.receive(item, quantity, unitCost, 'Reversal');
+        } else {
+            layers.forEach(layer => this.receive(item, layer.quantity, layer.unitCost, layer.reference, layer.date || undefined));
+        }
+
+        const layeredQuantity = layers.reduce((sum, layer) => sum + layer.quantity, 0);
+        const returnedCost = typeof issuedAverageCost === 'number' ? issuedAverageCost :
+            layeredQuantity > 0 ? layers.reduce((sum, layer) => sum + layer.quantity * layer.unitCost, 0) / layeredQuantity :
+            unitCost;
+
+        item.averageCost = held > 0 ?
+            this.round((held * averageCost + quantity * returnedCost) / (held + quantity)) :
+            this.round(returnedCost);
+        item.unitCost = this.getUnitCost(item);
+    }
+
+    // Adjustments in are layered at the current unit cost; adjustments out are consumed
+    static adjust(item, quantityChange, reference = '') {
+        if (quantityChange > 0) {
+            const unitCost = this.getUnitCost(item);
+            this.receive(item, quantityChange, unitCost, reference);
+            return { layers: [], totalCost: Math.round(quantityChange * unitCost * 100) / 100, unitCost: unitCost };
+        }
+        return this.consume(item, -quantityChange);
+    }
+
+    static setMethod(method) {
+        if (!SCMAuth.hasPermission('costing.manage')) return SCMAuth.deniedResult('costing.manage');
+
+        if (!SCM_CONFIG.COSTING_METHODS[method]) {
+            return { success: false, message: 'Unknown costing method' };
+        }
+
+        const previous = this.getMethod();
+        if (method === previous) {
+            return { success: true, message: `Stock is already costed by ${this.getMethodLabel(method)}` };
+        }
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.SYSTEM_SETTINGS, settings =>
+            ({ ...(settings || {}), costingMethod: method }));
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save the costing method' };
+        }
+
+        // Item unit costs follow the method from now on
+        [SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK, SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK].forEach(key => {
+            SCMStorage.update(key, stock => (stock || []).map(item => ({ ...item, unitCost: this.getUnitCost(item, method) })));
+        });
+
+        SCMAudit.record('UPDATE', 'Settings', {
+            itemId: null,
+            before: { costingMethod: previous },
+            after: { costingMethod: method },
+            notes: `Costing method changed from ${this.getMethodLabel(previous)} to ${this.getMethodLabel(method)}`
+        });
+
+        return { success: true, message: `Stock is now costed by ${this.getMethodLabel(method)}` };
+    }
+
+    // Stock valued under every method, item by item
+    static getValuationReport(stockArray = SCMDataManager.getAllStock()) {
+        const methods = Object.keys(SCM_CONFIG.COSTING_METHODS);
+        const rows = stockArray.map(item => {
+            const values = {};
+            methods.forEach(method => {
+                values[method] = this.getValue(item, method);
+            });
+            return { item: item, values: values };
+        });
+
+        const totals = {};
+        methods.forEach(method => {
+            totals[method] = rows.reduce((sum, row) => sum + row.values[method], 0);
+        });
+
+        return { method: this.getMethod(), rows: rows, totals: totals };
+    }
+}
+
+// ===== SCM STOCK MOVEMENT LEDGER =====
+// Append-only record of every receipt, issue, adjustment, deletion and reversal.
+// Entries are never edited; corrections are posted as new movements.
+class SCMLedger {
+    static record(item, movementData) {
+        const movement = new StockMovement({
+            itemId: item.id,
+            itemName: item.itemName,
+            stockType: item.stockType,
+            category: item.category,
+            unit: item.unit,
+            unitCost: item.unitCost,
+            balanceAfter: item.quantity,
+            locationName: movementData.locationId ? SCMLocations.getLocationName(movementData.locationId) : '',
+            ...movementData
+        });
+
+        // Null tells the caller the movement was not written
+        if (!SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.STOCK_LEDGER, ledger => [...(ledger || []), movement.toStorage()])) return null;
+
+        return movement;
+    }
+
+    static getMovements(filter = {}) {
+        const ledger = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.STOCK_LEDGER) || [];
+
+        return ledger.filter(movement => {
+            if (filter.itemId !== undefined && movement.itemId !== filter.itemId) return false;
+            if (filter.movementType && movement.movementType !== filter.movementType) return false;
+            if (filter.direction && new StockMovement(movement).direction !== filter.direction) return false;
+            if (filter.stockType && movement.stockType !== filter.stockType) return false;
+            if (filter.locationId && String(movement.locationId) !== String(filter.locationId)) return false;
+            if (filter.startDate && movement.date < filter.startDate) return false;
+            if (filter.endDate && movement.date > filter.endDate) return false;
+
+            if (filter.searchTerm) {
+                const searchLower = filter.searchTerm.toLowerCase();
+                return movement.itemName.toLowerCase().includes(searchLower) ||
+                    movement.party.toLowerCase().includes(searchLower) ||
+                    String(movement.reference).toLowerCase().includes(searchLower) ||
+                    movement.notes.toLowerCase().includes(searchLower);
+            }
+
+            return true;
+        }).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    }
+
+    static getItemMovements(itemId) {
+        return this.getMovements({ itemId: itemId });
+    }
+
+    static getReasonLabel(movement) {
+        if (movement.movementType === 'COUNT_VARIANCE') return 'Count variance';
+        const reason = SCM_CONFIG.ADJUSTMENT_REASONS[movement.reasonCode || 'CORRECTION'];
+        return reason ? reason.label : movement.reasonCode;
+    }
+
+    // Stock lost or found outside issues: reason-coded adjustments and stock
+    // count variances. Data corrections are listed but kept out of shrinkage.
+    static getShrinkageReport(filter = {}) {
+        const movements = this.getMovements({ startDate: filter.startDate, endDate: filter.endDate, stockType: filter.stockType })
+            .filter(movement => movement.movementType === 'ADJUSTMENT' || movement.movementType === 'COUNT_VARIANCE')
+            .map(movement => {
+                const reason = SCM_CONFIG.ADJUSTMENT_REASONS[movement.reasonCode || 'CORRECTION'];
+                return {
+                    ...movement,
+                    reasonCode: movement.movementType === 'COUNT_VARIANCE' ? 'COUNT' : (movement.reasonCode || 'CORRECTION'),
+                    reasonLabel: this.getReasonLabel(movement),
+                    shrinkage: movement.movementType === 'COUNT_VARIANCE' || !!(reason && reason.shrinkage)
+                };
+            });
+
+        const shrinkage = movements.filter(movement => movement.shrinkage);
+        const round = value => Math.round(value * 100) / 100;
+        const group = (list, keyOf, describe) => {
+            const groups = {};
+            list.forEach(movement => {
+                const key = keyOf(movement);
+                const entry = groups[key] = groups[key] || { ...describe(movement), movements: 0, lossValue: 0, foundValue: 0 };
+                entry.movements++;
+                if (movement.totalValue < 0) entry.lossValue = round(entry.lossValue + movement.totalValue);
+                else entry.foundValue = round(entry.foundValue + movement.totalValue);
+            });
+            return Object.values(groups)
+                .map(entry => ({ ...entry, netValue: round(entry.lossValue + entry.foundValue) }))
+                .sort((a, b) => a.netValue - b.netValue);
+        };
+
+        const sum = list => round(list.reduce((total, movement) => total + movement.totalValue, 0));
+        const lossValue = sum(shrinkage.filter(movement => movement.totalValue < 0));
+        const foundValue = sum(shrinkage.filter(movement => movement.totalValue > 0));
+
+        return {
+            movements: movements,
+            byReason: group(movements, movement => movement.reasonCode, movement => ({
+                reasonCode: movement.reasonCode,
+                reasonLabel: movement.reasonLabel,
+                shrinkage: movement.shrinkage
+            })),
+            byItem: group(shrinkage, movement => movement.itemId, movement => ({
+                itemId: movement.itemId,
+                itemName: movement.itemName,
+                category: movement.category,
+                stockType: movement.stockType
+            })),
+            totals: {
+                lossValue: lossValue,
+                foundValue: foundValue,
+                netShrinkageValue: round(lossValue + foundValue),
+                correctionValue: sum(movements.filter(movement => !movement.shrinkage))
+            }
+        };
+    }
+
+    static calculateQuantity(itemId) {
+        return this.getItemMovements(itemId).reduce((sum, movement) => SCMUnits.round(sum + movement.quantityChange), 0);
+    }
+
+    static calculateLocationQuantities(itemId) {
+        const defaultId = SCMLocations.resolveLocationId(null);
+        const quantities = {};
+
+        this.getItemMovements(itemId).forEach(movement => {
+            const locationId = movement.locationId || defaultId;
+            quantities[locationId] = SCMUnits.round((quantities[locationId] || 0) + movement.quantityChange);
+        });
+
+        Object.keys(quantities).forEach(locationId => {
+            if (quantities[locationId] === 0) delete quantities[locationId];
+        });
+
+        return quantities;
+    }
+
+    static reconcile() {
+        // Compare stored quantities with what the ledger says they should be,
+        // both in total and location by location
+        return SCMDataManager.getAllStock()
+            .map(item => {
+                const ledgerQuantity = this.calculateQuantity(item.id);
+                const ledgerLocations = this.calculateLocationQuantities(item.id);
+                const storedLocations = SCMLocations.getQuantities(item);
+                const misplaced = [...new Set([...Object.keys(ledgerLocations), ...Object.keys(storedLocations)])]
+                    .filter(locationId => (ledgerLocations[locationId] || 0) !== (storedLocations[locationId] || 0));
+
+                return {
+                    itemId: item.id,
+                    itemName: item.itemName,
+                    stockType: item.stockType,
+                    storedQuantity: item.quantity,
+                    ledgerQuantity: ledgerQuantity,
+                    difference: SCMUnits.round(ledgerQuantity - item.quantity),
+                    ledgerLocations: ledgerLocations,
+                    locationMismatches: misplaced.map(locationId => SCMLocations.getLocationName(locationId))
+                };
+            })
+            .filter(result => result.difference !== 0 || result.locationMismatches.length > 0);
+    }
+
+    // Returns each discrepancy marked recomputed, or with the failure that stopped it
+    static recomputeQuantities() {
+        if (!SCMAuth.authorize('ledger.reconcile')) return [];
+
+        const discrepancies = this.reconcile();
+
+        return discrepancies.map(result => {
+            const stockType = result.stockType === 'Internal-Use' ? 'internal' : 'external';
+            const key = stockType === 'internal' ?
+                SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK :
+                SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
+
+            // Written directly: the ledger is already the source of truth here
+            let item, failure, cost;
+            const saved = SCMStorage.update(key, stock => {
+                item = (stock || []).find(i => i.id === result.itemId);
+                if (!item) return null;
+
+                // The ledger only holds totals, so it cannot say which lots are short
+                if (SCMLots.isTracked(item)) {
+                    failure = 'Lot balances cannot be rebuilt from the ledger; correct them by hand';
+                    return null;
+                }
+
+                // Nor which serial numbers are missing or extra
+                if (SCMSerials.isTracked(item)) {
+                    failure = 'Serial numbers cannot be rebuilt from the ledger; correct them by hand';
+                    return null;
+                }
+
+                // Cost layers follow the quantity so stock value stays in step
+                cost = SCMCosting.adjust(item, SCMUnits.round(result.ledgerQuantity - item.quantity), 'Recomputed from the stock ledger');
+                item.quantity = result.ledgerQuantity;
+                item.locationQuantities = result.ledgerLocations;
+                item.unitCost = SCMCosting.getUnitCost(item);
+                item.lastUpdated = new Date().toISOString();
+                return stock;
+            });
+
+            if (!saved) {
+                return { ...result, recomputed: false, failure: failure || (item ? 'Stock could not be saved' : 'Item not found') };
+            }
+
+            SCMAudit.record('UPDATE', 'StockItem', {
+                itemId: result.itemId,
+                itemName: result.itemName,
+                before: { quantity: result.storedQuantity },
+                after: { quantity: result.ledgerQuantity, locationQuantities: result.ledgerLocations },
+                notes: 'Quantity recomputed from the stock ledger'
+            });
+
+            // The ledger total is already right, so the correcting movement moves
+            // nothing; it records that the stored quantity was put back in line
+            // and what that did to the stock value
+            const movement = this.record(item, {
+                movementType: 'ADJUSTMENT',
+                quantityChange: 0,
+                totalValue: result.difference > 0 ? cost.totalCost : -cost.totalCost,
+                notes: `Stored quantity ${result.storedQuantity} recomputed from the ledger`
+            });
+
+            return movement ?
+                { ...result, recomputed: true } :
+                { ...result, recomputed: false, failure: 'Quantity recomputed, but the correction could not be added to the ledger' };
+        });
+    }
+}
+
+// ===== SCM STOCK TAKE =====
+// A count sheet records what the system expects at each location when it is
+// created. Counted quantities are entered against it and, once an approver
+// signs off, the differences are posted to stock as count variances.
+class SCMStockTake {
+    static getCounts(filter = {}) {
+        const counts = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS) || [];
+
+        return counts
+            .filter(count => !filter.status || count.status === filter.status)
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    static getCount(countId) {
+        return this.getCounts().find(count => count.id === countId) || null;
+    }
+
+    static describeScope(scope) {
+        switch (scope.type) {
+            case 'category': return `Category: ${scope.value}`;
+            case 'location': return `Location: ${SCMLocations.getLocationName(scope.value)}`;
+            case 'abc': return `ABC class ${scope.value}`;
+            default: return 'Full count';
+        }
+    }
+
+    static validateScope(scope) {
+        if (!scope || !['full', 'category', 'location', 'abc'].includes(scope.type)) {
+            return 'Choose what to count';
+        }
+
+        if (scope.type === 'category' && !scope.value) return 'Choose a category to count';
+        if (scope.type === 'location' && !SCMLocations.getLocation(scope.value)) return 'Location not found';
+        if (scope.type === 'abc' && !['A', 'B', 'C'].includes(scope.value)) return 'Choose ABC class A, B or C';
+        return null;
+    }
+
+    // Lists what the sheet covers from stock as it stands now: one line per item
+    // and location, per lot for lot-tracked items and per unit for serialized items
+    static buildLines(scope) {
+        const stock = SCMDataManager.getAllStock();
+        const classes = scope.type === 'abc' ?
+            SCMCalculator.getABCClasses(stock, SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || []) : {};
+        const inScope = locationId => scope.type !== 'location' || String(locationId) === String(scope.value);
+        const defaultId = SCMLocations.resolveLocationId(null);
+        const lines = [];
+
+        stock
+            .filter(item => {
+                if (scope.type === 'category') return item.category === scope.value;
+                if (scope.type === 'abc') return classes[item.id] === scope.value;
+                return true;
+            })
+            .sort((a, b) => a.itemName.localeCompare(b.itemName))
+            .forEach(item => {
+                const add = (locationId, expectedQuantity, detail = {}) => {
+                    const location = SCMLocations.getLocation(locationId);
+                    lines.push({
+                        lineNumber: lines.length + 1,
+                        itemId: item.id,
+                        itemName: item.itemName,
+                        sku: SCMItems.getSku(item),
+                        stockType: item.stockType,
+                        category: item.category,
+                        unit: item.unit,
+                        locationId: location ? location.id : locationId,
+                        locationName: SCMLocations.getLocationName(locationId),
+                        lotNumber: detail.lotNumber || '',
+                        expiryDate: detail.expiryDate || '',
+                        serialNumber: detail.serialNumber || '',
+                        expectedQuantity: expectedQuantity,
+                        countedQuantity: null,
+                        unitCost: SCMCosting.getUnitCost(item),
+                        posted: false
+                    });
+                };
+
+                if (SCMSerials.isTracked(item)) {
+                    SCMSerials.getSerials(item)
+                        .filter(unit => inScope(unit.locationId))
+                        .forEach(unit => add(unit.locationId, 1, { serialNumber: unit.serialNumber }));
+                    return;
+                }
+
+                if (SCMLots.isTracked(item)) {
+                    SCMLots.getLots(item)
+                        .filter(lot => inScope(lot.locationId))
+                        .forEach(lot => add(lot.locationId, lot.quantity, lot));
+                    return;
+                }
+
+                SCMLocations.getBalances(item)
+                    .filter(balance => inScope(balance.locationId))
+                    .forEach(balance => add(balance.locationId, balance.quantity));
+
+                // Items out of stock everywhere are still checked at the default location
+                if (item.quantity === 0 && defaultId && inScope(defaultId)) add(defaultId, 0);
+            });
+
+        return lines;
+    }
+
+    static create(scope, blind, notes) {
+        if (!SCMAuth.hasPermission('stock.count')) return SCMAuth.deniedResult('stock.count');
+
+        scope = { type: scope && scope.type, value: scope && scope.type !== 'full' ? scope.value : '' };
+        const scopeError = this.validateScope(scope);
+        if (scopeError) {
+            return { success: false, message: scopeError };
+        }
+
+        const lines = this.buildLines(scope);
+        if (lines.length === 0) {
+            return { success: false, message: `Nothing to count for ${this.describeScope(scope).toLowerCase()}` };
+        }
+
+        const count = new StockCount({
+            documentNumber: SCMIdService.nextDocumentNumber('COUNT'),
+            scope: scope,
+            blind: blind,
+            notes: notes,
+            lines: lines,
+            createdBy: SCMAuth.currentUserName()
+        });
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS, counts =>
+            [...(counts || []), count.toStorage()]);
+
+        if (!saved) {
+            return { success: false, message: 'Failed to save count sheet' };
+        }
+
+        SCMAudit.record('COUNT', 'StockCount', {
+            documentNumber: count.documentNumber,
+            after: { scope: this.describeScope(scope), lines: lines.length, blind: count.blind },
+            notes: count.notes
+        });
+
+        return {
+            success: true,
+            message: `Count sheet ${count.documentNumber} created with ${lines.length} lines`,
+            data: count.toStorage()
+        };
+    }
+
+    // Runs a change against one count, which must be in one of the given statuses
+    static updateCount(countId, statuses, change) {
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS);
+        let count, failure;
+
+        const saved = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS, counts => {
+            count = (counts || []).find(c => c.id === countId);
+
+            if (!count) {
+                failure = 'Count not found';
+                return null;
+            }
+
+            if (!statuses.includes(count.status)) {
+                failure = `Count ${count.documentNumber} is ${count.status}`;
+                return null;
+            }
+
+            failure = change(count);
+            return failure ? null : counts;
+        });
+
+        return { saved: saved, count: count, failure: failure };
+    }
+
+    // Records counted quantities, keyed by line number; blank clears a count
+    static saveCounts(countId, quantities) {
+        if (!SCMAuth.hasPermission('stock.count')) return SCMAuth.deniedResult('stock.count');
+
+        const countedBy = SCMAuth.currentUserName();
+        let updated = 0;
+
+        const result = this.updateCount(countId, ['counting'], count => {
+            for (const [lineNumber, value] of Object.entries(quantities)) {
+                const line = count.lines.find(l => String(l.lineNumber) === String(lineNumber));
+                if (!line) return `Line ${lineNumber} not found`;
+
+                if (value === '' || value === null || value === undefined) {
+                    line.countedQuantity = null;
+                    updated++;
+                    continue;
+                }
+
+                const quantity = SCMUnits.parse(value);
+                if (isNaN(quantity) || quantity < 0) {
+                    return `Line ${lineNumber}: counted quantity must be zero or more`;
+                }
+                if (!SCMUnits.fits(quantity, line)) {
+                    return SCMUnits.precisionError(`Line ${lineNumber}: counted quantity`, line);
+                }
+                if (line.serialNumber && quantity > 1) {
+                    return `Line ${lineNumber}: serial ${line.serialNumber} is either there (1) or not (0)`;
+                }
+
+                line.countedQuantity = quantity;
+                updated++;
+            }
+
+            count.countedBy = countedBy;
+            return null;
+        });
+
+        if (!result.saved) {
+            return { success: false, message: result.failure || 'Counts were changed in another tab. Please try again.' };
+        }
+
+        return { success: true, message: `Counts saved for ${updated} lines`, data: result.count };
+    }
+
+    static submit(countId) {
+        if (!SCMAuth.hasPermission('stock.count')) return SCMAuth.deniedResult('stock.count');
+
+        const countedBy = SCMAuth.currentUserName();
+
+        const result = this.updateCount(countId, ['counting'], count => {
+            const uncounted = count.lines.filter(line => line.countedQuantity === null).length;
+            if (uncounted > 0) return `${uncounted} lines have not been counted`;
+
+            Object.assign(count, {
+                status: 'submitted',
+                countedBy: countedBy,
+                submittedAt: new Date().toISOString()
+            });
+            return null;
+        });
+
+        if (!result.saved) {
+            return { success: false, message: result.failure || 'Counts were changed in another tab. Please try again.' };
+        }
+
+        const variance = this.getVariance(result.count);
+        SCMAudit.record('SUBMIT', 'StockCount', {
+            documentNumber: result.count.documentNumber,
+            before: { status: 'counting' },
+            after: { status: 'submitted', linesWithVariance: variance.totals.linesWithVariance, netVarianceValue: variance.totals.netVarianceValue },
+            actor: countedBy
+        });
+
+        return { success: true, message: `Count ${result.count.documentNumber} submitted for approval`, data: result.count };
+    }
+
+    static reject(countId, comment) {
+        if (!SCMAuth.hasPermission('count.approve')) return SCMAuth.deniedResult('count.approve');
+
+        if (!comment || !comment.trim()) {
+            return { success: false, message: 'A comment is required to send a count back' };
+        }
+
+        const user = SCMAuth.currentUser();
+        const result = this.updateCount(countId, ['submitted'], count => {
+            if (count.countedBy === user.displayName && user.role !== 'admin') {
+                return 'You cannot approve or reject your own count';
+            }
+
+            // Back to the counters for a recount; nothing has been posted
+            Object.assign(count, { status: 'counting', decisionComment: comment.trim() });
+            return null;
+        });
+
+        if (!result.saved) {
+            return { success: false, message: result.failure || 'Counts were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('REJECT', 'StockCount', {
+            documentNumber: result.count.documentNumber,
+            before: { status: 'submitted' },
+            after: { status: 'counting' },
+            notes: comment.trim()
+        });
+
+        return { success: true, message: `Count ${result.count.documentNumber} sent back for recount`, data: result.count };
+    }
+
+    // Posts the variances of a submitted count. Each item is adjusted in one
+    // save, so an item either takes all of its variances or none; lines that
+    // fail stay unposted and the count can be approved again once fixed.
+    // A count left approved but not posted, because the final save failed,
+    // is approved again to finish posting; see postItemVariances.
+    static approve(countId, comment) {
+        if (!SCMAuth.hasPermission('count.approve')) return SCMAuth.deniedResult('count.approve');
+
+        const user = SCMAuth.currentUser();
+        let previousStatus;
+
+        // Claim the count first so two tabs can't both post it
+        const claim = this.updateCount(countId, ['submitted', 'approved'], count => {
+            if (count.countedBy === user.displayName && user.role !== 'admin') {
+                return 'You cannot approve or reject your own count';
+            }
+
+            previousStatus = count.status;
+            if (count.status === 'approved') return null;
+
+            Object.assign(count, {
+                status: 'approved',
+                approvedBy: user.displayName,
+                approvedAt: new Date().toISOString(),
+                decisionComment: (comment || '').trim()
+            });
+            return null;
+        });
+
+        if (!claim.saved) {
+            return { success: false, message: claim.failure || 'Counts were changed in another tab. Please try again.' };
+        }
+
+        const count = claim.count;
+        const postedLines = [];
+        const errors = [];
+        const byItem = {};
+
+        count.lines.filter(line => !line.posted).forEach(line => {
+            if (this.getLineVariance(line) === 0) {
+                postedLines.push(line.lineNumber);
+                return;
+            }
+            (byItem[line.itemId] = byItem[line.itemId] || []).push(line);
+        });
+
+        Object.values(byItem).forEach(lines => {
+            const posting = this.postItemVariances(count, lines, user.displayName);
+            if (posting.failure) {
+                errors.push(posting.failure);
+            } else {
+                lines.forEach(line => postedLines.push(line.lineNumber));
+            }
+        });
+
+        const status = errors.length === 0 ? 'posted' : 'submitted';
+        const recorded = SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS, counts => {
+            const current = (counts || []).find(c => c.id === countId);
+            if (!current) return null;
+
+            current.lines.forEach(line => {
+                if (postedLines.includes(line.lineNumber)) line.posted = true;
+            });
+            current.status = status;
+            current.postingErrors = errors;
+            return counts;
+        });
+
+        if (!recorded) {
+            return {
+                success: false,
+                message: `Variances were posted but count ${count.documentNumber} could not be updated. Approve it again to finish; nothing will be posted twice.`,
+                data: this.getCount(countId)
+            };
+        }
+
+        const variance = this.getVariance(count);
+        SCMAudit.record('APPROVE', 'StockCount', {
+            documentNumber: count.documentNumber,
+            before: { status: previousStatus },
+            after: { status: status, netVarianceValue: variance.totals.netVarianceValue },
+            notes: [count.decisionComment, ...errors].filter(Boolean).join('; ')
+        });
+
+        if (errors.length > 0) {
+            return {
+                success: false,
+                message: `Count ${count.documentNumber} partly posted. Not posted: ${errors.join('; ')}`,
+                data: this.getCount(countId)
+            };
+        }
+
+        return {
+            success: true,
+            message: `Count ${count.documentNumber} approved and variances posted`,
+            data: this.getCount(countId)
+        };
+    }
+
+    static postItemVariances(count, lines, performedBy) {
+        const itemId = lines[0].itemId;
+        const key = SCMDataManager.findStockKey(itemId);
+        const reference = `${count.documentNumber} count variance`;
+        const applied = [];
+        let item, before, failure, alreadyPosted;
+
+        const saved = SCMStorage.update(key, stockArray => {
+            stockArray = stockArray || [];
+            item = stockArray.find(i => i.id === itemId);
+            applied.length = 0;
+            alreadyPosted = false;
+
+            if (!item) {
+                failure = `${lines[0].itemName}: item no longer exists`;
+                return null;
+            }
+
+            before = item.quantity;
+            for (const line of lines) {
+                // Nothing moves while a line is on an open count, so stock that
+                // already matches the count was posted by an earlier approval
+                const held = this.getLineQuantity(item, line);
+                if (held === line.countedQuantity) continue;
+                if (held !== line.expectedQuantity) {
+                    failure = `${line.itemName}: stock at ${line.locationName} no longer matches the count sheet`;
+                    return null;
+                }
+
+                const change = this.getLineVariance(line);
+                const adjustment = SCMDataManager.applyAdjustment(
+                    item, line.locationId, change, line.lotNumber, line.serialNumber ? [line.serialNumber] : [], reference);
 
-        if (!data.itemId) {
-            errors.push('Item selection is required');
-        }
+                if (adjustment.failure) {
+                    failure = `${line.itemName}: ${adjustment.failure}`;
+                    return null;
+                }
+                applied.push({ line: line, change: change, adjustment: adjustment, balanceAfter: item.quantity });
+            }
 
-        if (!data.quantityIssued || data.quantityIssued < 1) {
-            errors.push('Quantity to issue must be at least 1');
-        }
+            if (applied.length === 0) {
+                alreadyPosted = true;
+                return null;
+            }
 
-        if (data.quantityIssued > availableQuantity) {
-            errors.push(`Cannot issue more than ${availableQuantity} units (available stock)`);
-        }
+            item.unitCost = SCMCosting.getUnitCost(item);
+            item.lastUpdated = new Date().toISOString();
+            return stockArray;
+        });
 
-        if (!data.issuedTo || data.issuedTo.trim().length < 2) {
-            errors.push('Recipient name is required');
+        if (alreadyPosted) {
+            return { failure: null };
         }
-
-        if (!data.reason) {
-            errors.push('Reason for issuance is required');
+        if (!saved) {
+            return { failure: failure || `${lines[0].itemName}: stock was changed in another tab` };
         }
 
-        if (!data.date) {
-            errors.push('Issue date is required');
-        }
+        applied.forEach(({ line, change, adjustment, balanceAfter }) => {
+            SCMLedger.record(item, {
+                documentNumber: count.documentNumber,
+                movementType: 'COUNT_VARIANCE',
+                quantityChange: change,
+                unitCost: adjustment.cost.unitCost,
+                totalValue: change > 0 ? adjustment.cost.totalCost : -adjustment.cost.totalCost,
+                balanceAfter: balanceAfter,
+                locationId: line.locationId,
+                lots: adjustment.lots,
+                serialNumbers: adjustment.serialNumbers,
+                performedBy: performedBy,
+                notes: `Counted ${line.countedQuantity}, expected ${line.expectedQuantity}`
+            });
+        });
 
-        return {
-            isValid: errors.length === 0,
-            errors: errors
-        };
-    }
+        SCMAudit.record('UPDATE', 'StockItem', {
+            itemId: item.id,
+            itemName: item.itemName,
+            documentNumber: count.documentNumber,
+            before: { quantity: before },
+            after: { quantity: item.quantity },
+            actor: performedBy,
+            notes: reference
+        });
 
-    static validateSearchTerm(term) {
-        return term && term.trim().length >= 2;
+        return { failure: null };
     }
-}
 
-// ===== SCM CALCULATION ENGINE =====
-class SCMCalculator {
-    static calculateStockValue(stockArray) {
-        return stockArray.reduce((total, item) => {
-            return total + (item.quantity * item.unitCost);
-        }, 0);
-    }
+    static cancel(countId, reason) {
+        if (!SCMAuth.hasPermission('stock.count')) return SCMAuth.deniedResult('stock.count');
 
-    static calculateStockTurnover(issuedValue, averageInventory) {
-        if (averageInventory === 0) return 0;
-        return (issuedValue / averageInventory).toFixed(2);
-    }
+        let previousStatus;
+        const result = this.updateCount(countId, ['counting', 'submitted'], count => {
+            // Once some variances are posted the rest have to be posted too
+            if (count.lines.some(line => line.posted && this.getLineVariance(line) !== 0)) {
+                return `Count ${count.documentNumber} is partly posted and cannot be cancelled`;
+            }
 
-    static calculateLowStockCount(stockArray) {
-        return stockArray.filter(item => item.quantity < SCM_CONFIG.LOW_STOCK_THRESHOLD).length;
+            previousStatus = count.status;
+            Object.assign(count, { status: 'cancelled', decisionComment: (reason || '').trim() });
+            return null;
+        });
+
+        if (!result.saved) {
+            return { success: false, message: result.failure || 'Counts were changed in another tab. Please try again.' };
+        }
+
+        SCMAudit.record('CANCEL', 'StockCount', {
+            documentNumber: result.count.documentNumber,
+            before: { status: previousStatus },
+            after: { status: 'cancelled' },
+            notes: result.count.decisionComment
+        });
+
+        return { success: true, message: `Count ${result.count.documentNumber} cancelled`, data: result.count };
     }
 
-    static calculateCriticalStockCount(stockArray) {
-        return stockArray.filter(item => item.quantity < SCM_CONFIG.CRITICAL_STOCK_THRESHOLD).length;
+    // Stock on an open count sheet stays put until the count is posted or
+    // cancelled: variances are worked out against the quantities the sheet
+    // was created with, so any movement in between would be counted twice
+    static checkNotCounted(itemId, locationId = null) {
+        SCMStorage.sync(SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS);
+        const open = this.getCounts().filter(count => ['counting', 'submitted', 'approved'].includes(count.status));
+
+        for (const count of open) {
+            const line = count.lines.find(l => !l.posted && l.itemId === itemId &&
+                (locationId === null || String(l.locationId) === String(locationId)));
+            if (line) {
+                return `${line.itemName} at ${line.locationName} is on count ${count.documentNumber}. Post or cancel the count before moving it.`;
+            }
+        }
+        return null;
     }
 
-    static formatCurrency(amount) {
-        return `${SCM_CONFIG.CURRENCY} ${parseFloat(amount).toFixed(2)}`;
+    // What the item holds on a count line's terms: the unit, the lot or the location balance
+    static getLineQuantity(item, line) {
+        const atLocation = entry => String(entry.locationId) === String(line.locationId);
+
+        if (line.serialNumber) {
+            return SCMSerials.getSerials(item).some(unit => unit.serialNumber === line.serialNumber && atLocation(unit)) ? 1 : 0;
+        }
+        if (line.lotNumber) {
+            const lot = SCMLots.getLots(item).find(l => l.lotNumber === line.lotNumber && atLocation(l));
+            return lot ? lot.quantity : 0;
+        }
+        return SCMLocations.getQuantity(item, line.locationId);
     }
 
-    static formatDate(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleDateString(SCM_CONFIG.DATE_FORMAT, {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric'
-        });
+    static getLineVariance(line) {
+        return line.countedQuantity === null ? 0 : SCMUnits.round(line.countedQuantity - line.expectedQuantity);
     }
 
-    static formatDateTime(dateString) {
-        const date = new Date(dateString);
-        return date.toLocaleString(SCM_CONFIG.DATE_FORMAT, {
-            year: 'numeric',
-            month: 'short',
-            day: 'numeric',
-            hour: '2-digit',
-            minute: '2-digit'
+    // Variance per line in units and value, with totals for the count.
+    // Accuracy is the share of counted lines that matched the system.
+    static getVariance(count) {
+        const lines = count.lines.map(line => {
+            const varianceQuantity = this.getLineVariance(line);
+            return {
+                ...line,
+                varianceQuantity: varianceQuantity,
+                varianceValue: Math.round(varianceQuantity * line.unitCost * 100) / 100
+            };
         });
+
+        const counted = lines.filter(line => line.countedQuantity !== null);
+        const withVariance = counted.filter(line => line.varianceQuantity !== 0);
+        const sum = (list, value) => Math.round(list.reduce((total, line) => total + value(line), 0) * 100) / 100;
+
+        return {
+            lines: lines,
+            totals: {
+                lines: lines.length,
+                countedLines: counted.length,
+                linesWithVariance: withVariance.length,
+                expectedValue: sum(lines, line => line.expectedQuantity * line.unitCost),
+                countedValue: sum(counted, line => line.countedQuantity * line.unitCost),
+                gainValue: sum(withVariance.filter(line => line.varianceValue > 0), line => line.varianceValue),
+                lossValue: sum(withVariance.filter(line => line.varianceValue < 0), line => line.varianceValue),
+                netVarianceValue: sum(withVariance, line => line.varianceValue),
+                accuracy: counted.length > 0 ? Math.round((counted.length - withVariance.length) / counted.length * 1000) / 10 : null
+            }
+        };
     }
 }
 
-// ===== SCM DATA MANAGER =====
-class SCMDataManager {
-    static getAllStock() {
-        const internal = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK) || [];
-        const external = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK) || [];
-        return [...internal, ...external];
+// ===== SCM AUDIT TRAIL =====
+// Field-level record of who changed what. Each entry stores the hash of the
+// previous one, so editing or removing an entry breaks the chain and verify()
+// reports where.
+class SCMAudit {
+    static currentActor() {
+        return SCMAuth.currentUserName();
     }
 
-    static getStockByType(type) {
-        const key = type === 'internal' ? 
-            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
-            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
-        return SCMStorage.get(key) || [];
+    static diff(before, after) {
+        const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+        // Bookkeeping fields change on every write and say nothing on their own
+        ['lastUpdated', 'timestamp'].forEach(field => fields.delete(field));
+
+        return Array.from(fields)
+            .filter(field => JSON.stringify((before || {})[field]) !== JSON.stringify((after || {})[field]))
+            .map(field => ({
+                field: field,
+                before: before ? before[field] : null,
+                after: after ? after[field] : null
+            }));
     }
 
-    static saveStockItem(itemData, stockType) {
-        const key = stockType === 'internal' ? 
-            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
-            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
-        
-        const currentStock = SCMStorage.get(key) || [];
-        const newItem = new StockItem({ ...itemData, stockType: stockType === 'internal' ? 'Internal-Use' : 'External-Use' });
-        
-        currentStock.push(newItem.toStorage());
-        
-        return SCMStorage.set(key, currentStock);
-    }
+    static record(action, entityType, entry) {
+        const changes = this.diff(entry.before, entry.after);
+        if (action === 'UPDATE' && changes.length === 0) return null;
+
+        let auditEntry = null;
+
+        SCMStorage.update(SCM_CONFIG.STORAGE_KEYS.AUDIT_LOG, log => {
+            log = log || [];
+            const previous = log[log.length - 1];
+
+            auditEntry = {
+                id: SCMIdService.nextId(),
+                sequence: previous ? previous.sequence + 1 : 1,
+                timestamp: new Date().toISOString(),
+                actor: entry.actor || this.currentActor(),
+                action: action,
+                entityType: entityType,
+                itemId: entry.itemId,
+                itemName: entry.itemName || '',
+                documentNumber: entry.documentNumber || '',
+                changes: changes,
+                notes: entry.notes || '',
+                previousHash: previous ? previous.hash : ''
+            };
+            auditEntry.hash = this.hashEntry(auditEntry);
 
-    static updateStockItem(itemId, updates, stockType) {
-        const key = stockType === 'internal' ? 
-            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
-            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
-        
-        const currentStock = SCMStorage.get(key) || [];
-        const itemIndex = currentStock.findIndex(item => item.id === itemId);
-        
-        if (itemIndex === -1) return false;
-        
-        currentStock[itemIndex] = {
-            ...currentStock[itemIndex],
-            ...updates,
-            lastUpdated: new Date().toISOString()
-        };
-        
-        return SCMStorage.set(key, currentStock);
+            return [...log, auditEntry];
+        });
+
+        return auditEntry;
     }
 
-    static deleteStockItem(itemId, stockType) {
-        const key = stockType === 'internal' ? 
-            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
-            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
-        
-        const currentStock = SCMStorage.get(key) || [];
-        const filteredStock = currentStock.filter(item => item.id !== itemId);
-        
-        return SCMStorage.set(key, filteredStock);
+    static hashEntry(entry) {
+        // Field order is fixed so the same entry always hashes the same way
+        return SCMAudit.sha256(JSON.stringify([
+            entry.sequence, entry.timestamp, entry.actor, entry.action, entry.entityType,
+            entry.itemId, entry.itemName, entry.documentNumber, entry.changes,
+            entry.notes, entry.previousHash
+        ]));
     }
 
-    static issueStock(itemId, quantity, issueData) {
-        // Determine stock type
-        const internalStock = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK) || [];
-        const externalStock = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK) || [];
-        
-        let stockArray, stockType, item;
-        
-        item = internalStock.find(i => i.id === itemId);
-        if (item) {
-            stockArray = internalStock;
-            stockType = 'internal';
-        } else {
-            item = externalStock.find(i => i.id === itemId);
-            if (item) {
-                stockArray = externalStock;
-                stockType = 'external';
-            } else {
-                return { success: false, message: 'Item not found' };
-            }
-        }
+    static verify() {
+        const log = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.AUDIT_LOG) || [];
+        const errors = [];
 
-        // Check available quantity
-        if (item.quantity < quantity) {
-            return { 
-                success: false, 
-                message: `Insufficient stock. Available: ${item.quantity}, Requested: ${quantity}` 
-            };
-        }
+        log.forEach((entry, index) => {
+            const previous = log[index - 1];
 
-        // Update stock quantity
-        const itemIndex = stockArray.findIndex(i => i.id === itemId);
-        stockArray[itemIndex].quantity -= quantity;
-        stockArray[itemIndex].lastUpdated = new Date().toISOString();
+            if (entry.sequence !== index + 1) {
+                errors.push(`Entry #${index + 1}: sequence is ${entry.sequence}, an entry is missing or out of order`);
+            }
+            if (entry.previousHash !== (previous ? previous.hash : '')) {
+                errors.push(`Entry #${entry.sequence}: does not link to the previous entry`);
+            }
+            if (entry.hash !== this.hashEntry(entry)) {
+                errors.push(`Entry #${entry.sequence}: contents do not match its hash`);
+            }
+        });
 
-        // Save updated stock
-        const key = stockType === 'internal' ? 
-            SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK : 
-            SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK;
-        SCMStorage.set(key, stockArray);
+        return {
+            isValid: errors.length === 0,
+            errors: errors,
+            entries: log.length
+        };
+    }
 
-        // Create issue record
-        const issueRecord = new IssueRecord({
-            itemId: itemId,
-            itemName: item.itemName,
-            stockType: stockType === 'internal' ? 'Internal-Use' : 'External-Use',
-            category: item.category,
-            quantityIssued: quantity,
-            unitCost: item.unitCost,
-            issuedTo: issueData.issuedTo,
-            reason: issueData.reason,
-            notes: issueData.notes,
-            date: issueData.date,
-            remainingBalance: stockArray[itemIndex].quantity,
-            issuedBy: issueData.issuedBy || 'System User'
-        });
+    static getEntries(filter = {}) {
+        const log = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.AUDIT_LOG) || [];
 
-        // Save issue record
-        const issueHistory = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || [];
-        issueHistory.push(issueRecord.toStorage());
-        SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY, issueHistory);
+        return log.filter(entry => {
+            if (filter.itemId !== undefined && entry.itemId !== filter.itemId) return false;
+            if (filter.itemName && entry.itemName !== filter.itemName) return false;
+            if (filter.actor && entry.actor !== filter.actor) return false;
+            if (filter.action && entry.action !== filter.action) return false;
+            if (filter.startDate && entry.timestamp.split('T')[0] < filter.startDate) return false;
+            if (filter.endDate && entry.timestamp.split('T')[0] > filter.endDate) return false;
+            return true;
+        }).sort((a, b) => b.sequence - a.sequence);
+    }
 
-        return { 
-            success: true, 
-            message: 'Stock issued successfully',
-            data: issueRecord 
-        };
+    static toCSVRows(entries) {
+        return entries.map(entry => ({
+            sequence: entry.sequence,
+            timestamp: entry.timestamp,
+            actor: entry.actor,
+            action: entry.action,
+            entityType: entry.entityType,
+            itemId: entry.itemId,
+            itemName: entry.itemName,
+            documentNumber: entry.documentNumber,
+            changes: entry.changes
+                .map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`)
+                .join('; '),
+            notes: entry.notes,
+            previousHash: entry.previousHash,
+            hash: entry.hash
+        }));
     }
 
-    static getIssueHistory(filter = {}) {
-        const history = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY) || [];
-        
-        if (!filter || Object.keys(filter).length === 0) {
-            return history.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+    static sha256(message) {
+        // Synchronous SHA-256 so audit entries can be chained inside a write
+        const K = [
+            0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+            0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+            0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+            0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+            0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+            0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+            0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+            0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+        ];
+        const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+
+        // UTF-8 encode, then pad to a multiple of 64 bytes with the bit length at the end
+        const bytes = Array.from(new TextEncoder().encode(message));
+        const bitLength = bytes.length * 8;
+        bytes.push(0x80);
+        while (bytes.length % 64 !== 56) bytes.push(0);
+        for (let i = 7; i >= 0; i--) {
+            bytes.push(i >= 4 ? 0 : (bitLength >>> (i * 8)) & 0xff);
         }
 
-        return history.filter(record => {
-            let match = true;
-
-            if (filter.startDate && new Date(record.date) < new Date(filter.startDate)) {
-                match = false;
+        const W = new Array(64);
+        for (let offset = 0; offset < bytes.length; offset += 64) {
+            for (let t = 0; t < 16; t++) {
+                const i = offset + t * 4;
+                W[t] = (bytes[i] << 24) | (bytes[i + 1] << 16) | (bytes[i + 2] << 8) | bytes[i + 3];
             }
-
-            if (filter.endDate && new Date(record.date) > new Date(filter.endDate)) {
-                match = false;
+            for (let t = 16; t < 64; t++) {
+                const s0 = rotr(W[t - 15], 7) ^ rotr(W[t - 15], 18) ^ (W[t - 15] >>> 3);
+                const s1 = rotr(W[t - 2], 17) ^ rotr(W[t - 2], 19) ^ (W[t - 2] >>> 10);
+                W[t] = (W[t - 16] + s0 + W[t - 7] + s1) | 0;
             }
 
-            if (filter.stockType && record.stockType !== filter.stockType) {
-                match = false;
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let t = 0; t < 64; t++) {
+                const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+                const ch = (e & f) ^ (~e & g);
+                const temp1 = (h + S1 + ch + K[t] + W[t]) | 0;
+                const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+                const maj = (a & b) ^ (a & c) ^ (b & c);
+                const temp2 = (S0 + maj) | 0;
+
+                h = g; g = f; f = e; e = (d + temp1) | 0;
+                d = c; c = b; b = a; a = (temp1 + temp2) | 0;
             }
 
-            if (filter.searchTerm) {
-                const searchLower = filter.searchTerm.toLowerCase();
-                match = match && (
-                    record.itemName.toLowerCase().includes(searchLower) ||
-                    record.issuedTo.toLowerCase().includes(searchLower) ||
-                    (record.notes && record.notes.toLowerCase().includes(searchLower))
-                );
-            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => {
+                H[i] = (H[i] + value) | 0;
+            });
+        }
 
-            return match;
-        }).sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
+        return H.map(value => (value >>> 0).toString(16).padStart(8, '0')).join('');
     }
 }
 
@@ -662,22 +8405,106 @@ class SCMUI {
                 }, 300);
             };
 
-            confirmBtn.onclick = () => {
-                cleanup();
-                setTimeout(() => resolve(true), 300);
-            };
+            confirmBtn.onclick = () => {
+                cleanup();
+                setTimeout(() => resolve(true), 300);
+            };
+
+            cancelBtn.onclick = () => {
+                cleanup();
+                setTimeout(() => resolve(false), 300);
+            };
+
+            // Close on overlay click
+            overlay.onclick = (e) => {
+                if (e.target === overlay) {
+                    cleanup();
+                    setTimeout(() => resolve(false), 300);
+                }
+            };
+        });
+    }
+
+    static showChoice(message, choices, cancelText = 'Cancel') {
+        return new Promise((resolve) => {
+            const overlay = document.createElement('div');
+            overlay.className = 'scm-confirmation-overlay';
+
+            const modal = document.createElement('div');
+            modal.className = 'scm-confirmation-modal';
+
+            modal.innerHTML = `
+                <div class="confirmation-content">
+                    <div class="confirmation-message">${message}</div>
+                    <div class="confirmation-actions">
+                        <button class="btn-secondary cancel-btn">${cancelText}</button>
+                        ${choices.map((choice, index) => `
+                            <button class="${choice.primary ? 'btn-primary' : 'btn-tertiary'} choice-btn" data-choice="${index}">${choice.label}</button>
+                        `).join('')}
+                    </div>
+                </div>
+            `;
+
+            const style = document.createElement('style');
+            style.textContent = `
+                .scm-confirmation-overlay {
+                    position: fixed;
+                    top: 0;
+                    left: 0;
+                    right: 0;
+                    bottom: 0;
+                    background: rgba(0, 0, 0, 0.7);
+                    display: flex;
+                    align-items: center;
+                    justify-content: center;
+                    z-index: 9999;
+                    backdrop-filter: blur(5px);
+                }
+
+                .scm-confirmation-modal {
+                    background: white;
+                    border-radius: 16px;
+                    padding: 32px;
+                    max-width: 560px;
+                    width: 90%;
+                    max-height: 80vh;
+                    overflow-y: auto;
+                    box-shadow: 0 20px 60px rgba(0, 0, 0, 0.3);
+                }
+
+                .confirmation-message {
+                    font-size: 1.05rem;
+                    line-height: 1.6;
+                    margin-bottom: 24px;
+                    color: #333;
+                }
+
+                .confirmation-actions {
+                    display: flex;
+                    flex-wrap: wrap;
+                    gap: 12px;
+                    justify-content: flex-end;
+                }
+            `;
+
+            document.head.appendChild(style);
+            overlay.appendChild(modal);
+            document.body.appendChild(overlay);
 
-            cancelBtn.onclick = () => {
-                cleanup();
-                setTimeout(() => resolve(false), 300);
+            const close = (value) => {
+                document.head.removeChild(style);
+                document.body.removeChild(overlay);
+                resolve(value);
             };
 
-            // Close on overlay click
+            modal.querySelectorAll('.choice-btn').forEach(button => {
+                button.onclick = () => close(choices[parseInt(button.dataset.choice)].value);
+            });
+
+            modal.querySelector('.cancel-btn').onclick = () => close(null);
+
             overlay.onclick = (e) => {
-                if (e.target === overlay) {
-                    cleanup();
-                    setTimeout(() => resolve(false), 300);
-                }
+                if (e.target === overlay) close(null);
             };
         });
     }
@@ -755,12 +8582,49 @@ class SCMUI {
         });
     }
 
+    static renderUserBadge() {
+        const container = document.querySelector('.user-info');
+        const user = SCMAuth.currentUser();
+        if (!container || !user) return;
+
+        let badge = document.getElementById('current-user');
+        if (!badge) {
+            badge = document.createElement('span');
+            badge.id = 'current-user';
+            container.appendChild(badge);
+        }
+
+        badge.innerHTML = `
+            👤 ${SCMUI.escapeHtml(user.displayName)} (${SCM_CONFIG.ROLES[user.role].label})
+            ${SCMAuth.hasPermission('users.manage') ? '<a href="users.html">Users</a>' : ''}
+            <button type="button" data-action="logout">Logout</button>
+        `;
+    }
+
+    static applyPermissions() {
+        // Hide controls the current role cannot use; the data layer still enforces it
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.style.display = SCMAuth.hasPermission(element.dataset.permission) ? '' : 'none';
+        });
+    }
+
+    // For text typed in by users (names, notes, comments) going into innerHTML
+    static escapeHtml(value) {
+        if (value === null || value === undefined) return '';
+        return String(value)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
+
     static formatTableDate(dateString) {
         return SCMCalculator.formatDate(dateString);
     }
 
     static createCategoryTag(category) {
-        return `<span class="category-tag">${category}</span>`;
+        return `<span class="category-tag">${SCMUI.escapeHtml(category)}</span>`;
     }
 
     static createStockTypeTag(stockType) {
@@ -770,9 +8634,102 @@ class SCMUI {
         return `<span class="type-tag ${className}">${icon} ${stockType}</span>`;
     }
 
-    static createStatusTag(quantity, issuedCount) {
-        if (quantity < 5) {
+    static createMovementTag(movementType) {
+        const type = SCM_CONFIG.MOVEMENT_TYPES[movementType];
+        const label = type ? type.label : movementType;
+        return `<span class="tag ${label.toLowerCase()}">${label}</span>`;
+    }
+
+    static createLocationOptions(selectedId = '', allLabel = '', activeOnly = false) {
+        const options = SCMLocations.getLocations({ activeOnly: activeOnly }).map(location => `
+            <option value="${location.id}" ${String(location.id) === String(selectedId) ? 'selected' : ''}>
+                ${SCMUI.escapeHtml(location.name)}${location.active ? '' : ' (inactive)'}
+            </option>
+        `).join('');
+
+        return allLabel ? `<option value="">${allLabel}</option>${options}` : options;
+    }
+
+    // Lots at a location in FEFO order; expired lots are listed but can't be picked
+    static createLotOptions(item, locationId, autoLabel = 'Auto (first expiry first out)', allowExpired = false) {
+        const options = SCMLots.getLots(item, locationId).map(lot => {
+            const expired = SCMLots.isExpired(lot);
+            return `
+                <option value="${SCMUI.escapeHtml(lot.lotNumber)}" ${expired && !allowExpired ? 'disabled' : ''}>
+                    ${SCMUI.escapeHtml(lot.lotNumber)} - ${SCMUnits.format(lot.quantity, item)}, ${lot.expiryDate ? `${expired ? 'expired' : 'expires'} ${lot.expiryDate}` : 'no expiry'}
+                </option>
+            `;
+        }).join('');
+
+        return `<option value="">${autoLabel}</option>${options}`;
+    }
+
+    static createUnitOptions(selected = SCM_CONFIG.DEFAULT_UNIT) {
+        return Object.entries(SCM_CONFIG.UNITS_OF_MEASURE).map(([code, unit]) => `
+            <option value="${code}" ${code === selected ? 'selected' : ''}>${unit.label} (${unit.symbol})</option>
+        `).join('');
+    }
+
+    // The units an item's quantity can be entered in; option values are pack sizes
+    static createPackOptions(item, selectedName = '') {
+        return SCMUnits.getPacks(item).map(pack => `
+            <option value="${pack.size}" ${pack.name === selectedName ? 'selected' : ''}>
+                ${SCMUI.escapeHtml(pack.size === 1 ? pack.name : `${pack.name} (${SCMUnits.format(pack.size, item)})`)}
+            </option>
+        `).join('');
+    }
+
+    // Quantity inputs accept as many decimals as the unit allows
+    static setQuantityStep(input, itemOrUnit, allowZero = false) {
+        input.step = SCMUnits.getStep(itemOrUnit);
+        input.min = allowZero ? '0' : input.step;
+    }
+
+    static createSerialOptions(item, locationId, selected = []) {
+        return SCMSerials.getSerials(item, locationId).map(unit => `
+            <option value="${SCMUI.escapeHtml(unit.serialNumber)}" ${selected.includes(unit.serialNumber) ? 'selected' : ''}>${SCMUI.escapeHtml(unit.serialNumber)}</option>
+        `).join('');
+    }
+
+    static createExpiryTag(lot) {
+        const daysLeft = SCMLots.daysToExpiry(lot);
+        if (daysLeft === null) return '<span class="tag">No expiry</span>';
+        if (daysLeft < 0) return `<span class="tag expired">Expired ${-daysLeft}d ago</span>`;
+        if (daysLeft <= SCM_CONFIG.EXPIRY_WARNING_DAYS) return `<span class="tag expiring">${daysLeft}d left</span>`;
+        return `<span class="tag fresh">${daysLeft}d left</span>`;
+    }
+
+    static createRequestStatusTag(status) {
+        const labels = { pending: 'Pending', approved: 'Approved', rejected: 'Rejected', fulfilled: 'Fulfilled' };
+        return `<span class="tag ${status}">${labels[status] || status}</span>`;
+    }
+
+    static createOrderStatusTag(status) {
+        const labels = { draft: 'Draft', sent: 'Sent', partial: 'Partially Received', closed: 'Closed', cancelled: 'Cancelled' };
+        return `<span class="tag ${status}">${labels[status] || status}</span>`;
+    }
+
+    static createCountStatusTag(status) {
+        const labels = { counting: 'Counting', submitted: 'Awaiting Approval', approved: 'Posting', posted: 'Posted', cancelled: 'Cancelled' };
+        return `<span class="tag ${status}">${labels[status] || status}</span>`;
+    }
+
+    static formatQuantityChange(quantityChange, itemOrUnit) {
+        const className = quantityChange < 0 ? 'text-danger' : 'text-success';
+        const amount = itemOrUnit ? SCMUnits.format(quantityChange, itemOrUnit) : quantityChange;
+        return `<span class="${className}">${quantityChange > 0 ? '+' : ''}${amount}</span>`;
+    }
+
+    static createStatusTag(item, issuedCount) {
+        const status = SCMCalculator.getStockStatus(item);
+        const quantity = item.quantity;
+        
+        if (status === 'critical') {
             return '<span class="status-tag status-critical">Critical</span>';
+        } else if (status === 'low') {
+            return '<span class="status-tag status-low">Reorder</span>';
+        } else if (status === 'overstock') {
+            return '<span class="status-tag status-overstock">Overstock</span>';
         } else if (issuedCount === 0 && quantity > 20) {
             return '<span class="status-tag status-slow">Slow Moving</span>';
         } else if (issuedCount > 10) {
@@ -968,27 +8925,29 @@ class SCMExporter {
         const urgentActions = [];
         const strategicSuggestions = [];
 
-        // Check for low stock
-        const lowStock = allStock.filter(item => item.quantity < SCM_CONFIG.LOW_STOCK_THRESHOLD);
-        if (lowStock.length > 0) {
-            urgentActions.push(`Reorder ${lowStock.length} low stock items`);
+        // Check for low stock that open purchase orders don't already cover
+        const toOrder = SCMPurchasing.getLowStockSuggestions(allStock);
+        if (toOrder.length > 0) {
+            urgentActions.push(`Reorder ${toOrder.length} low stock items not yet on order`);
         }
 
         // Check for critical stock
-        const criticalStock = allStock.filter(item => item.quantity < SCM_CONFIG.CRITICAL_STOCK_THRESHOLD);
+        const criticalStock = allStock.filter(item => SCMCalculator.isCriticalStock(item));
         if (criticalStock.length > 0) {
-            urgentActions.push(`CRITICAL: ${criticalStock.length} items below minimum threshold`);
+            urgentActions.push(`CRITICAL: ${criticalStock.length} items below their minimum level`);
         }
 
-        // Check for high-value slow-moving items
-        const slowMoving = allStock.filter(item => {
-            // Items with high value but no movement in last 60 days
-            const itemValue = item.quantity * item.unitCost;
-            return itemValue > 1000; // Example threshold
-        });
+        // Check for items that will run out before an order placed now could arrive
+        const forecast = SCMForecast.getForecast({ stockArray: allStock });
+        if (forecast.totals.atRisk > 0) {
+            urgentActions.push(`${forecast.totals.atRisk} items forecast to run out before a new order could arrive`);
+        }
+
+        // Check for high-value items nothing has been issued from lately
+        const slowMoving = forecast.items.filter(row => row.issued === 0 && row.quantity * row.item.unitCost > 1000);
 
         if (slowMoving.length > 0) {
-            strategicSuggestions.push(`Review ${slowMoving.length} high-value items for potential reduction`);
+            strategicSuggestions.push(`Review ${slowMoving.length} high-value items with no issues in the last ${SCM_CONFIG.FORECASTING.HISTORY_DAYS} days for potential reduction`);
         }
 
         // Efficiency recommendations
@@ -1015,6 +8974,284 @@ class SCMExporter {
     }
 }
 
+// ===== SCM SCHEMA MIGRATIONS =====
+// Each step upgrades data from (version - 1) to version. Steps receive the full
+// dataset and return the number of records they changed.
+const SCM_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Normalise stock and issue records to the StockItem/IssueRecord shape',
+        migrate(data) {
+            let changed = 0;
+
+            ['internalStock', 'externalStock'].forEach(name => {
+                const stockType = name === 'internalStock' ? 'Internal-Use' : 'External-Use';
+                data[name] = data[name].map(record => {
+                    const normalised = {
+                        ...new StockItem({
+                            ...record,
+                            stockType: record.stockType || stockType,
+                            dateReceived: record.dateReceived || (record.dateAdded ? record.dateAdded.split('T')[0] : undefined)
+                        }).toStorage(),
+                        lastUpdated: record.lastUpdated || record.dateAdded || new Date().toISOString()
+                    };
+                    if (JSON.stringify(normalised) !== JSON.stringify(record)) changed++;
+                    return normalised;
+                });
+            });
+
+            data.issueHistory = data.issueHistory.map(record => {
+                const normalised = new IssueRecord({
+                    ...record,
+                    timestamp: record.timestamp || (record.date ? new Date(record.date).toISOString() : undefined)
+                }).toStorage();
+                if (JSON.stringify(normalised) !== JSON.stringify(record)) changed++;
+                return normalised;
+            });
+
+            return changed;
+        }
+    },
+    {
+        version: 2,
+        description: 'Seed the stock movement ledger from current stock and issue history',
+        migrate(data) {
+            const ledger = data.stockLedger || [];
+            const seeded = [];
+            let nextId = Date.now();
+
+            // Opening balance = current quantity plus everything issued since
+            [...data.internalStock, ...data.externalStock].forEach(item => {
+                const issued = data.issueHistory
+                    .filter(record => record.itemId === item.id)
+                    .reduce((sum, record) => sum + record.quantityIssued, 0);
+
+                seeded.push(new StockMovement({
+                    id: nextId++,
+                    movementType: 'RECEIPT',
+                    itemId: item.id,
+                    itemName: item.itemName,
+                    stockType: item.stockType,
+                    category: item.category,
+                    quantityChange: item.quantity + issued,
+                    unitCost: item.unitCost,
+                    balanceAfter: item.quantity + issued,
+                    party: item.supplierName,
+                    notes: 'Opening balance',
+                    date: item.dateReceived,
+                    timestamp: item.dateAdded
+                }).toStorage());
+            });
+
+            data.issueHistory.forEach(record => {
+                seeded.push(new StockMovement({
+                    id: nextId++,
+                    movementType: 'ISSUE',
+                    itemId: record.itemId,
+                    itemName: record.itemName,
+                    stockType: record.stockType,
+                    category: record.category,
+                    quantityChange: -record.quantityIssued,
+                    unitCost: record.unitCost,
+                    balanceAfter: record.remainingBalance,
+                    party: record.issuedTo,
+                    reference: record.id,
+                    performedBy: record.issuedBy,
+                    notes: record.reason,
+                    date: record.date,
+                    timestamp: record.timestamp
+                }).toStorage());
+            });
+
+            data.stockLedger = [...ledger, ...seeded];
+            return seeded.length;
+        }
+    },
+    {
+        version: 3,
+        description: 'Assign document numbers to existing items, issues and reversals',
+        migrate(data) {
+            // Continue from the live counters so restored records can't reuse a number
+            const counters = { ...SCMIdService.getSequences().counters };
+            let changed = 0;
+
+            const assign = (records, series, dateOf) => {
+                [...records]
+                    .filter(record => !record.documentNumber)
+                    .sort((a, b) => new Date(dateOf(a)) - new Date(dateOf(b)))
+                    .forEach(record => {
+                        const seriesKey = SCMIdService.getSeriesKey(series, dateOf(record) || new Date());
+                        counters[seriesKey] = (counters[seriesKey] || 0) + 1;
+                        record.documentNumber = SCMIdService.formatDocumentNumber(series, seriesKey, counters[seriesKey]);
+                        changed++;
+                    });
+            };
+
+            assign([...data.internalStock, ...data.externalStock], 'ITEM', item => item.dateAdded);
+            assign(data.issueHistory, 'ISSUE', record => record.timestamp);
+            assign(data.stockLedger.filter(movement => movement.movementType === 'REVERSAL'), 'REVERSAL', movement => movement.timestamp);
+
+            // Link reversed issues to their reversal's number
+            data.issueHistory.forEach(record => {
+                if (!record.reversed || record.reversalNumber) return;
+                const reversal = data.stockLedger.find(movement => movement.id === record.reversalId);
+                if (reversal) {
+                    record.reversalNumber = reversal.documentNumber;
+                }
+            });
+
+            return changed;
+        }
+    },
+    {
+        version: 4,
+        description: 'Place existing stock, issues and movements at the default location',
+        migrate(data) {
+            // Reuse the live default location when restoring into a running system
+            let location = data.locations.find(l => l.isDefault) || SCMLocations.getDefaultLocation();
+            if (!location) location = SCMLocations.buildDefaultLocation();
+            if (!data.locations.some(l => l.id === location.id)) {
+                data.locations = [location, ...data.locations];
+            }
+
+            let changed = 0;
+
+            [...data.internalStock, ...data.externalStock].forEach(item => {
+                if (item.locationQuantities) return;
+                item.locationQuantities = item.quantity > 0 ? { [location.id]: item.quantity } : {};
+                changed++;
+            });
+
+            [data.issueHistory, data.issueRequests].forEach(records => {
+                records.filter(record => !record.locationId).forEach(record => {
+                    record.locationId = location.id;
+                    record.locationName = location.name;
+                    changed++;
+                });
+            });
+
+            // Deletions take the item off the books everywhere, so they stay unplaced
+            data.stockLedger
+                .filter(movement => !movement.locationId && movement.movementType !== 'DELETION')
+                .forEach(movement => {
+                    movement.locationId = location.id;
+                    movement.locationName = location.name;
+                    changed++;
+                });
+
+            return changed;
+        }
+    },
+    {
+        version: 5,
+        description: 'Give existing items an SKU from their item number',
+        migrate(data) {
+            let changed = 0;
+
+            [...data.internalStock, ...data.externalStock].forEach(item => {
+                if (item.sku) return;
+                item.sku = item.documentNumber;
+                item.aliases = item.aliases || [];
+                changed++;
+            });
+
+            return changed;
+        }
+    }
+];
+
+class SCMMigrations {
+    static getStoredVersion() {
+        const version = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.SCHEMA_VERSION);
+        // Data written before versioning existed is treated as version 0
+        return typeof version === 'number' ? version : 0;
+    }
+
+    static run() {
+        const fromVersion = this.getStoredVersion();
+        const targetVersion = SCM_CONFIG.SCHEMA_VERSION;
+        const report = {
+            timestamp: new Date().toISOString(),
+            fromVersion: fromVersion,
+            toVersion: fromVersion,
+            steps: []
+        };
+
+        if (fromVersion > targetVersion) {
+            console.warn(`SCM data schema v${fromVersion} is newer than this system (v${targetVersion})`);
+            return report;
+        }
+
+        if (fromVersion === targetVersion) return report;
+
+        const keys = SCMInitializer.getBackupKeys();
+        const data = {};
+        Object.entries(keys).forEach(([name, key]) => {
+            data[name] = SCMStorage.get(key) || [];
+        });
+
+        const hasData = Object.values(data).some(records => records.length > 0);
+
+        if (hasData) {
+            // Keep the untouched data so a bad migration can be undone by hand
+            SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.MIGRATION_BACKUP, {
+                timestamp: report.timestamp,
+                schemaVersion: fromVersion,
+                data: JSON.parse(JSON.stringify(data))
+            });
+        }
+
+        try {
+            this.upgrade(data, fromVersion, report, hasData);
+        } catch (error) {
+            console.error('SCM Migration Error:', error);
+            report.error = error.message;
+            this.log(report);
+            SCMUI.showNotification(`Data upgrade failed at schema v${report.toVersion + 1}. Your data was left unchanged.`, 'error', 8000);
+            return report;
+        }
+
+        if (hasData) {
+            Object.entries(keys).forEach(([name, key]) => {
+                SCMStorage.set(key, data[name]);
+            });
+        }
+        SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.SCHEMA_VERSION, report.toVersion);
+
+        this.log(report);
+
+        const totalChanged = report.steps.reduce((sum, step) => sum + step.changed, 0);
+        if (totalChanged > 0) {
+            SCMUI.showNotification(
+                `Data upgraded from schema v${fromVersion} to v${report.toVersion}: ${totalChanged} records updated`,
+                'info',
+                5000
+            );
+        }
+
+        return report;
+    }
+
+    static upgrade(data, fromVersion, report = { fromVersion: fromVersion, toVersion: fromVersion, steps: [] }, hasData = true) {
+        SCM_MIGRATIONS
+            .filter(step => step.version > fromVersion && step.version <= SCM_CONFIG.SCHEMA_VERSION)
+            .sort((a, b) => a.version - b.version)
+            .forEach(step => {
+                const changed = hasData ? step.migrate(data) : 0;
+                report.steps.push({ version: step.version, description: step.description, changed: changed });
+                report.toVersion = step.version;
+            });
+
+        return report;
+    }
+
+    static log(report) {
+        const history = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.MIGRATION_LOG) || [];
+        history.push(report);
+        SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.MIGRATION_LOG, history);
+    }
+}
+
 // ===== SCM INITIALIZATION =====
 class SCMInitializer {
     static initializeSystem() {
@@ -1027,6 +9264,11 @@ class SCMInitializer {
         // Set up global error handling
         this.setupErrorHandling();
         
+        // Bring stored data up to the current schema
+        SCMMigrations.run();
+        SCMIdService.syncSequences();
+        SCMLocations.ensureDefaultLocation();
+        
         // Log system startup
         console.log(`${SCM_CONFIG.SYSTEM_NAME} v${SCM_CONFIG.VERSION} initialized`);
     }
@@ -1060,35 +9302,55 @@ class SCMInitializer {
     }
 
     static clearAllData() {
+        if (!SCMAuth.authorize('data.clear')) return Promise.resolve(false);
+        
         return SCMUI.showConfirmation(
             'WARNING: This will delete ALL system data including stock items and history. This action cannot be undone. Are you absolutely sure?',
             'Delete Everything',
             'Cancel'
         ).then(confirmed => {
             if (confirmed) {
+                // Accounts and the current session survive so the system stays locked down,
+                // and the audit trail survives so the clear itself is on its chain
+                const users = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.USERS);
+                const session = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.USER_SESSION);
+                const auditLog = SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.AUDIT_LOG);
+                
                 SCMStorage.clear();
+                SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.USERS, users);
+                SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.USER_SESSION, session);
+                if (auditLog) {
+                    SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.AUDIT_LOG, auditLog);
+                }
+                SCMAudit.record('CLEAR', 'System', { notes: 'All stock data cleared' });
+                
                 SCMUI.showNotification('All system data cleared successfully', 'success');
                 
-                // Reload page after a delay
+                // Reload page after a delay, once the backend has caught up
                 setTimeout(() => {
-                    window.location.reload();
+                    SCMStorage.flush().then(() => window.location.reload());
                 }, 1500);
             }
+            return confirmed;
         });
     }
 
     static exportSystemBackup() {
+        if (!SCMAuth.authorize('data.backup')) return;
+        
         const backup = {
             timestamp: new Date().toISOString(),
             system: SCM_CONFIG.SYSTEM_NAME,
             version: SCM_CONFIG.VERSION,
-            data: {
-                internalStock: SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK),
-                externalStock: SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK),
-                issueHistory: SCMStorage.get(SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY)
-            }
+            schemaVersion: SCMMigrations.getStoredVersion(),
+            data: {}
         };
 
+        Object.entries(this.getBackupKeys()).forEach(([name, key]) => {
+            backup.data[name] = SCMStorage.get(key);
+        });
+        backup.sequences = SCMIdService.getSequences();
+
         const dataStr = JSON.stringify(backup, null, 2);
         const blob = new Blob([dataStr], { type: 'application/json' });
         const url = URL.createObjectURL(blob);
@@ -1100,6 +9362,211 @@ class SCMInitializer {
         
         SCMUI.showNotification('System backup exported successfully', 'success');
     }
+
+    static restoreSystemBackup() {
+        if (!SCMAuth.authorize('data.restore')) return;
+        
+        // Let the user pick a backup file produced by exportSystemBackup
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = 'application/json,.json';
+
+        input.onchange = () => {
+            const file = input.files && input.files[0];
+            if (file) {
+                this.importSystemBackup(file);
+            }
+        };
+
+        input.click();
+    }
+
+    static importSystemBackup(file) {
+        return this.readBackupFile(file).then(backup => {
+            const validation = SCMValidator.validateBackup(backup);
+            if (!validation.isValid) {
+                const shown = validation.errors.slice(0, 5).map(error => SCMUI.escapeHtml(error)).join('<br>');
+                const more = validation.errors.length > 5 ? `<br>...and ${validation.errors.length - 5} more` : '';
+                SCMUI.showNotification(`Backup rejected:<br>${shown}${more}`, 'error', 8000);
+                return false;
+            }
+
+            // Bring older backups up to the current schema before comparing
+            const schemaVersion = typeof backup.schemaVersion === 'number' ? backup.schemaVersion : 0;
+            const data = {};
+            Object.keys(this.getBackupKeys()).forEach(name => {
+                data[name] = backup.data[name] || [];
+            });
+            SCMMigrations.upgrade(data, schemaVersion);
+            backup = { ...backup, data: data };
+
+            const preview = this.previewBackup(backup);
+
+            return SCMUI.showChoice(
+                this.renderBackupPreview(backup, preview),
+                [
+                    { label: 'Merge by ID', value: 'merge' },
+                    { label: 'Replace Everything', value: 'replace', primary: true }
+                ]
+            ).then(mode => {
+                if (!mode) return false;
+
+                const result = this.applyBackup(backup, mode);
+                if (result.success) {
+                    SCMUI.showNotification(`Backup restored (${mode === 'replace' ? 'replaced' : 'merged'})`, 'success');
+                    SCMEvents.handleRefresh();
+                } else {
+                    SCMUI.showNotification(`Restore failed, previous data kept: ${SCMUI.escapeHtml(result.message)}`, 'error', 6000);
+                }
+                return result.success;
+            });
+        }).catch(error => {
+            console.error('SCM Restore Error:', error);
+            SCMUI.showNotification('Could not read backup file: ' + SCMUI.escapeHtml(error.message), 'error');
+            return false;
+        });
+    }
+
+    static readBackupFile(file) {
+        return new Promise((resolve, reject) => {
+            const reader = new FileReader();
+            reader.onload = () => {
+                try {
+                    resolve(JSON.parse(reader.result));
+                } catch (error) {
+                    reject(new Error('File is not valid JSON'));
+                }
+            };
+            reader.onerror = () => reject(reader.error || new Error('File could not be read'));
+            reader.readAsText(file);
+        });
+    }
+
+    static getBackupKeys() {
+        return {
+            internalStock: SCM_CONFIG.STORAGE_KEYS.INTERNAL_STOCK,
+            externalStock: SCM_CONFIG.STORAGE_KEYS.EXTERNAL_STOCK,
+            issueHistory: SCM_CONFIG.STORAGE_KEYS.ISSUE_HISTORY,
+            issueRequests: SCM_CONFIG.STORAGE_KEYS.ISSUE_REQUESTS,
+            stockLedger: SCM_CONFIG.STORAGE_KEYS.STOCK_LEDGER,
+            locations: SCM_CONFIG.STORAGE_KEYS.LOCATIONS,
+            suppliers: SCM_CONFIG.STORAGE_KEYS.SUPPLIERS,
+            recipients: SCM_CONFIG.STORAGE_KEYS.RECIPIENTS,
+            stockTransfers: SCM_CONFIG.STORAGE_KEYS.STOCK_TRANSFERS,
+            stockCounts: SCM_CONFIG.STORAGE_KEYS.STOCK_COUNTS,
+            purchaseOrders: SCM_CONFIG.STORAGE_KEYS.PURCHASE_ORDERS,
+            priceLists: SCM_CONFIG.STORAGE_KEYS.PRICE_LISTS,
+            invoices: SCM_CONFIG.STORAGE_KEYS.INVOICES
+        };
+    }
+
+    static previewBackup(backup) {
+        const preview = {};
+
+        Object.entries(this.getBackupKeys()).forEach(([name, key]) => {
+            const incoming = backup.data[name] || [];
+            const current = SCMStorage.get(key) || [];
+            const currentIds = new Set(current.map(record => record.id));
+
+            preview[name] = {
+                incoming: incoming.length,
+                current: current.length,
+                conflicts: incoming.filter(record => currentIds.has(record.id)).length
+            };
+        });
+
+        return preview;
+    }
+
+    static renderBackupPreview(backup, preview) {
+        const labels = {
+            internalStock: 'Internal-Use Stock',
+            externalStock: 'External-Use Stock',
+            issueHistory: 'Issue History',
+            issueRequests: 'Issue Requests',
+            stockLedger: 'Stock Movement Ledger',
+            locations: 'Locations',
+            suppliers: 'Suppliers',
+            recipients: 'Recipients',
+            stockTransfers: 'Stock Transfers',
+            stockCounts: 'Stock Counts',
+            purchaseOrders: 'Purchase Orders',
+            priceLists: 'Price Lists',
+            invoices: 'Invoices'
+        };
+
+        const rows = Object.entries(preview).map(([name, counts]) => `
+            <tr>
+                <td>${labels[name] || name}</td>
+                <td>${counts.incoming}</td>
+                <td>${counts.current}</td>
+                <td>${counts.conflicts}</td>
+            </tr>
+        `).join('');
+
+        return `
+            <strong>Restore System Backup</strong>
+            <p>Created ${SCMCalculator.formatDateTime(backup.timestamp)} (v${SCMUI.escapeHtml(backup.version)})</p>
+            <table style="width: 100%; margin: 12px 0;">
+                <thead>
+                    <tr><th>Data</th><th>In Backup</th><th>Current</th><th>ID Conflicts</th></tr>
+                </thead>
+                <tbody>${rows}</tbody>
+            </table>
+            <p><em>Replace</em> discards current data. <em>Merge</em> keeps current records and overwrites ID conflicts with the backup copy.</p>
+            <p>Document number counters are restored but never moved backwards. User accounts and the audit trail are not part of a backup and are left as they are.</p>
+        `;
+    }
+
+    static applyBackup(backup, mode) {
+        if (!SCMAuth.hasPermission('data.restore')) return SCMAuth.deniedResult('data.restore');
+        
+        const keys = this.getBackupKeys();
+
+        // Snapshot current state so a failed restore can be rolled back
+        const snapshot = {};
+        Object.values(keys).forEach(key => {
+            snapshot[key] = SCMStorage.get(key);
+        });
+
+        try {
+            Object.entries(keys).forEach(([name, key]) => {
+                const incoming = backup.data[name] || [];
+                let next = incoming;
+
+                if (mode === 'merge') {
+                    const merged = new Map((snapshot[key] || []).map(record => [record.id, record]));
+                    incoming.forEach(record => merged.set(record.id, record));
+                    next = Array.from(merged.values());
+                }
+
+                if (!SCMStorage.set(key, next)) {
+                    throw new Error(`Failed to write ${name}`);
+                }
+            });
+
+            SCMStorage.set(SCM_CONFIG.STORAGE_KEYS.SCHEMA_VERSION, SCM_CONFIG.SCHEMA_VERSION);
+            SCMIdService.restoreSequences(backup.sequences);
+            SCMIdService.syncSequences();
+
+            SCMAudit.record('RESTORE', 'Backup', {
+                itemId: null,
+                notes: `Backup from ${backup.timestamp || 'an unknown date'} restored (${mode})`
+            });
+
+            return { success: true };
+        } catch (error) {
+            Object.entries(snapshot).forEach(([key, data]) => {
+                if (data === null) {
+                    SCMStorage.remove(key);
+                } else {
+                    SCMStorage.set(key, data);
+                }
+            });
+
+            return { success: false, message: error.message };
+        }
+    }
 }
 
 // ===== SCM EVENT HANDLERS =====
@@ -1136,10 +9603,28 @@ class SCMEvents {
                 e.target.closest('[data-action="backup"]')) {
                 SCMInitializer.exportSystemBackup();
             }
+
+            if (e.target.matches('[data-action="restore"]') ||
+                e.target.closest('[data-action="restore"]')) {
+                SCMInitializer.restoreSystemBackup();
+            }
+            
+            if (e.target.matches('[data-action="reconcile-ledger"]') ||
+                e.target.closest('[data-action="reconcile-ledger"]')) {
+                this.handleReconcileLedger();
+            }
+            
+            if (e.target.matches('[data-action="logout"]') ||
+                e.target.closest('[data-action="logout"]')) {
+                SCMAuth.logout();
+            }
         });
 
         // Form submissions
         document.addEventListener('submit', (e) => {
+            // Pages with their own submit handler have already dealt with it
+            if (e.defaultPrevented) return;
+            
             if (e.target.matches('#add-stock-form')) {
                 e.preventDefault();
                 this.handleAddStock(e.target);
@@ -1189,18 +9674,75 @@ class SCMEvents {
         SCMInitializer.updateCurrentDate();
     }
 
+    static handleReconcileLedger() {
+        if (!SCMAuth.authorize('ledger.reconcile')) return;
+        
+        const discrepancies = SCMLedger.reconcile();
+        
+        if (discrepancies.length === 0) {
+            SCMUI.showNotification('All stock quantities match the movement ledger', 'success');
+            return;
+        }
+        
+        const list = discrepancies.map(result => result.difference !== 0 ?
+            `${SCMUI.escapeHtml(result.itemName)}: stored ${result.storedQuantity}, ledger ${result.ledgerQuantity}` :
+            `${SCMUI.escapeHtml(result.itemName)}: location balances differ at ${SCMUI.escapeHtml(result.locationMismatches.join(', '))}`
+        ).join('<br>');
+        
+        SCMUI.showConfirmation(
+            `${discrepancies.length} item(s) differ from the movement ledger:<br><br>${list}<br><br>Recompute quantities from the ledger?`,
+            'Recompute',
+            'Cancel'
+        ).then(confirmed => {
+            if (confirmed) {
+                const results = SCMLedger.recomputeQuantities();
+                const failed = results.filter(result => !result.recomputed);
+                
+                if (failed.length === 0) {
+                    SCMUI.showNotification(`${results.length} item quantities recomputed from ledger`, 'success');
+                } else {
+                    const reasons = failed.map(result => SCMUI.escapeHtml(`${result.itemName}: ${result.failure}`)).join('<br>');
+                    SCMUI.showNotification(
+                        `${results.length - failed.length} of ${results.length} item quantities recomputed from ledger. Not recomputed:<br>${reasons}`,
+                        'warning',
+                        8000
+                    );
+                }
+                this.handleRefresh();
+            }
+        });
+    }
+
     static handleAddStock(form) {
         const formData = new FormData(form);
         const stockType = formData.get('stock-type') || 'internal';
+        // Quantity and cost may be entered per purchase pack
+        const packSize = formData.get('quantity-unit') || 1;
         
         const itemData = {
             itemName: formData.get('item-name'),
+            sku: formData.get('sku'),
             category: formData.get('category'),
-            quantity: parseInt(formData.get('quantity')),
-            unitCost: parseFloat(formData.get('unit-cost')),
+            quantity: SCMUnits.toBase(formData.get('quantity'), packSize),
+            unitCost: SCMUnits.costPerBaseUnit(formData.get('unit-cost'), packSize),
+            unit: formData.get('unit') || SCM_CONFIG.DEFAULT_UNIT,
+            purchaseUnit: (formData.get('purchase-unit') || '').trim(),
+            purchaseUnitSize: formData.get('purchase-unit-size'),
+            issueUnit: (formData.get('issue-unit') || '').trim(),
+            issueUnitSize: formData.get('issue-unit-size'),
             supplierName: formData.get('supplier-name'),
             dateReceived: formData.get('date-received'),
-            notes: formData.get('notes')
+            notes: formData.get('notes'),
+            reorderPoint: formData.get('reorder-point'),
+            safetyStock: formData.get('safety-stock'),
+            minLevel: formData.get('min-level'),
+            maxLevel: formData.get('max-level'),
+            locationId: formData.get('location-id'),
+            trackLots: formData.get('track-lots') === 'on',
+            lotNumber: formData.get('lot-number') || '',
+            expiryDate: formData.get('expiry-date'),
+            trackSerials: formData.get('track-serials') === 'on',
+            serialNumbers: formData.get('serial-numbers') || ''
         };
 
         // Validate
@@ -1235,12 +9777,15 @@ class SCMEvents {
         
         const issueData = {
             itemId: parseInt(formData.get('item-id')),
-            quantityIssued: parseInt(formData.get('issue-quantity')),
+            quantityIssued: SCMUnits.toBase(formData.get('issue-quantity'), formData.get('issue-quantity-unit') || 1),
             issuedTo: formData.get('issued-to'),
             reason: formData.get('reason'),
             notes: formData.get('issue-notes'),
             date: formData.get('issue-date'),
-            issuedBy: 'Current User' // This would come from login system
+            locationId: formData.get('source-location'),
+            lotNumber: formData.get('issue-lot') || '',
+            serialNumbers: formData.getAll('issue-serials'),
+            issuedBy: SCMAuth.currentUserName()
         };
 
         // Get current item quantity for validation
@@ -1253,8 +9798,16 @@ class SCMEvents {
             return;
         }
 
-        // Validate
-        const validation = SCMValidator.validateIssueRequest(issueData, item.quantity);
+        const locationId = SCMLocations.resolveLocationId(issueData.locationId);
+        if (!locationId) {
+            SCMUI.showNotification('Select the location to issue from', 'error');
+            return;
+        }
+        issueData.locationId = locationId;
+        issueData.unit = item.unit;
+
+        // Validate against what the source location holds
+        const validation = SCMValidator.validateIssueRequest(issueData, SCMLocations.getQuantity(item, locationId));
         if (!validation.isValid) {
             SCMUI.showNotification(validation.errors.join(', '), 'error');
             return;
@@ -1262,15 +9815,22 @@ class SCMEvents {
 
         // Confirm issuance
         SCMUI.showConfirmation(
-            `Issue ${issueData.quantityIssued} units of ${item.itemName} to ${issueData.issuedTo}?`,
-            'Confirm Issue',
+            `Request ${SCMUnits.format(issueData.quantityIssued, item)} of ${item.itemName} from ${SCMLocations.getLocationName(locationId)} for ${issueData.issuedTo}?`,
+            'Submit Request',
             'Cancel'
         ).then(confirmed => {
             if (confirmed) {
-                const result = SCMDataManager.issueStock(itemId, issueData.quantityIssued, issueData);
+                let result = SCMRequests.submit(itemId, issueData.quantityIssued, issueData);
+                let message = result.message;
+                
+                // Approved requests are fulfilled straight away when the user may issue stock
+                if (result.success && result.data.status === 'approved' && SCMAuth.hasPermission('stock.issue')) {
+                    result = SCMRequests.fulfil(result.data.id, { date: issueData.date });
+                    message = 'Stock issued successfully!';
+                }
                 
                 if (result.success) {
-                    SCMUI.showNotification('Stock issued successfully!', 'success');
+                    SCMUI.showNotification(message, 'success');
                     form.reset();
                     
                     // Reset date to today
@@ -1293,9 +9853,15 @@ class SCMEvents {
         
         const updates = {
             itemName: formData.get('edit-item-name'),
-            quantity: parseInt(formData.get('edit-quantity')),
-            unitCost: parseFloat(formData.get('edit-unit-cost')),
-            notes: formData.get('edit-notes')
+            sku: formData.get('edit-sku'),
+            quantity: SCMUnits.parse(formData.get('edit-quantity')),
+            reasonCode: formData.get('edit-reason-code') || undefined,
+            standardCost: formData.get('edit-standard-cost'),
+            notes: formData.get('edit-notes'),
+            reorderPoint: formData.get('edit-reorder-point'),
+            safetyStock: formData.get('edit-safety-stock'),
+            minLevel: formData.get('edit-min-level'),
+            maxLevel: formData.get('edit-max-level')
         };
 
         const itemId = parseInt(formData.get('edit-id'));
@@ -1312,8 +9878,10 @@ class SCMEvents {
             return;
         }
 
-        if (updates.unitCost < 0) {
-            SCMUI.showNotification('Unit cost cannot be negative', 'error');
+        const item = SCMDataManager.getStockByType(stockType).find(i => i.id === itemId);
+        const levelValidation = SCMValidator.validateStockLevels({ ...updates, category: item && item.category, unit: item && item.unit });
+        if (!levelValidation.isValid) {
+            SCMUI.showNotification(levelValidation.errors.join(', '), 'error');
             return;
         }
 
@@ -1363,9 +9931,12 @@ class SCMEvents {
 // Dashboard Page
 function initializeDashboard() {
     function updateDashboard() {
-        const internalStock = SCMDataManager.getStockByType('internal');
-        const externalStock = SCMDataManager.getStockByType('external');
-        const issueHistory = SCMDataManager.getIssueHistory();
+        const locationFilter = document.getElementById('dashboard-location');
+        const locationId = locationFilter ? locationFilter.value : '';
+        const internalStock = SCMLocations.viewAt(SCMDataManager.getStockByType('internal'), locationId);
+        const externalStock = SCMLocations.viewAt(SCMDataManager.getStockByType('external'), locationId);
+        const issueHistory = SCMDataManager.getIssueHistory()
+            .filter(record => !record.reversed && (!locationId || String(record.locationId) === locationId));
         
         // Update internal stock metrics
         document.getElementById('internal-total-items').textContent = internalStock.length;
@@ -1391,16 +9962,18 @@ function initializeDashboard() {
         const recentIssues = issueHistory.slice(0, 5);
         document.getElementById('recent-issues-count').textContent = recentIssues.length;
         
+        // Recent activity covers every movement, inbound and outbound
+        const recentMovements = SCMLedger.getMovements({ locationId: locationId }).slice(0, 5);
         const activityBody = document.getElementById('activity-table-body');
-        if (recentIssues.length > 0) {
-            activityBody.innerHTML = recentIssues.map(issue => `
+        if (recentMovements.length > 0) {
+            activityBody.innerHTML = recentMovements.map(movement => `
                 <tr>
-                    <td>${SCMCalculator.formatDate(issue.date)}</td>
-                    <td>${issue.itemName}</td>
-                    <td>${SCMUI.createStockTypeTag(issue.stockType)}</td>
-                    <td><span class="tag issued">Issued</span></td>
-                    <td class="text-danger">-${issue.quantityIssued}</td>
-                    <td>${issue.remainingBalance}</td>
+                    <td>${SCMCalculator.formatDate(movement.date)}</td>
+                    <td>${SCMUI.escapeHtml(movement.itemName)}</td>
+                    <td>${SCMUI.createStockTypeTag(movement.stockType)}</td>
+                    <td>${SCMUI.createMovementTag(movement.movementType)}</td>
+                    <td>${SCMUI.formatQuantityChange(movement.quantityChange, movement)}</td>
+                    <td>${SCMUnits.format(movement.balanceAfter, movement)}</td>
                 </tr>
             `).join('');
         } else {
@@ -1495,15 +10068,15 @@ function initializeInventory() {
         }
         
         tbody.innerHTML = items.map(item => `
-            <tr class="${item.quantity < SCM_CONFIG.LOW_STOCK_THRESHOLD ? 'low-stock-row' : ''}">
-                <td>${item.itemName}</td>
+            <tr class="${SCMCalculator.isLowStock(item) ? 'low-stock-row' : ''}">
+                <td>${SCMUI.escapeHtml(item.itemName)}</td>
                 <td>${SCMUI.createCategoryTag(item.category)}</td>
-                <td><span class="quantity-cell ${item.quantity < 10 ? 'low-quantity' : ''}">${item.quantity}</span></td>
+                <td><span class="quantity-cell ${SCMCalculator.isLowStock(item) ? 'low-quantity' : ''}">${item.quantity}</span></td>
                 <td>${SCMCalculator.formatCurrency(item.unitCost)}</td>
                 <td><strong>${SCMCalculator.formatCurrency(item.quantity * item.unitCost)}</strong></td>
-                <td>${item.supplierName}</td>
+                <td>${SCMUI.escapeHtml(item.supplierName)}</td>
                 <td>${SCMCalculator.formatDate(item.dateReceived)}</td>
-                <td>${item.notes || '-'}</td>
+                <td>${SCMUI.escapeHtml(item.notes || '-')}</td>
                 <td class="action-buttons">
                     <button class="action-btn edit-btn" onclick="editItem(${item.id}, '${stockType}')">✏️ Edit</button>
                     <button class="action-btn delete-btn" onclick="deleteItem(${item.id}, '${stockType}')">🗑️ Delete</button>
@@ -1526,8 +10099,9 @@ function initializeInventory() {
         document.getElementById('edit-id').value = item.id;
         document.getElementById('edit-type').value = stockType;
         document.getElementById('edit-item-name').value = item.itemName;
+        document.getElementById('edit-sku').value = SCMItems.getSku(item);
         document.getElementById('edit-quantity').value = item.quantity;
-        document.getElementById('edit-unit-cost').value = item.unitCost;
+        document.getElementById('edit-standard-cost').value = typeof item.standardCost === 'number' ? item.standardCost : '';
         document.getElementById('edit-notes').value = item.notes || '';
         
         // Show modal
@@ -1596,7 +10170,8 @@ function initializeReports() {
     function generateReports() {
         const internalStock = SCMDataManager.getStockByType('internal');
         const externalStock = SCMDataManager.getStockByType('external');
-        const issueHistory = SCMDataManager.getIssueHistory();
+        // Reversed issues returned their stock, so they are not consumption
+        const issueHistory = SCMDataManager.getIssueHistory().filter(record => !record.reversed);
         
         // Update KPI cards
         const totalValue = SCMCalculator.calculateStockValue([...internalStock, ...externalStock]);
@@ -1636,11 +10211,10 @@ function initializeReports() {
         document.getElementById('external-value').textContent = 
             SCMCalculator.formatCurrency(SCMCalculator.calculateStockValue(externalStock));
         
-        // Calculate potential revenue (30% markup)
-        const potentialRevenue = externalStock.reduce((sum, item) => 
-            sum + (item.quantity * item.unitCost * 1.3), 0);
+        // Potential revenue at the items' own selling prices
+        const potentialRevenue = SCMSales.getPotentialRevenue(externalStock);
         document.getElementById('potential-revenue').textContent = 
-            SCMCalculator.formatCurrency(potentialRevenue);
+            SCMCalculator.formatCurrency(potentialRevenue.value);
         
         const externalIssued = lastMonthHistory.filter(record => record.stockType === 'External-Use').length;
         document.getElementById('external-sold-month').textContent = externalIssued;
@@ -1652,14 +10226,14 @@ function initializeReports() {
     function generateInsights() {
         const internalStock = SCMDataManager.getStockByType('internal');
         const externalStock = SCMDataManager.getStockByType('external');
-        const issueHistory = SCMDataManager.getIssueHistory();
+        const issueHistory = SCMDataManager.getIssueHistory().filter(record => !record.reversed);
         
         // Internal insights
         const internalInsights = [];
-        const internalLowStock = internalStock.filter(item => item.quantity < SCM_CONFIG.LOW_STOCK_THRESHOLD);
+        const internalLowStock = internalStock.filter(item => SCMCalculator.isLowStock(item));
         
         if (internalLowStock.length > 0) {
-            internalInsights.push(`${internalLowStock.length} internal items below minimum stock level`);
+            internalInsights.push(`${internalLowStock.length} internal items at or below their reorder point`);
         }
         
         const highValueInternal = internalStock.filter(item => (item.quantity * item.unitCost) > 1000);
@@ -1676,7 +10250,7 @@ function initializeReports() {
         
         // External insights
         const externalInsights = [];
-        const externalLowStock = externalStock.filter(item => item.quantity < SCM_CONFIG.LOW_STOCK_THRESHOLD);
+        const externalLowStock = externalStock.filter(item => SCMCalculator.isLowStock(item));
         
         if (externalLowStock.length > 0) {
             externalInsights.push(`${externalLowStock.length} resale items need restocking`);
@@ -1684,7 +10258,7 @@ function initializeReports() {
         
         const fastMoving = externalStock.filter(item => {
             const itemIssues = issueHistory.filter(record => 
-                record.itemName === item.itemName && 
+                record.itemId === item.id && 
                 record.stockType === 'External-Use'
             );
             return itemIssues.length >= 3;
@@ -1715,7 +10289,7 @@ function initializeReports() {
         const efficiencyImps = [];
         
         // Urgent actions
-        const criticalStock = allStock.filter(item => item.quantity < SCM_CONFIG.CRITICAL_STOCK_THRESHOLD);
+        const criticalStock = allStock.filter(item => SCMCalculator.isCriticalStock(item));
         if (criticalStock.length > 0) {
             urgentActions.push(`Immediate reorder needed for ${criticalStock.length} critical items`);
         }
@@ -1768,26 +10342,48 @@ function initializeReports() {
 // ===== MAIN INITIALIZATION =====
 document.addEventListener('DOMContentLoaded', function() {
     // Initialize core system
-    SCMInitializer.initializeSystem();
     SCMEvents.initializeEventHandlers();
     
-    // Page-specific initialization
-    const currentPage = window.location.pathname.split('/').pop();
-    
-    switch(currentPage) {
-        case 'dashboard.html':
-        case '':
-        case 'index.html':
-            initializeDashboard();
-            break;
-        case 'inventory.html':
-            initializeInventory();
-            break;
-        case 'reports.html':
-            initializeReports();
-            break;
-        // Add other page initializations as needed
-    }
+    // System and page initialization once the storage backend has loaded
+    SCMStorage.ready().then(loaded => {
+        // Migrations and defaults must never run against data that failed to load
+        if (!loaded) return;
+        
+        SCMInitializer.initializeSystem();
+        
+        // Nothing is shown until someone has logged in
+        if (!SCMAuth.requireLogin()) return;
+        SCMUI.renderUserBadge();
+        SCMUI.applyPermissions();
+        
+        // Logging out or being deactivated in another tab ends this page too
+        document.addEventListener('scm:refresh', () => {
+            if (SCMAuth.requireLogin()) {
+                SCMUI.renderUserBadge();
+                SCMUI.applyPermissions();
+            }
+        });
+        
+        const currentPage = decodeURIComponent(window.location.pathname.split('/').pop());
+        
+        switch(currentPage) {
+            case 'dashboard.html':
+            case '':
+            case 'index.html':
+                initializeDashboard();
+                break;
+            case 'inventory.html':
+                initializeInventory();
+                break;
+            case 'reports.html':
+                initializeReports();
+                break;
+            // Add other page initializations as needed
+        }
+        
+        // Inline page scripts wait for this before touching data
+        document.dispatchEvent(new CustomEvent('scm:ready'));
+    });
     
     // Global keyboard shortcuts
     document.addEventListener('keydown', function(e) {
@@ -1845,9 +10441,31 @@ document.addEventListener('DOMContentLoaded', function() {
 window.SCM = {
     config: SCM_CONFIG,
     storage: SCMStorage,
+    storageAdapters: {
+        localStorage: LocalStorageAdapter,
+        indexedDB: IndexedDBStorageAdapter,
+        memory: MemoryStorageAdapter,
+        http: HttpStorageAdapter
+    },
     validator: SCMValidator,
     calculator: SCMCalculator,
     data: SCMDataManager,
+    ledger: SCMLedger,
+    requests: SCMRequests,
+    locations: SCMLocations,
+    suppliers: SCMSuppliers,
+    recipients: SCMRecipients,
+    purchasing: SCMPurchasing,
+    forecast: SCMForecast,
+    sales: SCMSales,
+    lots: SCMLots,
+    serials: SCMSerials,
+    units: SCMUnits,
+    costing: SCMCosting,
+    items: SCMItems,
+    stockTake: SCMStockTake,
+    audit: SCMAudit,
+    auth: SCMAuth,
     ui: SCMUI,
     exporter: SCMExporter,
     init: SCMInitializer,